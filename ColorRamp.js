@@ -0,0 +1,196 @@
+/**
+ * @fileoverview ColorRamp - Elevation color gradient with arbitrary stops
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class holding (height, color) stops of an elevation color map. Heights
+ * are normalized so 0 is the lowest and 1 the highest point of the terrain.
+ * Colors between two stops are interpolated linearly.
+ */
+class ColorRamp {
+    /**
+     * Initialize members of a ColorRamp object
+     * @param {Array<{height: number, color: Array<number>}>} stops Stops with
+     *     a normalized height and an rgb color in [0,1]
+     */
+    constructor(stops) {
+        this.stops = stops.map(stop => ({height: stop.height, color: stop.color.slice()}));
+        this.sortStops();
+    }
+
+    /**
+     * Creates a ramp from one of the built-in presets
+     * @param {string} name the name of a preset in ColorRamp.presets
+     * @return {ColorRamp} a new ramp with a copy of the preset's stops
+     */
+    static fromPreset(name) {
+        return new ColorRamp(ColorRamp.presets[name]);
+    }
+
+    /**
+     * Keeps the stops ordered by height after a stop is added or moved
+     */
+    sortStops() {
+        this.stops.sort((a, b) => a.height - b.height);
+    }
+
+    /**
+     * Adds a stop with the color the ramp currently has at that height
+     * @param {number} height the normalized height of the new stop
+     */
+    addStop(height) {
+        let color = glMatrix.vec3.create();
+        this.colorAt(color, height);
+        this.stops.push({height: height, color: Array.from(color)});
+        this.sortStops();
+    }
+
+    /**
+     * Removes a stop, keeping at least one
+     * @param {number} i the index of the stop
+     */
+    removeStop(i) {
+        if (this.stops.length > 1) {
+            this.stops.splice(i, 1);
+        }
+    }
+
+    /**
+     * Returns the interpolated color at a normalized height
+     * @param {Object} out an output array of 3 holding the rgb color
+     * @param {number} t the normalized height, clamped to [0,1]
+     */
+    colorAt(out, t) {
+        let stops = this.stops;
+        if (t <= stops[0].height) {
+            glMatrix.vec3.copy(out, stops[0].color);
+            return;
+        }
+        for (let i = 1; i < stops.length; i++) {
+            if (t <= stops[i].height) {
+                let span = stops[i].height - stops[i-1].height;
+                let weight = span > 0 ? (t - stops[i-1].height) / span : 1;
+                glMatrix.vec3.lerp(out, stops[i-1].color, stops[i].color, weight);
+                return;
+            }
+        }
+        glMatrix.vec3.copy(out, stops[stops.length - 1].color);
+    }
+
+    /**
+     * Returns the band a normalized height falls in, the band between two
+     * neighboring stops being numbered by its lower stop
+     * @param {number} t the normalized height, clamped to [0,1]
+     * @return {number} the index of the stop at or below the height, 0 below the first stop
+     */
+    bandAt(t) {
+        let stops = this.stops;
+        let band = 0;
+        while (band + 1 < stops.length - 1 && t >= stops[band + 1].height) {
+            band++;
+        }
+        return band;
+    }
+
+    /**
+     * Samples the ramp into RGBA pixels for a lookup texture
+     * @param {number} width the number of samples
+     * @return {Uint8Array} width RGBA pixels from the lowest to the highest height
+     */
+    toPixels(width) {
+        let pixels = new Uint8Array(width * 4);
+        let color = glMatrix.vec3.create();
+        for (let i = 0; i < width; i++) {
+            this.colorAt(color, i / (width - 1));
+            pixels[i*4] = Math.round(color[0] * 255);
+            pixels[i*4 + 1] = Math.round(color[1] * 255);
+            pixels[i*4 + 2] = Math.round(color[2] * 255);
+            pixels[i*4 + 3] = 255;
+        }
+        return pixels;
+    }
+}
+
+/**
+ * Built-in color ramps
+ * @type {Object<string, Array<{height: number, color: Array<number>}>>}
+ */
+ColorRamp.presets = {
+    // The original ocean, vegetation, earth and snow bands, blended
+    classic: [
+        {height: 0.0, color: [0.0/255.0, 151.0/255.0, 241.0/255.0]},
+        {height: 0.2, color: [0.0/255.0, 151.0/255.0, 241.0/255.0]},
+        {height: 0.25, color: [44.0/255.0, 176.0/255.0, 55.0/255.0]},
+        {height: 0.5, color: [44.0/255.0, 176.0/255.0, 55.0/255.0]},
+        {height: 0.6, color: [135.0/255.0, 67.0/255.0, 23.0/255.0]},
+        {height: 0.8, color: [135.0/255.0, 67.0/255.0, 23.0/255.0]},
+        {height: 0.85, color: [255.0/255.0, 250.0/255.0, 250.0/255.0]},
+        {height: 1.0, color: [255.0/255.0, 250.0/255.0, 250.0/255.0]}
+    ],
+    alpine: [
+        {height: 0.0, color: [0.18, 0.32, 0.16]},
+        {height: 0.3, color: [0.30, 0.48, 0.22]},
+        {height: 0.55, color: [0.45, 0.42, 0.35]},
+        {height: 0.75, color: [0.55, 0.53, 0.50]},
+        {height: 0.85, color: [0.92, 0.93, 0.95]},
+        {height: 1.0, color: [1.0, 1.0, 1.0]}
+    ],
+    desert: [
+        {height: 0.0, color: [0.60, 0.42, 0.25]},
+        {height: 0.35, color: [0.85, 0.68, 0.45]},
+        {height: 0.65, color: [0.93, 0.80, 0.58]},
+        {height: 0.85, color: [0.76, 0.50, 0.32]},
+        {height: 1.0, color: [0.62, 0.36, 0.24]}
+    ],
+    arctic: [
+        {height: 0.0, color: [0.10, 0.22, 0.38]},
+        {height: 0.2, color: [0.55, 0.75, 0.85]},
+        {height: 0.3, color: [0.85, 0.92, 0.96]},
+        {height: 0.7, color: [0.95, 0.97, 1.0]},
+        {height: 1.0, color: [1.0, 1.0, 1.0]}
+    ],
+    // Hypsometric tints of relief maps, from lowland green to highland white
+    hypsometric: [
+        {height: 0.0, color: [0.47, 0.66, 0.42]},
+        {height: 0.2, color: [0.67, 0.80, 0.50]},
+        {height: 0.4, color: [0.91, 0.89, 0.61]},
+        {height: 0.6, color: [0.85, 0.70, 0.47]},
+        {height: 0.8, color: [0.72, 0.55, 0.45]},
+        {height: 0.92, color: [0.85, 0.82, 0.80]},
+        {height: 1.0, color: [1.0, 1.0, 1.0]}
+    ]
+};
+
+/**
+ * Color ramps of the terrain analysis overlays, from 0 to 90 degrees of
+ * slope, clockwise around the compass from north for aspect, and from
+ * valleys through flat to ridges for curvature
+ * @type {Object<string, Array<{height: number, color: Array<number>}>>}
+ */
+ColorRamp.analysisPresets = {
+    slope: [
+        {height: 0.0, color: [0.1, 0.6, 0.2]},
+        {height: 10.0/90.0, color: [0.6, 0.8, 0.2]},
+        {height: 20.0/90.0, color: [0.95, 0.85, 0.2]},
+        {height: 30.0/90.0, color: [0.95, 0.5, 0.1]},
+        {height: 45.0/90.0, color: [0.8, 0.1, 0.1]},
+        {height: 1.0, color: [0.3, 0.0, 0.3]}
+    ],
+    aspect: [
+        {height: 0.0, color: [0.9, 0.1, 0.1]},
+        {height: 0.125, color: [0.95, 0.55, 0.1]},
+        {height: 0.25, color: [0.95, 0.9, 0.2]},
+        {height: 0.375, color: [0.3, 0.8, 0.2]},
+        {height: 0.5, color: [0.1, 0.8, 0.8]},
+        {height: 0.625, color: [0.2, 0.4, 0.9]},
+        {height: 0.75, color: [0.5, 0.2, 0.8]},
+        {height: 0.875, color: [0.85, 0.2, 0.6]},
+        {height: 1.0, color: [0.9, 0.1, 0.1]}
+    ],
+    curvature: [
+        {height: 0.0, color: [0.1, 0.3, 0.8]},
+        {height: 0.5, color: [0.95, 0.95, 0.9]},
+        {height: 1.0, color: [0.8, 0.2, 0.1]}
+    ]
+};
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview ColorRampEditor - In-page editor for the stops of a ColorRamp
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class building a small form to pick a preset and to add, move, recolor
+ * and remove the stops of a ColorRamp.
+ */
+class ColorRampEditor {
+    /**
+     * Initialize members of a ColorRampEditor object
+     * @param {HTMLElement} container Element the editor is built in
+     * @param {ColorRamp} ramp The ramp being edited
+     * @param {function(ColorRamp)} onChange Called with the ramp after each edit
+     */
+    constructor(container, ramp, onChange) {
+        this.container = container;
+        this.ramp = ramp;
+        this.onChange = onChange;
+        this.render();
+    }
+
+    /**
+     * Replaces the edited ramp with a copy of a preset
+     * @param {string} name the name of a preset in ColorRamp.presets
+     */
+    loadPreset(name) {
+        this.ramp = ColorRamp.fromPreset(name);
+        this.changed();
+    }
+
+    /**
+     * Rebuilds the form and reports the edited ramp
+     */
+    changed() {
+        this.render();
+        this.onChange(this.ramp);
+    }
+
+    /**
+     * Builds the preset picker, a preview of the gradient and a row per stop
+     */
+    render() {
+        this.container.innerHTML = "";
+
+        let presets = document.createElement("select");
+        let placeholder = document.createElement("option");
+        placeholder.textContent = "Preset...";
+        placeholder.value = "";
+        presets.appendChild(placeholder);
+        for (let name in ColorRamp.presets) {
+            let option = document.createElement("option");
+            option.value = name;
+            option.textContent = name.charAt(0).toUpperCase() + name.substring(1);
+            presets.appendChild(option);
+        }
+        presets.onchange = () => {
+            if (presets.value != "") {
+                this.loadPreset(presets.value);
+            }
+        };
+        this.container.appendChild(presets);
+
+        let add = document.createElement("input");
+        add.type = "button";
+        add.value = "Add stop";
+        add.onclick = () => {
+            this.ramp.addStop(0.5);
+            this.changed();
+        };
+        this.container.appendChild(add);
+
+        // Preview of the gradient from the lowest to the highest height
+        let preview = document.createElement("canvas");
+        preview.width = 256;
+        preview.height = 16;
+        preview.style.display = "block";
+        let context = preview.getContext("2d");
+        let image = context.createImageData(256, 1);
+        image.data.set(this.ramp.toPixels(256));
+        for (let y = 0; y < preview.height; y++) {
+            context.putImageData(image, 0, y);
+        }
+        this.container.appendChild(preview);
+
+        this.ramp.stops.forEach((stop, i) => this.container.appendChild(this.renderStop(stop, i)));
+    }
+
+    /**
+     * Builds the row of a stop: a height slider, a color picker and a remove button
+     * @param {{height: number, color: Array<number>}} stop the stop
+     * @param {number} i the index of the stop
+     * @return {HTMLElement} the row
+     */
+    renderStop(stop, i) {
+        let row = document.createElement("div");
+
+        let height = document.createElement("input");
+        height.type = "range";
+        height.min = "0";
+        height.max = "1";
+        height.step = "0.01";
+        height.value = stop.height;
+        height.onchange = () => {
+            stop.height = parseFloat(height.value);
+            this.ramp.sortStops();
+            this.changed();
+        };
+        row.appendChild(height);
+
+        let color = document.createElement("input");
+        color.type = "color";
+        color.value = "#" + stop.color.map(c => {
+            return ("0" + Math.round(c * 255).toString(16)).slice(-2);
+        }).join("");
+        color.onchange = () => {
+            for (let k = 0; k < 3; k++) {
+                stop.color[k] = parseInt(color.value.substr(1 + k*2, 2), 16) / 255.0;
+            }
+            this.changed();
+        };
+        row.appendChild(color);
+
+        let remove = document.createElement("input");
+        remove.type = "button";
+        remove.value = "Remove";
+        remove.disabled = this.ramp.stops.length <= 1;
+        remove.onclick = () => {
+            this.ramp.removeStop(i);
+            this.changed();
+        };
+        row.appendChild(remove);
+
+        return row;
+    }
+}
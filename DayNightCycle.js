@@ -0,0 +1,129 @@
+/**
+ * @fileoverview DayNightCycle - Time of day driving the sun, moon, light and sky colors
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class keeping the time of day and deriving the directional light and the
+ * sky from it. The sun rises along +x, peaks overhead at noon and sets
+ * along -x, with y up as in world coordinates. While the sun is below the
+ * horizon the moon, opposite the sun, lights the terrain. Colors are
+ * interpolated between keyframes by the height of the sun.
+ */
+class DayNightCycle {
+    /**
+     * Initialize members of a DayNightCycle object
+     * @param {number} time Starting time of day in hours, in [0,24)
+     * @param {number} speed Hours of the day passing per second while playing
+     */
+    constructor(time, speed) {
+        this.time = time;
+        this.speed = speed;
+        this.playing = false;
+        // Tilt of the sun's path towards -z, in degrees
+        this.tilt = 25;
+    }
+
+    /**
+     * Moves the time of day forward while playing
+     * @param {number} seconds the time elapsed since the last call
+     */
+    advance(seconds) {
+        if (this.playing) {
+            this.setTime(this.time + seconds * this.speed);
+        }
+    }
+
+    /**
+     * Sets the time of day, wrapping around midnight
+     * @param {number} time the time of day in hours
+     */
+    setTime(time) {
+        this.time = ((time % 24) + 24) % 24;
+    }
+
+    /**
+     * Returns the direction towards the sun
+     * @param {Object} out an output vec3 holding the unit direction in world coordinates
+     */
+    getSunDirection(out) {
+        // The sun is on the eastern horizon at 6:00 and the western one at 18:00
+        let angle = (this.time - 6) / 24 * 2 * Math.PI;
+        let tilt = this.tilt * Math.PI / 180;
+        glMatrix.vec3.set(out, Math.cos(angle), Math.sin(angle) * Math.cos(tilt),
+                          -Math.sin(angle) * Math.sin(tilt));
+    }
+
+    /**
+     * Returns the direction towards the light, the sun by day and the moon by night
+     * @param {Object} out an output vec3 holding the unit direction in world coordinates
+     */
+    getLightDirection(out) {
+        this.getSunDirection(out);
+        if (out[1] < 0) {
+            glMatrix.vec3.negate(out, out);
+        }
+    }
+
+    /**
+     * Returns a color blended from the keyframes around the current height of the sun
+     * @param {Object} out an output vec3 holding the rgb color
+     * @param {string} name the name of a color in DayNightCycle.keyframes
+     */
+    getColor(out, name) {
+        let sun = glMatrix.vec3.create();
+        this.getSunDirection(sun);
+        let elevation = sun[1];
+
+        let keyframes = DayNightCycle.keyframes;
+        if (elevation <= keyframes[0].elevation) {
+            glMatrix.vec3.copy(out, keyframes[0][name]);
+            return;
+        }
+        for (let i = 1; i < keyframes.length; i++) {
+            if (elevation <= keyframes[i].elevation) {
+                let weight = (elevation - keyframes[i-1].elevation) /
+                             (keyframes[i].elevation - keyframes[i-1].elevation);
+                glMatrix.vec3.lerp(out, keyframes[i-1][name], keyframes[i][name], weight);
+                return;
+            }
+        }
+        glMatrix.vec3.copy(out, keyframes[keyframes.length - 1][name]);
+    }
+
+    /**
+     * Returns the time of day as a clock reading
+     * @return {string} the time as HH:MM
+     */
+    toString() {
+        let hours = Math.floor(this.time);
+        let minutes = Math.floor((this.time - hours) * 60);
+        return ("0" + hours).slice(-2) + ":" + ("0" + minutes).slice(-2);
+    }
+}
+
+/**
+ * Light and sky colors by the height of the sun, the y coordinate of its
+ * direction. The light is dim and blue while the moon is up, and warm and
+ * faint right at sunrise and sunset, when the light switches between the
+ * sun and the moon.
+ * @type {Array<{elevation: number, light: Array<number>, ambient: Array<number>,
+ *     zenith: Array<number>, horizon: Array<number>}>}
+ */
+DayNightCycle.keyframes = [
+    // Night
+    {elevation: -0.3, light: [0.12, 0.15, 0.28], ambient: [0.02, 0.03, 0.06],
+     zenith: [0.0, 0.01, 0.04], horizon: [0.03, 0.05, 0.11]},
+    // Twilight
+    {elevation: -0.1, light: [0.08, 0.08, 0.15], ambient: [0.04, 0.04, 0.08],
+     zenith: [0.04, 0.06, 0.16], horizon: [0.25, 0.18, 0.25]},
+    // Sunrise and sunset
+    {elevation: 0.0, light: [0.3, 0.15, 0.08], ambient: [0.08, 0.06, 0.08],
+     zenith: [0.15, 0.2, 0.4], horizon: [0.95, 0.5, 0.3]},
+    // Golden hour
+    {elevation: 0.15, light: [1.0, 0.6, 0.35], ambient: [0.12, 0.11, 0.12],
+     zenith: [0.25, 0.42, 0.75], horizon: [0.95, 0.75, 0.6]},
+    // Day
+    {elevation: 0.4, light: [1.0, 0.98, 0.92], ambient: [0.15, 0.16, 0.18],
+     zenith: [0.22, 0.45, 0.85], horizon: [0.78, 0.87, 0.96]}
+];
@@ -0,0 +1,521 @@
+/**
+ * @fileoverview HeightGenerators - Pluggable height generators for Terrain
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Base class of the height generators. A generator returns the height at any
+ * (x,y) in terrain coordinates, so terrains and chunks sharing a generator
+ * line up wherever their edges meet.
+ */
+class HeightGenerator {
+    /**
+     * Initialize members of a HeightGenerator object
+     * @param {number} seed Seed of the random numbers used by the generator
+     */
+    constructor(seed) {
+        this.seed = seed;
+    }
+
+    /**
+     * Returns the height at a point. Implemented by each generator.
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {number} the height at (x,y)
+     */
+    heightAt(x, y) {
+        throw new Error("HeightGenerator: heightAt is not implemented");
+    }
+
+    /**
+     * Sets the vertex heights of a terrain
+     * @param {Terrain} terrain the terrain to set the heights of
+     */
+    setHeights(terrain) {
+        terrain.setHeightsByFunction((x, y) => this.heightAt(x, y));
+    }
+
+    /**
+     * Returns whether setHeights gives every terrain the heights of heightAt,
+     * so heights past the edges of a terrain can be taken from heightAt too
+     * @return {boolean} true unless a generator overrides it
+     */
+    isSeamless() {
+        return true;
+    }
+
+    /**
+     * Returns the generator as a plain object that can be posted to a worker.
+     * Only the fields survive the copy, so fromMessage puts the classes back,
+     * including those of generators held by this one.
+     * @return {{type: string, fields: Object, generators: Object}} the class
+     *     name and fields of the generator, and the generators it holds
+     */
+    toMessage() {
+        let message = {type: this.constructor.name, fields: {}, generators: {}};
+        for (let name in this) {
+            if (this[name] instanceof HeightGenerator) {
+                message.generators[name] = this[name].toMessage();
+            } else {
+                message.fields[name] = this[name];
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Rebuilds a generator posted with toMessage
+     * @param {{type: string, fields: Object, generators: Object}} message the
+     *     class name and fields of the generator, and the generators it holds
+     * @return {HeightGenerator} the generator
+     */
+    static fromMessage(message) {
+        let type = HeightGenerator.types[message.type];
+        if (type == undefined) {
+            throw new Error("HeightGenerator: Unknown generator " + message.type);
+        }
+        let generator = Object.assign(Object.create(type.prototype), message.fields);
+        for (let name in message.generators) {
+            generator[name] = HeightGenerator.fromMessage(message.generators[name]);
+        }
+        return generator;
+    }
+
+    /**
+     * Hashes integer coordinates and a sample index with the seed into a
+     * repeatable random number, so samples can be generated in any order
+     * @param {number} i the first coordinate
+     * @param {number} j the second coordinate
+     * @param {number} n the index of the sample
+     * @return {number} a random number in [0,1)
+     */
+    hashRandom(i, j, n) {
+        let h = Math.imul(i, 374761393) ^ Math.imul(j, 668265263) ^
+                Math.imul(n, 2246822519) ^ Math.imul(this.seed, 3266489917);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h = h ^ (h >>> 16);
+        return (h >>> 0) / 4294967296;
+    }
+}
+
+/**
+ * The fault line method of Terrain.setHeightsByPartition. A single terrain
+ * is partitioned the original way unless the generator is seamless. For
+ * heightAt every cell of the world seeds its own fault lines, and each line
+ * fades out within one cell length of its seed point, so the world can be
+ * evaluated anywhere and streamed chunks line up.
+ */
+class PartitionGenerator extends HeightGenerator {
+    /**
+     * Initialize members of a PartitionGenerator object
+     * @param {number} seed Seed of the random numbers used by the generator
+     * @param {number} N Number of partitions of a single terrain
+     * @param {number} delta Amount to raise (and lower) the partitioned vertices
+     * @param {boolean} seamless True to set the heights with heightAt
+     */
+    constructor(seed, N, delta, seamless) {
+        super(seed);
+        this.N = N;
+        this.delta = delta;
+        this.seamless = seamless;
+        // Length of a world cell seeding fault lines
+        this.cellSize = 1.0;
+        // Matches the density of N partitions over the original 2x2 terrain
+        this.faultsPerCell = Math.round(N / 4);
+        // Cached fault lines seeded in each cell keyed by "cx,cy"
+        this.cellFaults = new Map();
+    }
+
+    /**
+     * Partitions the terrain the original way, or with heightAt when seamless
+     * @param {Terrain} terrain the terrain to set the heights of
+     */
+    setHeights(terrain) {
+        if (this.seamless) {
+            super.setHeights(terrain);
+        } else {
+            terrain.setHeightsByPartition(this.N, this.delta);
+        }
+    }
+
+    /**
+     * Returns whether the heights come from heightAt or from the original partitioning
+     * @return {boolean} true when the generator is seamless
+     */
+    isSeamless() {
+        return this.seamless;
+    }
+
+    /**
+     * Returns the sum of the fault lines reaching a point
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {number} the height at (x,y)
+     */
+    heightAt(x, y) {
+        let cellX = Math.floor(x / this.cellSize);
+        let cellY = Math.floor(y / this.cellSize);
+        let radius2 = this.cellSize * this.cellSize;
+        let height = 0;
+        // Only fault lines seeded in the neighboring cells can reach the point
+        for (let cy = cellY - 1; cy <= cellY + 1; cy++) {
+            for (let cx = cellX - 1; cx <= cellX + 1; cx++) {
+                let faults = this.getFaults(cx, cy);
+                for (let k = 0; k < faults.length; k += 4) {
+                    let bx = x - faults[k];
+                    let by = y - faults[k + 1];
+                    let r2 = (bx*bx + by*by) / radius2;
+                    if (r2 >= 1) {
+                        continue;
+                    }
+                    let falloff = (1 - r2) * (1 - r2);
+                    let signTest = bx * faults[k + 2] + by * faults[k + 3];
+                    if (signTest > 0) {
+                        height += this.delta * falloff;
+                    } else {
+                        height -= this.delta * falloff;
+                    }
+                }
+            }
+        }
+        return height;
+    }
+
+    /**
+     * Returns the fault lines seeded in a cell, generating them on first use
+     * @param {number} cx the cell column
+     * @param {number} cy the cell row
+     * @return {Float32Array} a point x,y and normal x,y for each fault line
+     */
+    getFaults(cx, cy) {
+        let key = cx + "," + cy;
+        let faults = this.cellFaults.get(key);
+        if (faults != undefined) {
+            return faults;
+        }
+        // Keep the cache bounded during long flights
+        if (this.cellFaults.size > 1024) {
+            this.cellFaults.clear();
+        }
+        faults = new Float32Array(this.faultsPerCell * 4);
+        for (let k = 0; k < this.faultsPerCell; k++) {
+            let randomRadian = this.hashRandom(cx, cy, 3*k + 2) * Math.PI*2;
+            faults[4*k] = (cx + this.hashRandom(cx, cy, 3*k)) * this.cellSize;
+            faults[4*k + 1] = (cy + this.hashRandom(cx, cy, 3*k + 1)) * this.cellSize;
+            faults[4*k + 2] = Math.cos(randomRadian);
+            faults[4*k + 3] = Math.sin(randomRadian);
+        }
+        this.cellFaults.set(key, faults);
+        return faults;
+    }
+}
+
+/**
+ * Perlin's gradient noise, in its classic and simplex variants, scaled by a
+ * frequency and an amplitude.
+ */
+class GradientNoiseGenerator extends HeightGenerator {
+    /**
+     * Initialize members of a GradientNoiseGenerator object
+     * @param {number} seed Seed of the permutation table
+     * @param {boolean} simplex True for simplex noise, false for classic Perlin noise
+     * @param {number} frequency Number of noise features per unit length
+     * @param {number} amplitude Largest height of the noise
+     */
+    constructor(seed, simplex, frequency, amplitude) {
+        super(seed);
+        this.simplex = simplex;
+        this.frequency = frequency;
+        this.amplitude = amplitude;
+
+        // Shuffle 0..255 with the seed and repeat it to avoid wrapping indices
+        let permutation = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            permutation[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            let j = Math.floor(this.hashRandom(i, 0, 0) * (i + 1));
+            let swap = permutation[i];
+            permutation[i] = permutation[j];
+            permutation[j] = swap;
+        }
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+        }
+    }
+
+    /**
+     * Returns the noise scaled by the frequency and amplitude
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {number} the height at (x,y)
+     */
+    heightAt(x, y) {
+        return this.amplitude * this.noise(x * this.frequency, y * this.frequency);
+    }
+
+    /**
+     * Returns the unscaled noise at a point
+     * @param {number} x the x coordinate
+     * @param {number} y the y coordinate
+     * @return {number} the noise in about [-1,1]
+     */
+    noise(x, y) {
+        return this.simplex ? this.simplexNoise(x, y) : this.perlinNoise(x, y);
+    }
+
+    /**
+     * Returns the dot product of a hashed gradient with the offset (x,y)
+     * @param {number} hash a value of the permutation table
+     * @param {number} x the x offset from the lattice point
+     * @param {number} y the y offset from the lattice point
+     * @return {number} the gradient dot product
+     */
+    static gradient(hash, x, y) {
+        // Eight directions along the axes and diagonals
+        switch (hash & 7) {
+            case 0: return x + y;
+            case 1: return -x + y;
+            case 2: return x - y;
+            case 3: return -x - y;
+            case 4: return x;
+            case 5: return -x;
+            case 6: return y;
+            default: return -y;
+        }
+    }
+
+    /**
+     * Classic Perlin noise on a square lattice
+     * @param {number} x the x coordinate
+     * @param {number} y the y coordinate
+     * @return {number} the noise in about [-1,1]
+     */
+    perlinNoise(x, y) {
+        let x0 = Math.floor(x);
+        let y0 = Math.floor(y);
+        let fx = x - x0;
+        let fy = y - y0;
+        let xi = x0 & 255;
+        let yi = y0 & 255;
+
+        // Quintic fade curve so the heights have continuous normals
+        let u = fx * fx * fx * (fx * (fx * 6 - 15) + 10);
+        let v = fy * fy * fy * (fy * (fy * 6 - 15) + 10);
+
+        let perm = this.perm;
+        let n00 = GradientNoiseGenerator.gradient(perm[xi + perm[yi]], fx, fy);
+        let n10 = GradientNoiseGenerator.gradient(perm[xi + 1 + perm[yi]], fx - 1, fy);
+        let n01 = GradientNoiseGenerator.gradient(perm[xi + perm[yi + 1]], fx, fy - 1);
+        let n11 = GradientNoiseGenerator.gradient(perm[xi + 1 + perm[yi + 1]], fx - 1, fy - 1);
+
+        let nx0 = n00 + u * (n10 - n00);
+        let nx1 = n01 + u * (n11 - n01);
+        return nx0 + v * (nx1 - nx0);
+    }
+
+    /**
+     * Simplex noise on a triangular lattice
+     * @param {number} x the x coordinate
+     * @param {number} y the y coordinate
+     * @return {number} the noise in about [-1,1]
+     */
+    simplexNoise(x, y) {
+        const F2 = 0.5 * (Math.sqrt(3) - 1);
+        const G2 = (3 - Math.sqrt(3)) / 6;
+
+        // Skew to find the simplex cell, then unskew back to the first corner
+        let s = (x + y) * F2;
+        let i = Math.floor(x + s);
+        let j = Math.floor(y + s);
+        let t = (i + j) * G2;
+        let x0 = x - (i - t);
+        let y0 = y - (j - t);
+
+        // The lower or upper triangle of the cell
+        let i1 = x0 > y0 ? 1 : 0;
+        let j1 = x0 > y0 ? 0 : 1;
+        let x1 = x0 - i1 + G2;
+        let y1 = y0 - j1 + G2;
+        let x2 = x0 - 1 + 2 * G2;
+        let y2 = y0 - 1 + 2 * G2;
+
+        let perm = this.perm;
+        let ii = i & 255;
+        let jj = j & 255;
+        let corners = [
+            [x0, y0, perm[ii + perm[jj]]],
+            [x1, y1, perm[ii + i1 + perm[jj + j1]]],
+            [x2, y2, perm[ii + 1 + perm[jj + 1]]]
+        ];
+        let n = 0;
+        for (let k = 0; k < corners.length; k++) {
+            let cx = corners[k][0];
+            let cy = corners[k][1];
+            let falloff = 0.5 - cx * cx - cy * cy;
+            if (falloff > 0) {
+                falloff *= falloff;
+                n += falloff * falloff * GradientNoiseGenerator.gradient(corners[k][2], cx, cy);
+            }
+        }
+        return 70 * n;
+    }
+}
+
+/**
+ * Fractal Brownian motion: octaves of gradient noise, each at a higher
+ * frequency (by the lacunarity) and a lower amplitude (by the gain).
+ */
+class FBmGenerator extends HeightGenerator {
+    /**
+     * Initialize members of a FBmGenerator object
+     * @param {number} seed Seed of the underlying noise
+     * @param {boolean} simplex True to sum simplex noise, false for classic Perlin noise
+     * @param {number} frequency Number of noise features per unit length in the first octave
+     * @param {number} amplitude Largest height of the sum of octaves
+     * @param {number} octaves Number of octaves to sum
+     * @param {number} lacunarity Frequency multiplier between octaves
+     * @param {number} gain Amplitude multiplier between octaves
+     */
+    constructor(seed, simplex, frequency, amplitude, octaves, lacunarity, gain) {
+        super(seed);
+        this.noise = new GradientNoiseGenerator(seed, simplex, 1.0, 1.0);
+        this.frequency = frequency;
+        this.amplitude = amplitude;
+        this.octaves = octaves;
+        this.lacunarity = lacunarity;
+        this.gain = gain;
+    }
+
+    /**
+     * Returns the sum of the octaves, normalized to the amplitude
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {number} the height at (x,y)
+     */
+    heightAt(x, y) {
+        let sum = 0;
+        let totalAmplitude = 0;
+        let frequency = this.frequency;
+        let amplitude = 1.0;
+        for (let octave = 0; octave < this.octaves; octave++) {
+            // Offset each octave so their lattices do not line up at the origin
+            sum += amplitude * this.noise.noise(x * frequency + octave * 17.31,
+                                                y * frequency + octave * 9.71);
+            totalAmplitude += amplitude;
+            frequency *= this.lacunarity;
+            amplitude *= this.gain;
+        }
+        return this.amplitude * sum / totalAmplitude;
+    }
+}
+
+/**
+ * The diamond-square midpoint displacement algorithm. The square grid wraps
+ * around at its edges, so the generated tile repeats seamlessly over the world.
+ */
+class DiamondSquareGenerator extends HeightGenerator {
+    /**
+     * Initialize members of a DiamondSquareGenerator object
+     * @param {number} seed Seed of the random displacements
+     * @param {number} levels The tile has 2^levels samples along each axis
+     * @param {number} roughness Displacement multiplier between levels, in (0,1)
+     * @param {number} amplitude Largest height of the tile
+     * @param {number} tileLength Length of the tile in terrain coordinates
+     */
+    constructor(seed, levels, roughness, amplitude, tileLength) {
+        super(seed);
+        this.size = 1 << levels;
+        this.roughness = roughness;
+        this.amplitude = amplitude;
+        this.tileLength = tileLength;
+        this.grid = new Float32Array(this.size * this.size);
+        this.generateGrid();
+    }
+
+    /**
+     * Returns the index of a grid sample, wrapping around the edges
+     * @param {number} i the row of the sample
+     * @param {number} j the column of the sample
+     * @return {number} the index of the sample in the grid
+     */
+    index(i, j) {
+        let mask = this.size - 1;
+        return (i & mask) * this.size + (j & mask);
+    }
+
+    /**
+     * Fills the grid by alternating diamond and square steps, then scales it
+     * to [-amplitude, amplitude]
+     */
+    generateGrid() {
+        let grid = this.grid;
+        let scale = 1.0;
+        let n = 0;
+        for (let step = this.size; step > 1; step /= 2) {
+            let half = step / 2;
+            // Diamond step: the center of each square from its four corners
+            for (let i = half; i < this.size; i += step) {
+                for (let j = half; j < this.size; j += step) {
+                    let average = (grid[this.index(i - half, j - half)] +
+                                   grid[this.index(i - half, j + half)] +
+                                   grid[this.index(i + half, j - half)] +
+                                   grid[this.index(i + half, j + half)]) / 4;
+                    grid[this.index(i, j)] = average + (this.hashRandom(i, j, n++) * 2 - 1) * scale;
+                }
+            }
+            // Square step: the middle of each edge from its four neighbors
+            for (let i = 0; i < this.size; i += half) {
+                for (let j = (i / half) % 2 == 0 ? half : 0; j < this.size; j += step) {
+                    let average = (grid[this.index(i - half, j)] +
+                                   grid[this.index(i + half, j)] +
+                                   grid[this.index(i, j - half)] +
+                                   grid[this.index(i, j + half)]) / 4;
+                    grid[this.index(i, j)] = average + (this.hashRandom(i, j, n++) * 2 - 1) * scale;
+                }
+            }
+            scale *= this.roughness;
+        }
+
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        for (let k = 0; k < grid.length; k++) {
+            minZ = Math.min(minZ, grid[k]);
+            maxZ = Math.max(maxZ, grid[k]);
+        }
+        for (let k = 0; k < grid.length; k++) {
+            grid[k] = ((grid[k] - minZ) / (maxZ - minZ) * 2 - 1) * this.amplitude;
+        }
+    }
+
+    /**
+     * Returns the bilinearly interpolated height of the repeating tile
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {number} the height at (x,y)
+     */
+    heightAt(x, y) {
+        let gx = x / this.tileLength * this.size;
+        let gy = y / this.tileLength * this.size;
+        let j = Math.floor(gx);
+        let i = Math.floor(gy);
+        let tx = gx - j;
+        let ty = gy - i;
+        let grid = this.grid;
+        let bottom = grid[this.index(i, j)] * (1 - tx) + grid[this.index(i, j + 1)] * tx;
+        let top = grid[this.index(i + 1, j)] * (1 - tx) + grid[this.index(i + 1, j + 1)] * tx;
+        return bottom * (1 - ty) + top * ty;
+    }
+}
+
+/**
+ * Generator classes by name, for HeightGenerator.fromMessage
+ * @type {Object<string, function(new:HeightGenerator)>}
+ */
+HeightGenerator.types = {
+    PartitionGenerator: PartitionGenerator,
+    GradientNoiseGenerator: GradientNoiseGenerator,
+    FBmGenerator: FBmGenerator,
+    DiamondSquareGenerator: DiamondSquareGenerator
+};
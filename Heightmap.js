@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Heightmap - Grayscale image heights for a Terrain
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/** Class holding a grid of heights in [0,1] read from a grayscale image. */
+class Heightmap {
+    /**
+     * Initialize members of a Heightmap object
+     * @param {number} width Number of samples along the x axis
+     * @param {number} height Number of samples along the y axis
+     * @param {Float32Array} data Row major samples in [0,1], first row on top
+     */
+    constructor(width, height, data) {
+        this.width = width;
+        this.height = height;
+        this.data = data;
+    }
+
+    /**
+     * Reads the luminance of every pixel of a loaded image
+     * @param {HTMLImageElement} image a fully loaded PNG or JPEG image
+     * @return {Heightmap} the heightmap of the image
+     */
+    static fromImage(image) {
+        let imageCanvas = document.createElement("canvas");
+        imageCanvas.width = image.width;
+        imageCanvas.height = image.height;
+        let context = imageCanvas.getContext("2d");
+        context.drawImage(image, 0, 0);
+        let pixels = context.getImageData(0, 0, image.width, image.height).data;
+
+        let data = new Float32Array(image.width * image.height);
+        for (let i = 0; i < data.length; i++) {
+            let r = pixels[i*4];
+            let g = pixels[i*4 + 1];
+            let b = pixels[i*4 + 2];
+            data[i] = (0.2126*r + 0.7152*g + 0.0722*b) / 255.0;
+        }
+        return new Heightmap(image.width, image.height, data);
+    }
+
+    /**
+     * Loads a heightmap from an image URL
+     * @param {string} url the URL of a PNG or JPEG image
+     * @param {function(Heightmap)} onLoad called with the heightmap once loaded
+     * @param {function(string)} onError called with a message if loading or
+     *     reading the pixels fails
+     */
+    static loadFromURL(url, onLoad, onError) {
+        let image = new Image();
+        image.crossOrigin = "anonymous";
+        image.onload = function() {
+            let heightmap;
+            try {
+                heightmap = Heightmap.fromImage(image);
+            } catch (error) {
+                // Pixels of images from other sites without CORS headers cannot be read
+                onError("Heightmap: Could not read the pixels of " + url + ": " + error.message);
+                return;
+            }
+            onLoad(heightmap);
+        };
+        image.onerror = function() {
+            onError("Heightmap: Could not load image " + url);
+        };
+        image.src = url;
+    }
+
+    /**
+     * Loads a heightmap from an image file chosen in a file input
+     * @param {File} file a PNG or JPEG file
+     * @param {function(Heightmap)} onLoad called with the heightmap once loaded
+     * @param {function(string)} onError called with a message if loading fails
+     */
+    static loadFromFile(file, onLoad, onError) {
+        let url = URL.createObjectURL(file);
+        Heightmap.loadFromURL(url, function(heightmap) {
+            URL.revokeObjectURL(url);
+            onLoad(heightmap);
+        }, function(message) {
+            URL.revokeObjectURL(url);
+            onError("Heightmap: Could not load file " + file.name + " (" + message + ")");
+        });
+    }
+
+    /**
+     * Returns the bilinearly interpolated height at normalized coordinates
+     * @param {number} u horizontal coordinate in [0,1], 0 is the left edge
+     * @param {number} v vertical coordinate in [0,1], 0 is the top edge
+     * @return {number} the height in [0,1]
+     */
+    sample(u, v) {
+        let x = Math.min(Math.max(u, 0), 1) * (this.width - 1);
+        let y = Math.min(Math.max(v, 0), 1) * (this.height - 1);
+        let x0 = Math.floor(x);
+        let y0 = Math.floor(y);
+        let x1 = Math.min(x0 + 1, this.width - 1);
+        let y1 = Math.min(y0 + 1, this.height - 1);
+        let tx = x - x0;
+        let ty = y - y0;
+
+        let top = this.data[y0*this.width + x0] * (1 - tx) + this.data[y0*this.width + x1] * tx;
+        let bottom = this.data[y1*this.width + x0] * (1 - tx) + this.data[y1*this.width + x1] * tx;
+        return top * (1 - ty) + bottom * ty;
+    }
+}
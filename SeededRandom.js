@@ -0,0 +1,45 @@
+/**
+ * @fileoverview SeededRandom - Pseudo random number generator with its own seed
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Pseudo Random Number Generator based on a seed to reproduce random results.
+ * Each instance keeps its own state, so terrains draw independent streams.
+ * Uses the Mulberry32 generator.
+ * Source: https://gist.github.com/tommyettinger/46a874533244883189143505d203312c
+ */
+class SeededRandom {
+    /**
+     * Initialize members of a SeededRandom object
+     * @param {number} seed Integer seed of the sequence
+     */
+    constructor(seed) {
+        this.seed = seed;
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Returns a new seed for worlds that were not given one
+     * @return {number} a random integer seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 999999);
+    }
+
+    /**
+     * Returns the next number of the sequence
+     * @return {number} a pseudo random number in [0,1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+if (typeof module != "undefined" && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,247 @@
+/**
+ * @fileoverview ShaderLibrary - Shader source files, compiled into programs and reloaded when they change
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class holding the sources of the shader files of the page by URL. Copies
+ * of the files in shader scripts of the page are the starting sources, which
+ * the files replace when they load. Programs are compiled from the sources,
+ * with names defined at the top to build several programs from the same files. Compile and link errors are
+ * thrown with the file, line and source around each error, instead of
+ * leaving a broken program behind. While polling, the files are requested
+ * again every so often and a callback hears which ones changed, so shaders
+ * can be edited while the page runs.
+ */
+class ShaderLibrary {
+    /**
+     * Initialize members of a ShaderLibrary object
+     * @param {WebGLRenderingContext} gl The context the programs are built in
+     */
+    constructor(gl) {
+        this.gl = gl;
+        // Source of every loaded file, by URL
+        this.sources = {};
+        this.pollTimer = null;
+        // Counts startPolling and stopPolling calls, so a poll that was still
+        // waiting for its files when polling stopped does not schedule another
+        this.pollGeneration = 0;
+    }
+
+    /**
+     * Requests the text of a file. Files are never taken from the browser
+     * cache, or edits would not show up until the cache expires.
+     * @param {string} url the URL of the file
+     * @param {function(string)} onLoad called with the text of the file
+     * @param {function(string)} onError called with a message if loading fails
+     */
+    static request(url, onLoad, onError) {
+        let request = new XMLHttpRequest();
+        request.open("GET", url + (url.includes("?") ? "&" : "?") + "time=" + Date.now());
+        request.onload = function() {
+            // Files read from the disk without a server have status 0
+            if (request.status == 200 || (request.status == 0 && request.responseText)) {
+                onLoad(request.responseText);
+            } else {
+                onError("ShaderLibrary: Could not load " + url + " (status " + request.status + ")");
+            }
+        };
+        request.onerror = function() {
+            onError("ShaderLibrary: Could not load " + url +
+                    ", pages opened from the disk may need to be served over HTTP to read shader files");
+        };
+        request.send();
+    }
+
+    /**
+     * Keeps the sources of the shader scripts of a page as the sources of the
+     * files they copy, named by their data-src attribute
+     * @param {Document} page the page holding the scripts
+     */
+    addScripts(page) {
+        for (let script of page.querySelectorAll("script[data-src]")) {
+            // The source starts on the line after the script tag
+            this.sources[script.dataset.src] = script.text.replace(/^\r?\n/, "");
+        }
+    }
+
+    /**
+     * Loads the sources of shader files. A file that fails to load keeps the
+     * source it already had, from a shader script of the page.
+     * @param {Array<string>} urls the URLs of the files
+     * @param {function()} onLoad called once every file has loaded or failed to
+     * @param {function(string)} onError called with a message for each file that fails to load
+     */
+    load(urls, onLoad, onError) {
+        let pending = urls.length;
+        let finish = () => {
+            pending--;
+            if (pending == 0) {
+                onLoad();
+            }
+        };
+        for (let url of urls) {
+            ShaderLibrary.request(url, source => {
+                this.sources[url] = source;
+                finish();
+            }, message => {
+                onError(message);
+                finish();
+            });
+        }
+    }
+
+    /**
+     * Compiles a shader from a loaded file
+     * @param {number} type gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+     * @param {string} url the URL of the file
+     * @param {Array<string>=} defines Optional names defined at the top of the source
+     * @return {WebGLShader} the compiled shader
+     * @throws {Error} with the errors of the compiler if it fails
+     */
+    compileShader(type, url, defines = []) {
+        let gl = this.gl;
+        let source = this.sources[url];
+        if (source == undefined) {
+            throw new Error("ShaderLibrary: " + url + " is not loaded");
+        }
+
+        let shader = gl.createShader(type);
+        gl.shaderSource(shader, defines.map(name => "#define " + name + "\n").join("") + source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            let log = gl.getShaderInfoLog(shader);
+            gl.deleteShader(shader);
+            // The defines push every line of the file down by one
+            throw new Error(ShaderLibrary.formatLog(log, url, source, defines.length));
+        }
+        return shader;
+    }
+
+    /**
+     * Compiles and links a program from a vertex and a fragment shader file
+     * @param {string} vertexURL the URL of the vertex shader file
+     * @param {string} fragmentURL the URL of the fragment shader file
+     * @param {Array<string>=} defines Optional names defined at the top of both sources
+     * @param {Object<string, number>=} attributeLocations Optional locations
+     *     to bind attributes to before linking, by attribute name
+     * @return {WebGLProgram} the linked program
+     * @throws {Error} with the errors of the compiler or linker if either fails
+     */
+    createProgram(vertexURL, fragmentURL, defines = [], attributeLocations = {}) {
+        let gl = this.gl;
+        let vertexShader = this.compileShader(gl.VERTEX_SHADER, vertexURL, defines);
+        let fragmentShader;
+        try {
+            fragmentShader = this.compileShader(gl.FRAGMENT_SHADER, fragmentURL, defines);
+        } catch (error) {
+            gl.deleteShader(vertexShader);
+            throw error;
+        }
+
+        let program = gl.createProgram();
+        gl.attachShader(program, vertexShader);
+        gl.attachShader(program, fragmentShader);
+        for (let name in attributeLocations) {
+            gl.bindAttribLocation(program, attributeLocations[name], name);
+        }
+        gl.linkProgram(program);
+        // The program keeps what it needs from the shaders once linked
+        gl.deleteShader(vertexShader);
+        gl.deleteShader(fragmentShader);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            let log = gl.getProgramInfoLog(program);
+            gl.deleteProgram(program);
+            throw new Error("ShaderLibrary: Could not link " + vertexURL + " with " + fragmentURL +
+                            "\n" + log.trim());
+        }
+        return program;
+    }
+
+    /**
+     * Rewrites the info log of a shader compiler with the file and line of
+     * each error, followed by the source lines around it. Compilers write
+     * errors as "ERROR: 0:12: message", with 0 the source string and 12 the line.
+     * @param {string} log the info log of the shader
+     * @param {string} url the URL of the shader file
+     * @param {string} source the source of the shader file
+     * @param {number} lineOffset the number of lines added above the source
+     * @return {string} the errors, one or more lines each
+     */
+    static formatLog(log, url, source, lineOffset) {
+        let lines = source.split(/\r?\n/);
+        let numberWidth = String(lines.length).length;
+        let messages = [];
+        for (let entry of log.split("\n")) {
+            entry = entry.replace(/\0/g, "").trim();
+            if (entry == "") {
+                continue;
+            }
+            let match = /^(ERROR|WARNING): \d+:(\d+): (.*)$/.exec(entry);
+            if (match == null) {
+                messages.push(url + ": " + entry);
+                continue;
+            }
+
+            // Errors of the whole shader are on line 0, before any added lines
+            let line = Number(match[2]) - lineOffset;
+            if (line < 1) {
+                messages.push(url + ": " + match[1] + ": " + match[3]);
+                continue;
+            }
+            messages.push(url + ":" + line + ": " + match[1] + ": " + match[3]);
+            for (let k = Math.max(line - 1, 1); k <= Math.min(line + 1, lines.length); k++) {
+                messages.push((k == line ? "> " : "  ") + String(k).padStart(numberWidth) + " | " + lines[k - 1]);
+            }
+        }
+        return messages.join("\n");
+    }
+
+    /**
+     * Starts requesting every loaded file again at an interval, and keeps
+     * the new sources of the files that changed. A file that fails to load
+     * keeps its last source, since editors may briefly remove it when saving.
+     * @param {number} interval the milliseconds between the end of a poll and the next
+     * @param {function(Array<string>)} onChange called with the URLs of the
+     *     files that changed, after their new sources are kept
+     */
+    startPolling(interval, onChange) {
+        this.stopPolling();
+        let generation = this.pollGeneration;
+        let poll = () => {
+            let urls = Object.keys(this.sources);
+            // New sources by URL, only kept if polling has not stopped meanwhile
+            let changed = {};
+            let pending = urls.length;
+            let finish = () => {
+                pending--;
+                if (pending > 0 || generation != this.pollGeneration) {
+                    return;
+                }
+                Object.assign(this.sources, changed);
+                if (Object.keys(changed).length > 0) {
+                    onChange(Object.keys(changed));
+                }
+                this.pollTimer = setTimeout(poll, interval);
+            };
+            for (let url of urls) {
+                ShaderLibrary.request(url, source => {
+                    if (source != this.sources[url]) {
+                        changed[url] = source;
+                    }
+                    finish();
+                }, finish);
+            }
+        };
+        this.pollTimer = setTimeout(poll, interval);
+    }
+
+    /**
+     * Stops requesting the files again
+     */
+    stopPolling() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.pollGeneration++;
+    }
+}
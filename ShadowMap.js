@@ -0,0 +1,102 @@
+/**
+ * @fileoverview ShadowMap - Depth of the terrain as seen from the light
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class holding the render target and matrices of a shadow map. The light
+ * is treated as directional and looks at a square region around a center,
+ * usually the camera. Depths are packed into the RGBA channels since
+ * WebGL 1 does not have depth textures without an extension.
+ */
+class ShadowMap {
+    /**
+     * Initialize members of a ShadowMap object
+     * @param {number} size Width and height of the shadow map in pixels
+     */
+    constructor(size) {
+        this.size = size;
+        this.lightView = glMatrix.mat4.create();
+        this.lightProjection = glMatrix.mat4.create();
+
+        // Packed depths cannot be interpolated, so the texture is sampled
+        // with nearest filtering and the shader filters the comparisons
+        this.texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        let depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+        this.framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
+            console.log("ShadowMap: Incomplete framebuffer");
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        // Square covering the viewport, for the debug view
+        this.VertexPositionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 0,  1, -1, 0,  -1, 1, 0,  1, 1, 0]),
+                      gl.STATIC_DRAW);
+        this.VertexPositionBuffer.itemSize = 3;
+        this.VertexPositionBuffer.numItems = 4;
+    }
+
+    /**
+     * Points the light at a square region around a center
+     * @param {Object} lightDirection the unit direction towards the light in world coordinates
+     * @param {Object} center the center of the shadowed region in world coordinates
+     * @param {number} radius half the width of the shadowed region
+     */
+    update(lightDirection, center, radius) {
+        let lightEye = glMatrix.vec3.create();
+        glMatrix.vec3.scaleAndAdd(lightEye, center, lightDirection, 2 * radius);
+        // Any up vector works as long as it is not parallel to the light
+        let lightUp = Math.abs(lightDirection[1]) > 0.99 ? [0, 0, 1] : [0, 1, 0];
+        glMatrix.mat4.lookAt(this.lightView, lightEye, center, lightUp);
+        glMatrix.mat4.ortho(this.lightProjection, -radius, radius, -radius, radius, 0, 4 * radius);
+    }
+
+    /**
+     * Returns the matrix taking model coordinates to shadow map texture
+     * coordinates, with the depth from the light in z
+     * @param {Object} out an output 4x4 matrix
+     * @param {Object} modelMatrix the model matrix of the terrain
+     */
+    getShadowMatrix(out, modelMatrix) {
+        // Maps clip coordinates in [-1,1] to texture coordinates in [0,1]
+        glMatrix.mat4.fromTranslation(out, [0.5, 0.5, 0.5]);
+        glMatrix.mat4.scale(out, out, [0.5, 0.5, 0.5]);
+        glMatrix.mat4.multiply(out, out, this.lightProjection);
+        glMatrix.mat4.multiply(out, out, this.lightView);
+        glMatrix.mat4.multiply(out, out, modelMatrix);
+    }
+
+    /**
+     * Directs rendering into the shadow map
+     */
+    bind() {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+        gl.viewport(0, 0, this.size, this.size);
+    }
+
+    /**
+     * Draws the square of the debug view with the shadow debug shader
+     * @param {WebGLProgram} program the debug shader program with a vertexPositionAttribute
+     */
+    drawDebug(program) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.vertexAttribPointer(program.vertexPositionAttribute, this.VertexPositionBuffer.itemSize,
+                               gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, this.VertexPositionBuffer.numItems);
+    }
+}
@@ -1,452 +1,832 @@
-/**
- * @fileoverview Terrain - 3D Terrain Object in WebGL
- * @author Yani Julian <bjulia2@illinois.edu>  
- */
-
-/** Class implementing 3D terrain. */
-class Terrain {
-    /**
-     * Initialize members of a Terrain object
-     * @param {number} div Number of triangles along x axis and y axis
-     * @param {number} minX Minimum X coordinate value
-     * @param {number} maxX Maximum X coordinate value
-     * @param {number} minY Minimum Y coordinate value
-     * @param {number} maxY Maximum Y coordinate value
-     */
-    constructor(div,minX,maxX,minY,maxY) {
-        this.div = div;
-        this.minX=minX;
-        this.minY=minY;
-        this.maxX=maxX;
-        this.maxY=maxY;
-        
-        // Allocate vertex array
-        this.vBuffer = [];
-        // Allocate triangle array
-        this.fBuffer = [];
-        // Allocate normal array
-        this.nBuffer = [];
-        // Allocate array for edges so we can draw wireframe
-        this.eBuffer = [];
-        console.log("Terrain: Allocated buffers");
-        
-        this.generateTriangles();
-        console.log("Terrain: Generated triangles");
-        
-        this.generateLines();
-        console.log("Terrain: Generated lines");
-        
-        // Get extension for 4 byte integer indices for drwElements
-        var ext = gl.getExtension('OES_element_index_uint');
-        if (ext == null){
-            alert("OES_element_index_uint is unsupported by your browser and terrain generation cannot proceed.");
-        }
-    }
-    
-    /**
-    * Set the x,y,z coordinates of an indexed vertex
-    * @param {Object} v an array of length 3 holding x,y,z coordinates
-    * @param {number} i the index of the vertex
-    */
-    setVertex(v,i) {
-        var vid = i*3;
-        this.vBuffer[vid] = v[0];
-        this.vBuffer[vid + 1] = v[1];
-        this.vBuffer[vid + 2] = v[2];
-    }
-    
-    /**
-    * Return the x,y,z coordinates of an indexed vertex
-    * @param {Object} v output array of length 3 holding x,y,z coordinates
-    * @param {number} i the index of the vertex
-    */
-    getVertex(v,i) {
-        var vid = i*3;
-        v[0] = this.vBuffer[vid];
-        v[1] = this.vBuffer[vid + 1];
-        v[2] = this.vBuffer[vid + 2];
-    }
-    
-    /**
-    * Set the x,y,z coordinates of a normal
-    * @param {Object} n an array of length 3 holding x,y,z coordinates
-    * @param {number} i the index of the normal
-    */
-    setNormal(n,i) {
-        var nid = i*3;
-        this.nBuffer[nid] = n[0];
-        this.nBuffer[nid + 1] = n[1];
-        this.nBuffer[nid + 2] = n[2];
-    }
-   
-   /**
-   * Return the x,y,z coordinates of a normal
-   * @param {Object} n output array of length 3 holding x,y,z coordinates
-   * @param {number} i the index of the normal
-   */
-    getNormal(n,i) {
-        var nid = i*3;
-        n[0] = this.nBuffer[nid];
-        n[1] = this.nBuffer[nid + 1];
-        n[2] = this.nBuffer[nid + 2];
-    }
-
-    /**
-     * Returns the vertex indices of the triangle for the face
-     * @param {Object} out output array of length 3 holding the triangle vertex indices
-     * @param {number} i the index of the face
-     */
-    getVertexIndicesByFaceIndex(out, i) {
-        var fid = i*3;
-        out[0] = this.fBuffer[fid];
-        out[1] = this.fBuffer[fid+1];
-        out[2] = this.fBuffer[fid+2];
-    }
-
-    /**
-     * Returns the 3 vertices of the triangle for the face
-     * @param {Object} v1 output array of length 3 for vertex position v1
-     * @param {Object} v2 output array of length 3 for vertex position v2
-     * @param {Object} v3 output array of length 3 for vertex position v3
-     * @param {number} i the index of the face
-     */
-    getVerticesByFaceIndex(v1, v2, v3, i) {
-        let vertexIndices = glMatrix.vec3.create();
-        this.getVertexIndicesByFaceIndex(vertexIndices, i);
-        this.getVertex(v1, vertexIndices[0]);
-        this.getVertex(v2, vertexIndices[1]);
-        this.getVertex(v3, vertexIndices[2]);
-    }
-
-    /**
-     * Returns the 3 normals for each vertex of the triangle for the face
-     * @param {Object} n1 output array of length 3 for vertex normal v1
-     * @param {Object} n2 output array of length 3 for vertex normal v2
-     * @param {Object} n3 output array of length 3 for vertex normal v3
-     * @param {number} i the index of the face
-     */
-    getNormalsByFaceIndex(n1, n2, n3, i) {
-        let vertexIndices = glMatrix.vec3.create();
-        this.getVertexIndicesByFaceIndex(vertexIndices, i);
-        this.getNormal(n1, vertexIndices[0]);
-        this.getNormal(n2, vertexIndices[1]);
-        this.getNormal(n3, vertexIndices[2]);
-    }
-
-    /**
-     * Sets the 3 normals for each vertex of the triangle for the face
-     * @param {Object} n1 an array of length 3 for vertex normal v1
-     * @param {Object} n2 an array of length 3 for vertex normal v2
-     * @param {Object} n3 an array of length 3 for vertex normal v3
-     * @param {number} i the index of the face
-     */
-    setNormalsByFaceIndex(n1, n2, n3, i) {
-        let vertexIndices = glMatrix.vec3.create();
-        this.getVertexIndicesByFaceIndex(vertexIndices, i);
-        this.setNormal(n1, vertexIndices[0]);
-        this.setNormal(n2, vertexIndices[1]);
-        this.setNormal(n3, vertexIndices[2]);
-    }
-
-    /**
-     * Offsets the vertex height at the index specified by a delta amount 
-     * @param {number} delta offset the height of the vertex
-     * @param {number} i the index of the vertex
-     */
-    offsetHeight(delta, i) {
-        let pos = glMatrix.vec3.create()
-        this.getVertex(pos, i);
-        pos[2] += delta;
-        this.setVertex(pos, i);
-    }
-    /**
-     * Returns the highest and lowest z coordinates/height as (min,max)
-     * @param {Object} out an output array of 2 to hold min/max of height
-     */
-    getHeightInterval(out) {
-        let minZ = 1.0;
-        let maxZ = -1.0;
-        for (let i = 0; i < this.numVertices; i ++) {
-            let vertex = glMatrix.vec3.create();
-            this.getVertex(vertex, i);
-            let currentZ = vertex[2];
-            if (currentZ > maxZ) {
-                maxZ = currentZ;
-            }
-            if (currentZ < minZ) {
-                minZ = currentZ;
-            }
-        }
-        out[0] = minZ;
-        out[1] = maxZ;
-    }
-
-    /**
-    * Send the buffer objects to WebGL for rendering 
-    */
-    loadBuffers() {
-        // Specify the vertex coordinates
-        this.VertexPositionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.vBuffer), gl.STATIC_DRAW);
-        this.VertexPositionBuffer.itemSize = 3;
-        this.VertexPositionBuffer.numItems = this.numVertices;
-        console.log("Loaded ", this.VertexPositionBuffer.numItems, " vertices");
-    
-        // Specify normals to be able to do lighting calculations
-        this.VertexNormalBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(this.nBuffer),
-                  gl.STATIC_DRAW);
-        this.VertexNormalBuffer.itemSize = 3;
-        this.VertexNormalBuffer.numItems = this.numVertices;
-        console.log("Loaded ", this.VertexNormalBuffer.numItems, " normals");
-    
-        // Specify faces of the terrain 
-        this.IndexTriBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexTriBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(this.fBuffer),
-                  gl.STATIC_DRAW);
-        this.IndexTriBuffer.itemSize = 1;
-        this.IndexTriBuffer.numItems = this.fBuffer.length;
-        console.log("Loaded ", this.IndexTriBuffer.numItems, " triangles");
-    
-        // Setup Edges  
-        this.IndexEdgeBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexEdgeBuffer);
-        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint32Array(this.eBuffer),
-                  gl.STATIC_DRAW);
-        this.IndexEdgeBuffer.itemSize = 1;
-        this.IndexEdgeBuffer.numItems = this.eBuffer.length;
-        
-        console.log("triangulatedPlane: loadBuffers");
-    }
-    
-    /**
-    * Render the triangles 
-    */
-    drawTriangles() {
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, this.VertexPositionBuffer.itemSize, 
-                         gl.FLOAT, false, 0, 0);
-
-        // Bind normal buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, 
-                           this.VertexNormalBuffer.itemSize,
-                           gl.FLOAT, false, 0, 0);   
-    
-        //Draw 
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexTriBuffer);
-        gl.drawElements(gl.TRIANGLES, this.IndexTriBuffer.numItems, gl.UNSIGNED_INT,0);
-    }
-    
-    /**
-    * Render the triangle edges wireframe style 
-    */
-    drawEdges() {
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexPositionAttribute, this.VertexPositionBuffer.itemSize, 
-                         gl.FLOAT, false, 0, 0);
-
-        // Bind normal buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
-        gl.vertexAttribPointer(shaderProgram.vertexNormalAttribute, 
-                           this.VertexNormalBuffer.itemSize,
-                           gl.FLOAT, false, 0, 0);   
-    
-        //Draw 
-        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexEdgeBuffer);
-        gl.drawElements(gl.LINES, this.IndexEdgeBuffer.numItems, gl.UNSIGNED_INT,0);   
-    }
-
-    /**
-     * Fill the vertex and buffer arrays 
-     */    
-    generateTriangles() {
-        //Your code here
-        var deltaX = (this.maxX - this.minX) / this.div;
-        var deltaY = (this.maxY - this.minY) / this.div;
-        for(var i = 0; i <= this.div; i++) {
-            for (var j = 0; j <= this.div; j++) {
-                this.vBuffer.push(this.minX+deltaX*j);
-                this.vBuffer.push(this.minY+deltaY*i);
-                this.vBuffer.push(0);
-
-                this.nBuffer.push(0);
-                this.nBuffer.push(0);
-                this.nBuffer.push(0);
-            }
-        }
-        for(var i = 0; i < this.div; i++) {
-            for (var j = 0; j < this.div; j++) {
-                var vid = i*(this.div+1) +j;
-                this.fBuffer.push(vid);
-                this.fBuffer.push(vid + 1);
-                this.fBuffer.push(vid + this.div + 1);
-
-                this.fBuffer.push(vid + 1);
-                this.fBuffer.push(vid + 1 + this.div + 1);
-                this.fBuffer.push(vid + this.div + 1);
-            }
-        }
-        
-        //
-        this.numVertices = this.vBuffer.length/3;
-        this.numFaces = this.fBuffer.length/3;
-        this.setHeightsByPartition(300, 0.005);
-        this.generateNormals();
-    }
-
-    /**
-     * Computes per vertex normals on the mesh
-     */
-    generateNormals() {
-        for(var i=0;i<this.numFaces;i++) {
-            let v1 = glMatrix.vec3.create();
-            let v2 = glMatrix.vec3.create();
-            let v3 = glMatrix.vec3.create();
-            this.getVerticesByFaceIndex(v1, v2, v3, i);
-
-            let v2_minus_v1 = glMatrix.vec3.create();
-            glMatrix.vec3.subtract(v2_minus_v1, v2, v1);
-
-            let v3_minus_v1 = glMatrix.vec3.create();
-            glMatrix.vec3.subtract(v3_minus_v1, v3, v1);
-            let n = glMatrix.vec3.create();
-            glMatrix.vec3.cross(n, v2_minus_v1, v3_minus_v1);
-           
-            
-            let n1 = glMatrix.vec3.create();
-            let n2 = glMatrix.vec3.create();
-            let n3 = glMatrix.vec3.create();
-            this.getNormalsByFaceIndex(n1, n2, n3, i);
-            glMatrix.vec3.add(n1, n1, n1);
-            glMatrix.vec3.add(n2, n2, n2);
-            glMatrix.vec3.add(n3, n3, n2);
-
-            glMatrix.vec3.add(n1, n1, n);
-            glMatrix.vec3.add(n2, n2, n);
-            glMatrix.vec3.add(n3, n3, n);
-
-            this.setNormalsByFaceIndex(n1, n2, n3, i);
-        }
-        for (var i = 0; i < this.numVertices; i++) {
-            let n = glMatrix.vec3.create();
-            this.getNormal(n, i);
-            glMatrix.vec3.normalize(n, n);
-            this.setNormal(n, i);
-        }
-    }
-
-    /**
-     * Set the vertex heights according to a slow but simple noise generating
-     * algorithm. We repeatedly parition the terrain using a random cutting plane.
-     * On one side of the plane we raise the terrain, on the other side we lower it.
-     * @param {number} N the number of times to parition the terrain grad and 
-     *                  adjust the heights on each side.
-     * @param {number} delta the amount to raise (and lower) the patitioned vertices
-     */
-    setHeightsByPartition(N, delta) {
-        if (N == 0) {
-            return;
-        }
-        let randomX = Math.seededRandom() * (this.maxX - this.minX) + this.minX;
-        let randomY = Math.seededRandom() * (this.maxY - this.minY) + this.minY;
-        let p = glMatrix.vec3.fromValues(randomX, randomY, 0);
-        let randomRadian = Math.seededRandom() * Math.PI*2;
-        let n = glMatrix.vec3.fromValues(Math.cos(randomRadian), Math.sin(randomRadian), 0);
-        //console.log(n);
-        for(let i = 0; i < this.numVertices; i++) {
-            let b = glMatrix.vec3.create();
-            this.getVertex(b, i);
-            glMatrix.vec3.subtract(b, b, p);
-            //console.log(b);
-            let signTest = glMatrix.vec3.dot(b, n);
-            if(signTest > 0) {
-                this.offsetHeight(delta, i);
-            } else {
-                this.offsetHeight(-1*delta, i);
-            }
-        }
-        this.setHeightsByPartition(N-1, delta);
-    }
-
-    /**
-     * Print vertices and triangles to console for debugging
-     */
-    printBuffers() {
-        for(var i=0;i<this.numVertices;i++) {
-            console.log("v ", this.vBuffer[i*3], " ", 
-                                this.vBuffer[i*3 + 1], " ",
-                                this.vBuffer[i*3 + 2], " ");
-                        
-        }
-        
-        for(var i=0;i<this.numFaces;i++) {
-            console.log("f ", this.fBuffer[i*3], " ", 
-                                this.fBuffer[i*3 + 1], " ",
-                                this.fBuffer[i*3 + 2], " ");
-                        
-        }
-    }
-
-    /**
-     * Prints the min/max of z coordinates to console for debugging
-     */
-    printHeightInterval(){
-        let heightInterval = glMatrix.vec2.create();
-        this.getHeightInterval(heightInterval);
-        console.log("Min Height: " + heightInterval[0]);
-        console.log("Max Height: " + heightInterval[1]);
-
-        let minZ = heightInterval[0];
-        let maxZ = heightInterval[1];
-        let intervalLength = Math.abs(minZ) + Math.abs(maxZ);
-        let interval_30 = intervalLength * 0.3;
-        let interval_20 = intervalLength * 0.2;
-
-        let topStartZ = maxZ - interval_20; // top color is 20 percent
-        let midStartZ = topStartZ - interval_30; // mid color is 30 percent 
-        let baseStartZ = midStartZ - interval_30; // base color is 30 percent
-        let botStartZ = minZ;
-
-        console.log("intervals: topStartZ->" + topStartZ + ", midStartZ->" + midStartZ + ", baseStartZ->" + baseStartZ + ", botStartZ->" + botStartZ);
-    }
-    
-    /**
-     * Generates line values from faces in faceArray
-     * to enable wireframe rendering
-     */
-    generateLines() {
-        var numTris=this.fBuffer.length/3;
-        for(var f=0;f<numTris;f++) {
-            var fid=f*3;
-            this.eBuffer.push(this.fBuffer[fid]);
-            this.eBuffer.push(this.fBuffer[fid+1]);
-            
-            this.eBuffer.push(this.fBuffer[fid+1]);
-            this.eBuffer.push(this.fBuffer[fid+2]);
-            
-            this.eBuffer.push(this.fBuffer[fid+2]);
-            this.eBuffer.push(this.fBuffer[fid]);
-        }
-    }
-}
-
-/**
- * Psuedo Random Number Generator Based on a seed to reproduce random results
- * Source: http://indiegamr.com/generate-repeatable-random-numbers-in-js/
- */
-Math.seededRandom = function() { 
-    if (Math.seed == undefined) {
-        // Initial Seed to be used in the Psuedo Random Number Generator for Math.seededRandom
-        let randomSeed = Math.floor(Math.random() * 999999);
-        console.log("using seed: " + randomSeed);
-        Math.seed = randomSeed;
-        //Math.seed = 186435; //522277
-    }
-    Math.seed = (Math.seed * 9301 + 49297) % 233280;
-    var rnd = Math.seed / 233280;
-    return rnd;
-}
\ No newline at end of file
+/**
+ * @fileoverview Terrain - 3D Terrain grid of heights, normals and triangles
+ * @author Yani Julian <bjulia2@illinois.edu>  
+ */
+
+/**
+ * Classes the terrain builds on. Node requires them, leaving the global scope
+ * alone, while the scripts of the page and of TerrainWorker load them first
+ * into the global scope they share.
+ * @type {Object<string, Function>}
+ */
+const terrainDependencies = typeof module != "undefined" && module.exports ? {
+    SeededRandom: require("./SeededRandom.js"),
+    TerrainLOD: require("./TerrainLOD.js"),
+    TerrainAnalysis: require("./TerrainAnalysis.js")
+} : {
+    SeededRandom: SeededRandom,
+    TerrainLOD: TerrainLOD,
+    TerrainAnalysis: TerrainAnalysis
+};
+
+/**
+ * Class implementing 3D terrain. It only holds the arrays of the grid and
+ * does not touch WebGL, so it also runs in TerrainWorker and in Node.
+ * TerrainRenderer draws it.
+ */
+class Terrain {
+    /**
+     * Initialize members of a Terrain object
+     * @param {number} div Number of triangles along x axis and y axis
+     * @param {number} minX Minimum X coordinate value
+     * @param {number} maxX Maximum X coordinate value
+     * @param {number} minY Minimum Y coordinate value
+     * @param {number} maxY Maximum Y coordinate value
+     * @param {HeightGenerator=} heightGenerator Optional generator of the
+     *     heights. Defaults to setHeightsByPartition when omitted.
+     * @param {number=} seed Optional seed of the terrain's random numbers.
+     *     A random seed is picked when omitted.
+     * @param {Object=} options Optional settings of the generation
+     * @param {Object=} options.buffers Arrays returned by getBuffers of a terrain
+     *     generated elsewhere, such as in TerrainWorker. They are used as they
+     *     are instead of generating the terrain.
+     * @param {function(string, number)=} options.onProgress Called with the
+     *     stage and the fraction of it done while the terrain is generated
+     */
+    constructor(div,minX,maxX,minY,maxY,heightGenerator,seed,options) {
+        this.div = div;
+        this.minX=minX;
+        this.minY=minY;
+        this.maxX=maxX;
+        this.maxY=maxY;
+        this.heightGenerator = heightGenerator;
+
+        if (seed == undefined) {
+            seed = terrainDependencies.SeededRandom.randomSeed();
+            console.log("Terrain: using seed " + seed);
+        }
+        this.seed = seed;
+        options = options || {};
+        this.onProgress = options.onProgress || null;
+
+        // Patches drawn at lower detail away from the camera
+        this.lod = new terrainDependencies.TerrainLOD(this, Terrain.lodPatchSize);
+        // Slope, aspect and curvature shown by the analysis overlays
+        this.analysis = new terrainDependencies.TerrainAnalysis(this);
+
+        if (options.buffers) {
+            this.setBuffers(options.buffers);
+            console.log("Terrain: Received buffers");
+            return;
+        }
+        
+        // The grid has (div+1)^2 vertices and two triangles per cell, so
+        // every array is allocated once at its final size
+        this.numVertices = (div + 1) * (div + 1);
+        this.numFaces = 2 * div * div;
+        // Allocate vertex array
+        this.vBuffer = new Float32Array(this.numVertices * 3);
+        // Allocate triangle array
+        this.fBuffer = new Uint32Array(this.numFaces * 3);
+        // Allocate normal array
+        this.nBuffer = new Float32Array(this.numVertices * 3);
+        // Allocate texture coordinate array
+        this.tBuffer = new Float32Array(this.numVertices * 2);
+        // Allocate array for edges so we can draw wireframe
+        this.eBuffer = new Uint32Array(this.numFaces * 6);
+        console.log("Terrain: Allocated buffers");
+        
+        this.generateTriangles();
+        console.log("Terrain: Generated triangles");
+        
+        this.generateLines();
+        console.log("Terrain: Generated lines");
+    }
+
+    /**
+     * Returns the generated arrays, to send the terrain to another thread.
+     * The arrays are not copied, so transferring them leaves this terrain empty.
+     * @return {{vBuffer: Float32Array, nBuffer: Float32Array, tBuffer: Float32Array,
+     *     fBuffer: Uint32Array, eBuffer: Uint32Array, randomState: number}} the arrays
+     *     and the state of the terrain's random numbers
+     */
+    getBuffers() {
+        return {
+            vBuffer: this.vBuffer,
+            nBuffer: this.nBuffer,
+            tBuffer: this.tBuffer,
+            fBuffer: this.fBuffer,
+            eBuffer: this.eBuffer,
+            randomState: this.random.state
+        };
+    }
+
+    /**
+     * Takes the arrays of a terrain generated elsewhere
+     * @param {Object} buffers the arrays returned by getBuffers
+     */
+    setBuffers(buffers) {
+        this.vBuffer = buffers.vBuffer;
+        this.nBuffer = buffers.nBuffer;
+        this.tBuffer = buffers.tBuffer;
+        this.fBuffer = buffers.fBuffer;
+        this.eBuffer = buffers.eBuffer;
+        this.numVertices = this.vBuffer.length/3;
+        this.numFaces = this.fBuffer.length/3;
+        // Continue the random numbers where the generation left them
+        this.random = new terrainDependencies.SeededRandom(this.seed);
+        this.random.state = buffers.randomState;
+    }
+
+    /**
+     * Reports the progress of the generation to the onProgress callback
+     * @param {string} stage the stage of the generation
+     * @param {number} fraction the fraction of the stage done, in [0,1]
+     */
+    reportProgress(stage, fraction) {
+        if (this.onProgress) {
+            this.onProgress(stage, fraction);
+        }
+    }
+    
+    /**
+    * Set the x,y,z coordinates of an indexed vertex
+    * @param {Object} v an array of length 3 holding x,y,z coordinates
+    * @param {number} i the index of the vertex
+    */
+    setVertex(v,i) {
+        var vid = i*3;
+        this.vBuffer[vid] = v[0];
+        this.vBuffer[vid + 1] = v[1];
+        this.vBuffer[vid + 2] = v[2];
+    }
+    
+    /**
+    * Return the x,y,z coordinates of an indexed vertex
+    * @param {Object} v output array of length 3 holding x,y,z coordinates
+    * @param {number} i the index of the vertex
+    */
+    getVertex(v,i) {
+        var vid = i*3;
+        v[0] = this.vBuffer[vid];
+        v[1] = this.vBuffer[vid + 1];
+        v[2] = this.vBuffer[vid + 2];
+    }
+    
+    /**
+    * Set the x,y,z coordinates of a normal
+    * @param {Object} n an array of length 3 holding x,y,z coordinates
+    * @param {number} i the index of the normal
+    */
+    setNormal(n,i) {
+        var nid = i*3;
+        this.nBuffer[nid] = n[0];
+        this.nBuffer[nid + 1] = n[1];
+        this.nBuffer[nid + 2] = n[2];
+    }
+   
+   /**
+   * Return the x,y,z coordinates of a normal
+   * @param {Object} n output array of length 3 holding x,y,z coordinates
+   * @param {number} i the index of the normal
+   */
+    getNormal(n,i) {
+        var nid = i*3;
+        n[0] = this.nBuffer[nid];
+        n[1] = this.nBuffer[nid + 1];
+        n[2] = this.nBuffer[nid + 2];
+    }
+
+    /**
+     * Returns the vertex indices of the triangle for the face
+     * @param {Object} out output array of length 3 holding the triangle vertex indices
+     * @param {number} i the index of the face
+     */
+    getVertexIndicesByFaceIndex(out, i) {
+        var fid = i*3;
+        out[0] = this.fBuffer[fid];
+        out[1] = this.fBuffer[fid+1];
+        out[2] = this.fBuffer[fid+2];
+    }
+
+    /**
+     * Returns the 3 vertices of the triangle for the face
+     * @param {Object} v1 output array of length 3 for vertex position v1
+     * @param {Object} v2 output array of length 3 for vertex position v2
+     * @param {Object} v3 output array of length 3 for vertex position v3
+     * @param {number} i the index of the face
+     */
+    getVerticesByFaceIndex(v1, v2, v3, i) {
+        var fid = i*3;
+        this.getVertex(v1, this.fBuffer[fid]);
+        this.getVertex(v2, this.fBuffer[fid+1]);
+        this.getVertex(v3, this.fBuffer[fid+2]);
+    }
+
+    /**
+     * Returns the 3 normals for each vertex of the triangle for the face
+     * @param {Object} n1 output array of length 3 for vertex normal v1
+     * @param {Object} n2 output array of length 3 for vertex normal v2
+     * @param {Object} n3 output array of length 3 for vertex normal v3
+     * @param {number} i the index of the face
+     */
+    getNormalsByFaceIndex(n1, n2, n3, i) {
+        var fid = i*3;
+        this.getNormal(n1, this.fBuffer[fid]);
+        this.getNormal(n2, this.fBuffer[fid+1]);
+        this.getNormal(n3, this.fBuffer[fid+2]);
+    }
+
+    /**
+     * Sets the 3 normals for each vertex of the triangle for the face
+     * @param {Object} n1 an array of length 3 for vertex normal v1
+     * @param {Object} n2 an array of length 3 for vertex normal v2
+     * @param {Object} n3 an array of length 3 for vertex normal v3
+     * @param {number} i the index of the face
+     */
+    setNormalsByFaceIndex(n1, n2, n3, i) {
+        var fid = i*3;
+        this.setNormal(n1, this.fBuffer[fid]);
+        this.setNormal(n2, this.fBuffer[fid+1]);
+        this.setNormal(n3, this.fBuffer[fid+2]);
+    }
+
+    /**
+     * Offsets the vertex height at the index specified by a delta amount 
+     * @param {number} delta offset the height of the vertex
+     * @param {number} i the index of the vertex
+     */
+    offsetHeight(delta, i) {
+        this.vBuffer[i*3 + 2] += delta;
+    }
+    /**
+     * Returns the height and normal at a point, bilinearly interpolated from
+     * the four vertices of the grid cell holding it
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @param {Object=} normal optional output vec3 holding the unit normal at the point
+     * @return {number} the height at (x,y), or NaN if the point is off the terrain
+     */
+    getHeightAt(x, y, normal) {
+        let gx = (x - this.minX) / (this.maxX - this.minX) * this.div;
+        let gy = (y - this.minY) / (this.maxY - this.minY) * this.div;
+        if (!(gx >= 0 && gx <= this.div && gy >= 0 && gy <= this.div)) {
+            return NaN;
+        }
+        // Points on the far edges belong to the last cell
+        let j = Math.min(Math.floor(gx), this.div - 1);
+        let i = Math.min(Math.floor(gy), this.div - 1);
+        let tx = gx - j;
+        let ty = gy - i;
+
+        let k00 = (i*(this.div+1) + j)*3;
+        let k10 = k00 + 3;
+        let k01 = k00 + (this.div+1)*3;
+        let k11 = k01 + 3;
+        let w00 = (1 - tx) * (1 - ty);
+        let w10 = tx * (1 - ty);
+        let w01 = (1 - tx) * ty;
+        let w11 = tx * ty;
+
+        if (normal) {
+            let n = this.nBuffer;
+            for (let c = 0; c < 3; c++) {
+                normal[c] = n[k00 + c]*w00 + n[k10 + c]*w10 + n[k01 + c]*w01 + n[k11 + c]*w11;
+            }
+            let length = Math.sqrt(normal[0]*normal[0] + normal[1]*normal[1] + normal[2]*normal[2]);
+            if (length > 0) {
+                normal[0] /= length;
+                normal[1] /= length;
+                normal[2] /= length;
+            }
+        }
+        let v = this.vBuffer;
+        return v[k00 + 2]*w00 + v[k10 + 2]*w10 + v[k01 + 2]*w01 + v[k11 + 2]*w11;
+    }
+
+    /**
+     * Returns where a ray first hits the terrain. The ray walks the grid
+     * cells under it in the xy plane, nearest first, and only the two
+     * triangles of each cell it crosses are tested.
+     * @param {Object} origin the start of the ray in terrain coordinates
+     * @param {Object} direction the direction of the ray in terrain coordinates
+     * @return {number} the distance to the hit in lengths of direction, Infinity if the ray misses
+     */
+    intersectRay(origin, direction) {
+        let cellWidth = (this.maxX - this.minX) / this.div;
+        let cellHeight = (this.maxY - this.minY) / this.div;
+
+        // Clip the ray to the terrain's bounds in the xy plane
+        let tEnter = 0;
+        let tExit = Infinity;
+        let bounds = [[this.minX, this.maxX], [this.minY, this.maxY]];
+        for (let axis = 0; axis < 2; axis++) {
+            let [low, high] = bounds[axis];
+            if (direction[axis] == 0) {
+                if (origin[axis] < low || origin[axis] > high) {
+                    return Infinity;
+                }
+                continue;
+            }
+            let t1 = (low - origin[axis]) / direction[axis];
+            let t2 = (high - origin[axis]) / direction[axis];
+            tEnter = Math.max(tEnter, Math.min(t1, t2));
+            tExit = Math.min(tExit, Math.max(t1, t2));
+        }
+        if (tEnter > tExit) {
+            return Infinity;
+        }
+
+        let clampCell = value => Math.min(Math.max(Math.floor(value), 0), this.div - 1);
+        let j = clampCell((origin[0] + direction[0]*tEnter - this.minX) / cellWidth);
+        let i = clampCell((origin[1] + direction[1]*tEnter - this.minY) / cellHeight);
+
+        // Distance along the ray to the next column and row border, and between borders
+        let stepJ = direction[0] > 0 ? 1 : -1;
+        let stepI = direction[1] > 0 ? 1 : -1;
+        let nextX = this.minX + (direction[0] > 0 ? j + 1 : j) * cellWidth;
+        let nextY = this.minY + (direction[1] > 0 ? i + 1 : i) * cellHeight;
+        let tNextJ = direction[0] == 0 ? Infinity : (nextX - origin[0]) / direction[0];
+        let tNextI = direction[1] == 0 ? Infinity : (nextY - origin[1]) / direction[1];
+        let tDeltaJ = Math.abs(cellWidth / direction[0]);
+        let tDeltaI = Math.abs(cellHeight / direction[1]);
+
+        while (i >= 0 && i < this.div && j >= 0 && j < this.div) {
+            let vid = i*(this.div+1) + j;
+            // A cell's triangles lie over the cell, so the first cell with a hit holds the nearest one
+            let t = Math.min(this.intersectTriangle(origin, direction, vid, vid+1, vid+this.div+1),
+                             this.intersectTriangle(origin, direction, vid+1, vid+this.div+2, vid+this.div+1));
+            if (t < Infinity) {
+                return t;
+            }
+            if (Math.min(tNextJ, tNextI) > tExit) {
+                break;
+            }
+            if (tNextJ < tNextI) {
+                j += stepJ;
+                tNextJ += tDeltaJ;
+            } else {
+                i += stepI;
+                tNextI += tDeltaI;
+            }
+        }
+        return Infinity;
+    }
+
+    /**
+     * Returns where a ray hits a triangle of the terrain, from either side
+     * @param {Object} origin the start of the ray in terrain coordinates
+     * @param {Object} direction the direction of the ray in terrain coordinates
+     * @param {number} a the index of the first vertex
+     * @param {number} b the index of the second vertex
+     * @param {number} c the index of the third vertex
+     * @return {number} the distance to the hit in lengths of direction, Infinity if the ray misses
+     */
+    intersectTriangle(origin, direction, a, b, c) {
+        let v = this.vBuffer;
+        a *= 3;
+        b *= 3;
+        c *= 3;
+        let e1x = v[b] - v[a], e1y = v[b+1] - v[a+1], e1z = v[b+2] - v[a+2];
+        let e2x = v[c] - v[a], e2y = v[c+1] - v[a+1], e2z = v[c+2] - v[a+2];
+
+        // Moller-Trumbore: solve for the distance and the barycentric coordinates
+        let px = direction[1]*e2z - direction[2]*e2y;
+        let py = direction[2]*e2x - direction[0]*e2z;
+        let pz = direction[0]*e2y - direction[1]*e2x;
+        let det = e1x*px + e1y*py + e1z*pz;
+        if (Math.abs(det) < 1e-12) {
+            return Infinity;
+        }
+        let sx = origin[0] - v[a], sy = origin[1] - v[a+1], sz = origin[2] - v[a+2];
+        let u = (sx*px + sy*py + sz*pz) / det;
+        if (u < 0 || u > 1) {
+            return Infinity;
+        }
+        let qx = sy*e1z - sz*e1y;
+        let qy = sz*e1x - sx*e1z;
+        let qz = sx*e1y - sy*e1x;
+        let w = (direction[0]*qx + direction[1]*qy + direction[2]*qz) / det;
+        if (w < 0 || u + w > 1) {
+            return Infinity;
+        }
+        let t = (e2x*qx + e2y*qy + e2z*qz) / det;
+        return t >= 0 ? t : Infinity;
+    }
+
+    /**
+     * Returns the highest and lowest z coordinates/height as (min,max)
+     * @param {Object} out an output array of 2 to hold min/max of height
+     */
+    getHeightInterval(out) {
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        for (let i = 0; i < this.numVertices; i ++) {
+            let currentZ = this.vBuffer[i*3 + 2];
+            if (currentZ > maxZ) {
+                maxZ = currentZ;
+            }
+            if (currentZ < minZ) {
+                minZ = currentZ;
+            }
+        }
+        out[0] = minZ;
+        out[1] = maxZ;
+    }
+
+    /**
+    * Picks the level of detail of each patch from the camera position
+    * @param {number} cameraX the camera x in terrain coordinates
+    * @param {number} cameraY the camera y in terrain coordinates
+    * @param {number} lodDistance the distance from the camera where detail starts to drop
+    * @return {boolean} whether any patch changed level, so the triangles
+    *     to draw changed too
+    */
+    updateLOD(cameraX, cameraY, lodDistance) {
+        return this.lod.update(cameraX, cameraY, lodDistance);
+    }
+
+    /**
+    * Goes back to every triangle of the terrain
+    * @return {boolean} whether the terrain was at lower levels of detail before
+    */
+    clearLOD() {
+        return this.lod.clear();
+    }
+
+    /**
+     * Fill the vertex and buffer arrays 
+     */    
+    generateTriangles() {
+        //Your code here
+        this.reportProgress("Building grid", 0);
+        var deltaX = (this.maxX - this.minX) / this.div;
+        var deltaY = (this.maxY - this.minY) / this.div;
+        var vid = 0;
+        for(var i = 0; i <= this.div; i++) {
+            for (var j = 0; j <= this.div; j++) {
+                this.vBuffer[vid*3] = this.minX+deltaX*j;
+                this.vBuffer[vid*3 + 1] = this.minY+deltaY*i;
+                this.vBuffer[vid*3 + 2] = 0;
+
+                // Texture coordinates measured from the terrain's corner, so
+                // chunks of a whole number of texture tiles line up
+                this.tBuffer[vid*2] = deltaX*j;
+                this.tBuffer[vid*2 + 1] = deltaY*i;
+                vid++;
+            }
+        }
+        var fid = 0;
+        for(var i = 0; i < this.div; i++) {
+            for (var j = 0; j < this.div; j++) {
+                var vid = i*(this.div+1) +j;
+                this.fBuffer[fid++] = vid;
+                this.fBuffer[fid++] = vid + 1;
+                this.fBuffer[fid++] = vid + this.div + 1;
+
+                this.fBuffer[fid++] = vid + 1;
+                this.fBuffer[fid++] = vid + 1 + this.div + 1;
+                this.fBuffer[fid++] = vid + this.div + 1;
+            }
+        }
+        
+        //
+        this.generateHeights();
+    }
+
+    /**
+     * Sets the vertex heights with the height generator, starting from a
+     * flat grid, and computes the normals
+     */
+    generateHeights() {
+        // Restart the random numbers so the same seed gives the same heights
+        this.random = new terrainDependencies.SeededRandom(this.seed);
+        for (let i = 0; i < this.numVertices; i++) {
+            this.vBuffer[i*3 + 2] = 0;
+        }
+        if (this.heightGenerator) {
+            this.heightGenerator.setHeights(this);
+        } else {
+            this.setHeightsByPartition(300, 0.005);
+        }
+        this.generateNormals(this.getOutsideHeightAt());
+    }
+
+    /**
+     * Returns the heights past the edges of the grid, which give the border
+     * vertices the same normals as the neighbouring terrains sharing the
+     * height generator
+     * @return {(function(number, number): number)|undefined} the height at
+     *     any (x,y), undefined unless the generator is seamless
+     */
+    getOutsideHeightAt() {
+        if (this.heightGenerator && this.heightGenerator.isSeamless()) {
+            return (x, y) => this.heightGenerator.heightAt(x, y);
+        }
+        return undefined;
+    }
+
+    /**
+     * Replaces the seed of the terrain's random numbers. Call generateHeights
+     * or setHeightGenerator afterwards to regenerate the heights.
+     * @param {number} seed the new seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+    }
+
+    /**
+     * Replaces the height generator and regenerates the heights. Call
+     * loadBuffers afterwards to send the new heights to WebGL.
+     * @param {HeightGenerator} heightGenerator the new generator of the heights
+     */
+    setHeightGenerator(heightGenerator) {
+        this.heightGenerator = heightGenerator;
+        this.generateHeights();
+    }
+
+    /**
+     * Computes per vertex normals on the mesh
+     * @param {function(number, number): number=} heightAt Optional height at
+     *     any (x,y) past the edges of the grid. Border vertices then also get
+     *     the faces of the cells just outside, like the vertices inside do,
+     *     instead of only the faces on their own side.
+     */
+    generateNormals(heightAt) {
+        // Start from zero so the normals can be regenerated after the heights change
+        this.nBuffer.fill(0);
+        let v = this.vBuffer;
+        let n = this.nBuffer;
+        for(var i=0;i<this.numFaces;i++) {
+            if (i % (2 * this.div) == 0) {
+                this.reportProgress("Computing normals", i / this.numFaces);
+            }
+            let a = this.fBuffer[i*3] * 3;
+            let b = this.fBuffer[i*3 + 1] * 3;
+            let c = this.fBuffer[i*3 + 2] * 3;
+
+            // Cross product of two edges, whose length weights the face by its area
+            let e1x = v[b] - v[a], e1y = v[b+1] - v[a+1], e1z = v[b+2] - v[a+2];
+            let e2x = v[c] - v[a], e2y = v[c+1] - v[a+1], e2z = v[c+2] - v[a+2];
+            let nx = e1y*e2z - e1z*e2y;
+            let ny = e1z*e2x - e1x*e2z;
+            let nz = e1x*e2y - e1y*e2x;
+
+            n[a] += nx; n[a+1] += ny; n[a+2] += nz;
+            n[b] += nx; n[b+1] += ny; n[b+2] += nz;
+            n[c] += nx; n[c+1] += ny; n[c+2] += nz;
+        }
+        if (heightAt) {
+            this.addOutsideFaceNormals(heightAt);
+        }
+        for (var i = 0; i < this.numVertices * 3; i += 3) {
+            let length = Math.sqrt(n[i]*n[i] + n[i+1]*n[i+1] + n[i+2]*n[i+2]);
+            if (length > 0) {
+                n[i] /= length;
+                n[i+1] /= length;
+                n[i+2] /= length;
+            }
+        }
+    }
+
+    /**
+     * Adds the faces of the ring of grid cells just outside the terrain to
+     * the unnormalized normals of its border vertices in a rectangle
+     * @param {function(number, number): number} heightAt the height at any (x,y)
+     * @param {number=} firstRow the first row of vertices, 0 by default
+     * @param {number=} lastRow the last row of vertices, div by default
+     * @param {number=} firstColumn the first column of vertices, 0 by default
+     * @param {number=} lastColumn the last column of vertices, div by default
+     */
+    addOutsideFaceNormals(heightAt, firstRow = 0, lastRow = this.div,
+                          firstColumn = 0, lastColumn = this.div) {
+        let div = this.div;
+        let size = div + 1;
+        let v = this.vBuffer;
+        let n = this.nBuffer;
+        let deltaX = (this.maxX - this.minX) / div;
+        let deltaY = (this.maxY - this.minY) / div;
+        // Grid point (i,j), from the vertices inside and from heightAt outside,
+        // rounded to floats like the vertices of the neighbouring terrain
+        let point = (i, j) => {
+            if (i >= 0 && i <= div && j >= 0 && j <= div) {
+                let k = (i*size + j)*3;
+                return [v[k], v[k+1], v[k+2]];
+            }
+            let x = Math.fround(this.minX + deltaX*j);
+            let y = Math.fround(this.minY + deltaY*i);
+            return [x, y, Math.fround(heightAt(x, y))];
+        };
+        let addFace = (ai, aj, bi, bj, ci, cj) => {
+            let a = point(ai, aj);
+            let b = point(bi, bj);
+            let c = point(ci, cj);
+            let e1x = b[0] - a[0], e1y = b[1] - a[1], e1z = b[2] - a[2];
+            let e2x = c[0] - a[0], e2y = c[1] - a[1], e2z = c[2] - a[2];
+            let nx = e1y*e2z - e1z*e2y;
+            let ny = e1z*e2x - e1x*e2z;
+            let nz = e1x*e2y - e1y*e2x;
+            for (let [i, j] of [[ai, aj], [bi, bj], [ci, cj]]) {
+                if (i >= firstRow && i <= lastRow && j >= firstColumn && j <= lastColumn) {
+                    let k = (i*size + j)*3;
+                    n[k] += nx; n[k+1] += ny; n[k+2] += nz;
+                }
+            }
+        };
+        // Same two triangles per cell as generateTriangles, for the cells
+        // around the rectangle that are not inside the grid
+        for (let i = firstRow - 1; i <= lastRow; i++) {
+            for (let j = firstColumn - 1; j <= lastColumn; j++) {
+                if (i >= 0 && i < div && j >= 0 && j < div) {
+                    continue;
+                }
+                addFace(i, j, i, j+1, i+1, j);
+                addFace(i, j+1, i+1, j+1, i+1, j);
+            }
+        }
+    }
+
+    /**
+     * Recomputes the normals of a rectangle of vertices from the faces of
+     * the grid cells around them, like generateNormals does for the whole grid
+     * @param {number} firstRow the first row of vertices
+     * @param {number} lastRow the last row of vertices
+     * @param {number} firstColumn the first column of vertices
+     * @param {number} lastColumn the last column of vertices
+     * @param {function(number, number): number=} heightAt Optional height at
+     *     any (x,y) past the edges of the grid, as for generateNormals
+     */
+    generateNormalsInRegion(firstRow, lastRow, firstColumn, lastColumn, heightAt) {
+        let size = this.div + 1;
+        let v = this.vBuffer;
+        let n = this.nBuffer;
+        for (let i = firstRow; i <= lastRow; i++) {
+            n.fill(0, (i*size + firstColumn)*3, (i*size + lastColumn + 1)*3);
+        }
+
+        let inRegion = k => {
+            let i = Math.floor(k / size);
+            let j = k % size;
+            return i >= firstRow && i <= lastRow && j >= firstColumn && j <= lastColumn;
+        };
+        let addFace = (a, b, c) => {
+            let e1x = v[b*3] - v[a*3], e1y = v[b*3+1] - v[a*3+1], e1z = v[b*3+2] - v[a*3+2];
+            let e2x = v[c*3] - v[a*3], e2y = v[c*3+1] - v[a*3+1], e2z = v[c*3+2] - v[a*3+2];
+            let nx = e1y*e2z - e1z*e2y;
+            let ny = e1z*e2x - e1x*e2z;
+            let nz = e1x*e2y - e1y*e2x;
+            for (let k of [a, b, c]) {
+                if (inRegion(k)) {
+                    n[k*3] += nx; n[k*3+1] += ny; n[k*3+2] += nz;
+                }
+            }
+        };
+        // Same two triangles per cell as generateTriangles
+        for (let i = Math.max(firstRow - 1, 0); i <= Math.min(lastRow, this.div - 1); i++) {
+            for (let j = Math.max(firstColumn - 1, 0); j <= Math.min(lastColumn, this.div - 1); j++) {
+                let vid = i*size + j;
+                addFace(vid, vid+1, vid+size);
+                addFace(vid+1, vid+size+1, vid+size);
+            }
+        }
+        if (heightAt) {
+            this.addOutsideFaceNormals(heightAt, firstRow, lastRow, firstColumn, lastColumn);
+        }
+
+        for (let i = firstRow; i <= lastRow; i++) {
+            for (let j = firstColumn; j <= lastColumn; j++) {
+                let k = (i*size + j)*3;
+                let length = Math.sqrt(n[k]*n[k] + n[k+1]*n[k+1] + n[k+2]*n[k+2]);
+                if (length > 0) {
+                    n[k] /= length;
+                    n[k+1] /= length;
+                    n[k+2] /= length;
+                }
+            }
+        }
+    }
+
+    /**
+     * Set the vertex heights according to a slow but simple noise generating
+     * algorithm. We repeatedly parition the terrain using a random cutting plane.
+     * On one side of the plane we raise the terrain, on the other side we lower it.
+     * @param {number} N the number of times to parition the terrain grad and 
+     *                  adjust the heights on each side.
+     * @param {number} delta the amount to raise (and lower) the patitioned vertices
+     * @param {number=} total the number of partitions of the first call, to report progress
+     */
+    setHeightsByPartition(N, delta, total = N) {
+        if (N == 0) {
+            return;
+        }
+        this.reportProgress("Generating heights", 1 - N / total);
+        let randomX = this.random.next() * (this.maxX - this.minX) + this.minX;
+        let randomY = this.random.next() * (this.maxY - this.minY) + this.minY;
+        let randomRadian = this.random.next() * Math.PI*2;
+        let nx = Math.cos(randomRadian);
+        let ny = Math.sin(randomRadian);
+        for(let vid = 0; vid < this.numVertices * 3; vid += 3) {
+            let signTest = (this.vBuffer[vid] - randomX) * nx + (this.vBuffer[vid + 1] - randomY) * ny;
+            if(signTest > 0) {
+                this.vBuffer[vid + 2] += delta;
+            } else {
+                this.vBuffer[vid + 2] -= delta;
+            }
+        }
+        this.setHeightsByPartition(N-1, delta, total);
+    }
+
+    /**
+     * Set the vertex heights from a function of the vertex x,y coordinates.
+     * Terrains sharing a function line up wherever their edges meet.
+     * @param {function(number, number): number} heightFunction the height at (x,y)
+     */
+    setHeightsByFunction(heightFunction) {
+        for(let i = 0; i < this.numVertices; i++) {
+            if (i % (this.div + 1) == 0) {
+                this.reportProgress("Generating heights", i / this.numVertices);
+            }
+            let vid = i*3;
+            this.vBuffer[vid + 2] = heightFunction(this.vBuffer[vid], this.vBuffer[vid + 1]);
+        }
+    }
+
+    /**
+     * Set the vertex heights by resampling a heightmap onto the grid. The top
+     * row of the heightmap lies along maxY, and mid gray maps to height 0 so
+     * the terrain is centered like the generated ones.
+     * @param {Heightmap} heightmap the heights to resample
+     * @param {number} scale the height difference between black and white
+     */
+    setHeightsByHeightmap(heightmap, scale) {
+        for(let i = 0; i <= this.div; i++) {
+            for (let j = 0; j <= this.div; j++) {
+                let vid = (i*(this.div+1) + j)*3;
+                let height = heightmap.sample(j / this.div, 1 - i / this.div);
+                this.vBuffer[vid + 2] = (height - 0.5) * scale;
+            }
+        }
+    }
+
+    /**
+     * Print vertices and triangles to console for debugging
+     */
+    printBuffers() {
+        for(var i=0;i<this.numVertices;i++) {
+            console.log("v ", this.vBuffer[i*3], " ", 
+                                this.vBuffer[i*3 + 1], " ",
+                                this.vBuffer[i*3 + 2], " ");
+                        
+        }
+        
+        for(var i=0;i<this.numFaces;i++) {
+            console.log("f ", this.fBuffer[i*3], " ", 
+                                this.fBuffer[i*3 + 1], " ",
+                                this.fBuffer[i*3 + 2], " ");
+                        
+        }
+    }
+
+    /**
+     * Prints the min/max of z coordinates to console for debugging
+     */
+    printHeightInterval(){
+        let heightInterval = [0, 0];
+        this.getHeightInterval(heightInterval);
+        console.log("Min Height: " + heightInterval[0]);
+        console.log("Max Height: " + heightInterval[1]);
+
+        let minZ = heightInterval[0];
+        let maxZ = heightInterval[1];
+        let intervalLength = Math.abs(minZ) + Math.abs(maxZ);
+        let interval_30 = intervalLength * 0.3;
+        let interval_20 = intervalLength * 0.2;
+
+        let topStartZ = maxZ - interval_20; // top color is 20 percent
+        let midStartZ = topStartZ - interval_30; // mid color is 30 percent 
+        let baseStartZ = midStartZ - interval_30; // base color is 30 percent
+        let botStartZ = minZ;
+
+        console.log("intervals: topStartZ->" + topStartZ + ", midStartZ->" + midStartZ + ", baseStartZ->" + baseStartZ + ", botStartZ->" + botStartZ);
+    }
+    
+    /**
+     * Generates line values from faces in faceArray
+     * to enable wireframe rendering
+     */
+    generateLines() {
+        var numTris=this.fBuffer.length/3;
+        for(var f=0;f<numTris;f++) {
+            var fid=f*3;
+            var eid=f*6;
+            this.eBuffer[eid] = this.fBuffer[fid];
+            this.eBuffer[eid+1] = this.fBuffer[fid+1];
+            
+            this.eBuffer[eid+2] = this.fBuffer[fid+1];
+            this.eBuffer[eid+3] = this.fBuffer[fid+2];
+            
+            this.eBuffer[eid+4] = this.fBuffer[fid+2];
+            this.eBuffer[eid+5] = this.fBuffer[fid];
+        }
+    }
+}
+
+/**
+ * Number of cells along each side of a level of detail patch
+ * @type {number}
+ */
+Terrain.lodPatchSize = 16;
+
+if (typeof module != "undefined" && module.exports) {
+    module.exports = Terrain;
+}
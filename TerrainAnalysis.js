@@ -0,0 +1,133 @@
+/**
+ * @fileoverview TerrainAnalysis - Slope, aspect and curvature of a Terrain grid
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class measuring the shape of a Terrain from its heights and normals. Every
+ * vertex gets its slope, the direction it faces and its curvature, which the
+ * shader colors as overlays, and the slopes of the faces are summed up into
+ * statistics. Every face of the grid covers the same area of the map, so
+ * fractions of faces are fractions of the map's area.
+ */
+class TerrainAnalysis {
+    /**
+     * Initialize members of a TerrainAnalysis object
+     * @param {Terrain} terrain The terrain to measure
+     */
+    constructor(terrain) {
+        this.terrain = terrain;
+    }
+
+    /**
+     * Returns the angle of a surface from the horizontal
+     * @param {number} nx the x component of the surface normal
+     * @param {number} ny the y component of the surface normal
+     * @param {number} nz the z component of the surface normal
+     * @return {number} the slope in degrees, 0 for flat ground
+     */
+    static slope(nx, ny, nz) {
+        return Math.atan2(Math.sqrt(nx*nx + ny*ny), Math.abs(nz)) * 180 / Math.PI;
+    }
+
+    /**
+     * Returns the curvature at a vertex, the negated Laplacian of the heights
+     * from second differences along the grid. Vertices on the border use the
+     * second difference one vertex in.
+     * @param {number} i the row of the vertex
+     * @param {number} j the column of the vertex
+     * @return {number} the curvature, positive on ridges and negative in valleys
+     */
+    curvatureAt(i, j) {
+        let terrain = this.terrain;
+        let size = terrain.div + 1;
+        let height = (row, column) => terrain.vBuffer[(row*size + column)*3 + 2];
+        let cellWidth = (terrain.maxX - terrain.minX) / terrain.div;
+        let cellHeight = (terrain.maxY - terrain.minY) / terrain.div;
+
+        let ci = Math.min(Math.max(i, 1), terrain.div - 1);
+        let cj = Math.min(Math.max(j, 1), terrain.div - 1);
+        let dxx = (height(i, cj - 1) - 2*height(i, cj) + height(i, cj + 1)) / (cellWidth * cellWidth);
+        let dyy = (height(ci - 1, j) - 2*height(ci, j) + height(ci + 1, j)) / (cellHeight * cellHeight);
+        return -(dxx + dyy);
+    }
+
+    /**
+     * Returns the measures of every vertex in some rows: its slope in
+     * degrees, the x and y of its normal, which lean towards the direction
+     * the vertex faces, and its curvature. The shader finds the aspect from
+     * the x and y, which unlike an angle interpolate smoothly across north.
+     * Curvature depends on the heights up to two rows away.
+     * @param {number=} firstRow the first row of vertices to return
+     * @param {number=} lastRow the last row of vertices to return
+     * @return {Float32Array} four values for each vertex in the rows
+     */
+    generateValues(firstRow = 0, lastRow = this.terrain.div) {
+        let terrain = this.terrain;
+        let size = terrain.div + 1;
+        let n = terrain.nBuffer;
+        let values = new Float32Array((lastRow - firstRow + 1) * size * 4);
+        for (let i = firstRow; i <= lastRow; i++) {
+            for (let j = 0; j < size; j++) {
+                let k = (i*size + j) * 3;
+                let out = ((i - firstRow)*size + j) * 4;
+                values[out] = TerrainAnalysis.slope(n[k], n[k+1], n[k+2]);
+                values[out + 1] = n[k];
+                values[out + 2] = n[k+1];
+                values[out + 3] = this.curvatureAt(i, j);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Calls a function with the slope of every face
+     * @param {function(number)} callback called with each slope in degrees
+     */
+    forEachFaceSlope(callback) {
+        let terrain = this.terrain;
+        let v = terrain.vBuffer;
+        let f = terrain.fBuffer;
+        for (let i = 0; i < terrain.numFaces; i++) {
+            let a = f[i*3] * 3;
+            let b = f[i*3 + 1] * 3;
+            let c = f[i*3 + 2] * 3;
+            let e1x = v[b] - v[a], e1y = v[b+1] - v[a+1], e1z = v[b+2] - v[a+2];
+            let e2x = v[c] - v[a], e2y = v[c+1] - v[a+1], e2z = v[c+2] - v[a+2];
+            callback(TerrainAnalysis.slope(e1y*e2z - e1z*e2y, e1z*e2x - e1x*e2z, e1x*e2y - e1y*e2x));
+        }
+    }
+
+    /**
+     * Returns the histogram of the slopes as the fraction of the area in
+     * each bin. The bins split 0 to 90 degrees evenly.
+     * @param {Array<number>} out an output array holding one fraction per bin
+     */
+    getSlopeHistogram(out) {
+        out.fill(0);
+        let binWidth = 90 / out.length;
+        let weight = 1 / this.terrain.numFaces;
+        this.forEachFaceSlope(slope => {
+            out[Math.min(Math.floor(slope / binWidth), out.length - 1)] += weight;
+        });
+    }
+
+    /**
+     * Returns the fraction of the area steeper than a slope
+     * @param {number} threshold the slope in degrees
+     * @return {number} the fraction of the area in [0,1]
+     */
+    getAreaAboveSlope(threshold) {
+        let steep = 0;
+        this.forEachFaceSlope(slope => {
+            if (slope > threshold) {
+                steep++;
+            }
+        });
+        return steep / this.terrain.numFaces;
+    }
+}
+
+if (typeof module != "undefined" && module.exports) {
+    module.exports = TerrainAnalysis;
+}
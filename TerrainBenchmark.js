@@ -0,0 +1,123 @@
+/**
+ * @file Times the generation of large terrains, stage by stage
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/** @global Grid sizes to time */
+var benchmarkDivs = [512, 1024];
+
+/** @global Number of runs averaged for each grid size and generator */
+var benchmarkRuns = 3;
+
+//----------------------------------------------------------------------------------
+/**
+ * Returns the height generators to time, by name
+ * @return {Object<string, HeightGenerator>} the generators
+ */
+function createBenchmarkGenerators() {
+    return {
+        "Partition": new PartitionGenerator(1, 300, 0.005, false),
+        "fBm": new FBmGenerator(1, true, 1.5, 0.15, 6, 2.0, 0.5)
+    };
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Generates a terrain and returns the time spent in each stage of the
+ * generation, found from the progress reports
+ * @param {number} div the number of triangles along x axis and y axis
+ * @param {HeightGenerator} heightGenerator the generator of the heights
+ * @return {Object<string, number>} the milliseconds spent in each stage and in total
+ */
+function timeTerrain(div, heightGenerator) {
+    let times = {};
+    let stage = null;
+    let stageStart = 0;
+    let onProgress = (nextStage, fraction) => {
+        if (nextStage != stage) {
+            let now = performance.now();
+            if (stage != null) {
+                times[stage] = now - stageStart;
+            }
+            stage = nextStage;
+            stageStart = now;
+        }
+    };
+
+    let start = performance.now();
+    let terrain = new Terrain(div, -1, 1, -1, 1, heightGenerator, 1, {onProgress: onProgress});
+    let end = performance.now();
+    // The last stage ends with the lines, which do not report progress
+    times[stage] = end - stageStart;
+
+    let heightInterval = glMatrix.vec2.create();
+    let intervalStart = performance.now();
+    terrain.getHeightInterval(heightInterval);
+    times["Height interval"] = performance.now() - intervalStart;
+    times["Total"] = end - start + times["Height interval"];
+    return times;
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Times every generator at every grid size and shows the averages in a table
+ */
+function runBenchmark() {
+    let button = document.getElementById("run");
+    let status = document.getElementById("status");
+    button.disabled = true;
+
+    let jobs = [];
+    let generators = createBenchmarkGenerators();
+    for (let div of benchmarkDivs) {
+        for (let name in generators) {
+            jobs.push({div: div, name: name, generator: generators[name]});
+        }
+    }
+
+    let rows = [];
+    // Each job runs in its own task so the page can show the status in between
+    let runNext = () => {
+        if (jobs.length == 0) {
+            showBenchmarkResults(rows);
+            status.innerText = "Done";
+            button.disabled = false;
+            return;
+        }
+        let job = jobs.shift();
+        let totals = {};
+        for (let run = 0; run < benchmarkRuns; run++) {
+            let times = timeTerrain(job.div, job.generator);
+            for (let stage in times) {
+                totals[stage] = (totals[stage] || 0) + times[stage] / benchmarkRuns;
+            }
+        }
+        rows.push({div: job.div, name: job.name, times: totals});
+        status.innerText = "Timed " + job.name + " at div " + job.div + ", " + jobs.length + " left";
+        setTimeout(runNext, 0);
+    };
+    status.innerText = "Running...";
+    setTimeout(runNext, 0);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Fills the results table, one row per grid size and generator
+ * @param {Array<{div: number, name: string, times: Object<string, number>}>} rows the averaged times
+ */
+function showBenchmarkResults(rows) {
+    let stages = ["Building grid", "Generating heights", "Computing normals", "Height interval", "Total"];
+    let html = "<tr><th>div</th><th>Generator</th>";
+    for (let stage of stages) {
+        html += "<th>" + stage + " (ms)</th>";
+    }
+    html += "</tr>";
+    for (let row of rows) {
+        html += "<tr><td>" + row.div + "</td><td>" + row.name + "</td>";
+        for (let stage of stages) {
+            html += "<td>" + (row.times[stage] || 0).toFixed(1) + "</td>";
+        }
+        html += "</tr>";
+    }
+    document.getElementById("results").innerHTML = html;
+}
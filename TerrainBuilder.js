@@ -0,0 +1,154 @@
+/**
+ * @fileoverview TerrainBuilder - Queues Terrain generation on a Web Worker
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class generating terrains in TerrainWorker so the page keeps drawing
+ * frames meanwhile. Jobs run one at a time in the order they were asked for.
+ * The worker sends back the vertex and index arrays as transferables, and
+ * the finished Terrain only needs a TerrainRenderer to be drawn. Pages
+ * opened from the file system may not be allowed to start workers, in which
+ * case the terrains are generated on the main thread instead.
+ */
+class TerrainBuilder {
+    /**
+     * Initialize members of a TerrainBuilder object
+     * @param {string} workerURL URL of TerrainWorker.js
+     */
+    constructor(workerURL) {
+        this.nextId = 0;
+        // Jobs waiting for the worker keyed by id
+        this.jobs = new Map();
+        // Called with the stage, the fraction of it done and the number of
+        // jobs left whenever the running job progresses or a job ends
+        this.onProgress = null;
+
+        this.worker = null;
+        try {
+            this.worker = new Worker(workerURL);
+            this.worker.onmessage = event => this.handleMessage(event.data);
+            this.worker.onerror = event => this.handleError(event);
+        } catch (error) {
+            console.log("TerrainBuilder: Generating on the main thread, " + error.message);
+        }
+    }
+
+    /**
+     * Asks for a terrain to be generated
+     * @param {number} div Number of triangles along x axis and y axis
+     * @param {number} minX Minimum X coordinate value
+     * @param {number} maxX Maximum X coordinate value
+     * @param {number} minY Minimum Y coordinate value
+     * @param {number} maxY Maximum Y coordinate value
+     * @param {HeightGenerator} heightGenerator Generator of the heights
+     * @param {number} seed Seed of the terrain's random numbers
+     * @param {function(Terrain)} onDone Called with the terrain once it is generated
+     * @return {number} the id of the job, to cancel it
+     */
+    build(div, minX, maxX, minY, maxY, heightGenerator, seed, onDone) {
+        let job = {id: this.nextId++, div: div, minX: minX, maxX: maxX, minY: minY, maxY: maxY,
+                   heightGenerator: heightGenerator, seed: seed, onDone: onDone};
+        this.jobs.set(job.id, job);
+        if (this.worker != null) {
+            this.post(job);
+        } else {
+            // Return first like the worker does, so callers see the same order of events
+            setTimeout(() => this.buildOnMainThread(job), 0);
+        }
+        return job.id;
+    }
+
+    /**
+     * Sends a job to the worker
+     * @param {Object} job the job
+     */
+    post(job) {
+        this.worker.postMessage({
+            id: job.id, div: job.div, minX: job.minX, maxX: job.maxX, minY: job.minY, maxY: job.maxY,
+            heightGenerator: job.heightGenerator ? job.heightGenerator.toMessage() : null,
+            seed: job.seed
+        });
+    }
+
+    /**
+     * Drops a job whose terrain is no longer wanted. A job the worker already
+     * started still runs, but its terrain is thrown away.
+     * @param {number} id the id of the job
+     */
+    cancel(id) {
+        this.jobs.delete(id);
+        this.reportProgress("", 1);
+    }
+
+    /**
+     * Returns whether any job has not finished yet
+     * @return {boolean} true while terrains are being generated
+     */
+    isBusy() {
+        return this.jobs.size > 0;
+    }
+
+    /**
+     * Handles a progress report or a finished terrain from the worker
+     * @param {{id: number, type: string, stage: string, fraction: number, buffers: Object}} message
+     *     the message from TerrainWorker
+     */
+    handleMessage(message) {
+        let job = this.jobs.get(message.id);
+        if (job == undefined) {
+            return;
+        }
+        if (message.type == "progress") {
+            this.reportProgress(message.stage, message.fraction);
+            return;
+        }
+
+        this.jobs.delete(job.id);
+        let terrain = new Terrain(job.div, job.minX, job.maxX, job.minY, job.maxY,
+                                  job.heightGenerator, job.seed, {buffers: message.buffers});
+        this.reportProgress("", 1);
+        job.onDone(terrain);
+    }
+
+    /**
+     * Gives up on the worker when it fails, and generates the jobs it was
+     * given on the main thread instead
+     * @param {ErrorEvent} event the error raised in the worker
+     */
+    handleError(event) {
+        console.log("TerrainBuilder: Worker failed, generating on the main thread. " + event.message);
+        event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+        for (let [id, job] of this.jobs) {
+            setTimeout(() => this.buildOnMainThread(job), 0);
+        }
+    }
+
+    /**
+     * Generates the terrain of a job on the main thread
+     * @param {Object} job the job
+     */
+    buildOnMainThread(job) {
+        if (!this.jobs.has(job.id)) {
+            return;
+        }
+        this.jobs.delete(job.id);
+        let terrain = new Terrain(job.div, job.minX, job.maxX, job.minY, job.maxY,
+                                  job.heightGenerator, job.seed);
+        this.reportProgress("", 1);
+        job.onDone(terrain);
+    }
+
+    /**
+     * Passes the progress of the running job to the onProgress callback
+     * @param {string} stage the stage of the generation
+     * @param {number} fraction the fraction of the stage done, in [0,1]
+     */
+    reportProgress(stage, fraction) {
+        if (this.onProgress) {
+            this.onProgress(stage, fraction, this.jobs.size);
+        }
+    }
+}
@@ -0,0 +1,397 @@
+/**
+ * @fileoverview TerrainChunkManager - Streams Terrain patches around the camera
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class managing an infinite terrain made of square Terrain chunks keyed by
+ * their grid coordinates. Chunks are generated ahead of the camera and their
+ * GPU buffers are freed once they fall far enough behind.
+ */
+class TerrainChunkManager {
+    /**
+     * Initialize members of a TerrainChunkManager object
+     * @param {WebGLRenderingContext} gl The context the chunks are drawn in
+     * @param {number} chunkSize Length of a chunk side in terrain coordinates
+     * @param {number} div Number of triangles along x axis and y axis of a chunk
+     * @param {number} loadRadius Chunks closer than this many chunk lengths are generated
+     * @param {number} unloadRadius Chunks farther than this many chunk lengths are freed
+     * @param {HeightGenerator} heightGenerator Generator of the heights of every chunk
+     * @param {TerrainBuilder=} builder Optional builder generating the chunks
+     *     off the main thread. Chunks are generated in place when omitted.
+     */
+    constructor(gl, chunkSize, div, loadRadius, unloadRadius, heightGenerator, builder) {
+        this.gl = gl;
+        this.chunkSize = chunkSize;
+        this.div = div;
+        this.loadRadius = loadRadius;
+        this.unloadRadius = unloadRadius;
+        this.heightGenerator = heightGenerator;
+        this.builder = builder || null;
+
+        // How far ahead of the camera, in chunk lengths, the loaded area is centered
+        this.lookAhead = loadRadius / 2;
+
+        // Loaded chunks keyed by "cx,cy"
+        this.chunks = new Map();
+        // Cached height interval of each loaded chunk keyed by "cx,cy"
+        this.chunkHeightIntervals = new Map();
+        // Renderer of each loaded chunk keyed by "cx,cy"
+        this.renderers = new Map();
+        // Set when streaming is off and a single finite terrain is shown instead
+        this.singleTerrain = null;
+        // Builder job of the chunk being generated, keyed by "cx,cy"
+        this.pendingChunk = null;
+    }
+
+    /**
+     * Returns the key of the chunk with the given grid coordinates
+     * @param {number} cx the chunk column
+     * @param {number} cy the chunk row
+     * @return {string} the key of the chunk in the chunk map
+     */
+    static chunkKey(cx, cy) {
+        return cx + "," + cy;
+    }
+
+    /**
+     * Returns whether chunks are streamed around the camera
+     * @return {boolean} false when a single finite terrain is shown
+     */
+    isStreaming() {
+        return this.singleTerrain == null;
+    }
+
+    /**
+     * Stops streaming and shows a single finite terrain instead of chunks
+     * @param {Terrain} terrain the terrain to show
+     * @param {TerrainRenderer} renderer the renderer of the terrain, with its buffers loaded
+     */
+    setSingleTerrain(terrain, renderer) {
+        this.clear();
+        this.singleTerrain = terrain;
+        this.chunks.set(TerrainChunkManager.chunkKey(0, 0), terrain);
+        this.renderers.set(TerrainChunkManager.chunkKey(0, 0), renderer);
+        this.cacheHeightInterval(TerrainChunkManager.chunkKey(0, 0), terrain);
+    }
+
+    /**
+     * Goes back to streaming chunks around the camera. The single terrain
+     * keeps its buffers so it can be shown again later.
+     */
+    startStreaming() {
+        if (this.isStreaming()) {
+            return;
+        }
+        this.chunks.clear();
+        this.chunkHeightIntervals.clear();
+        this.renderers.clear();
+        this.singleTerrain = null;
+    }
+
+    /**
+     * Drops the chunk the builder is generating, if any
+     */
+    cancelPendingChunk() {
+        if (this.pendingChunk != null) {
+            this.builder.cancel(this.pendingChunk.job);
+            this.pendingChunk = null;
+        }
+    }
+
+    /**
+     * Replaces the height generator of the streamed chunks. The loaded chunks
+     * are freed and stream back in with the new heights.
+     * @param {HeightGenerator} heightGenerator the new generator of the heights
+     */
+    setHeightGenerator(heightGenerator) {
+        this.heightGenerator = heightGenerator;
+        if (this.isStreaming()) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Frees the GPU buffers of every streamed chunk
+     */
+    clear() {
+        this.cancelPendingChunk();
+        for (let [key, renderer] of this.renderers) {
+            if (renderer.terrain != this.singleTerrain) {
+                renderer.deleteBuffers();
+            }
+        }
+        this.chunks.clear();
+        this.chunkHeightIntervals.clear();
+        this.renderers.clear();
+    }
+
+    /**
+     * Generates the missing chunks around a point ahead of the camera and
+     * frees the chunks far behind it. At most one chunk is generated per call
+     * so that streaming does not stall the frame, and with a builder no new
+     * chunk is asked for until the previous one arrives.
+     * @param {Object} position the camera position in terrain coordinates
+     * @param {Object} direction the camera view direction in terrain coordinates
+     */
+    update(position, direction) {
+        if (!this.isStreaming() || this.pendingChunk != null) {
+            return;
+        }
+
+        // Center the loaded area ahead of the camera in the xy plane
+        let center = glMatrix.vec2.fromValues(direction[0], direction[1]);
+        glMatrix.vec2.normalize(center, center);
+        glMatrix.vec2.scale(center, center, this.lookAhead * this.chunkSize);
+        center[0] += position[0];
+        center[1] += position[1];
+
+        // Free chunks that fell too far behind the camera
+        let unloadDistance = this.unloadRadius * this.chunkSize;
+        for (let [key, chunk] of this.chunks) {
+            let dx = (chunk.minX + chunk.maxX) / 2 - position[0];
+            let dy = (chunk.minY + chunk.maxY) / 2 - position[1];
+            if (Math.sqrt(dx*dx + dy*dy) > unloadDistance) {
+                this.renderers.get(key).deleteBuffers();
+                this.chunks.delete(key);
+                this.chunkHeightIntervals.delete(key);
+                this.renderers.delete(key);
+            }
+        }
+
+        // Generate the missing chunk closest to the center of the loaded area
+        let centerX = Math.floor(center[0] / this.chunkSize);
+        let centerY = Math.floor(center[1] / this.chunkSize);
+        let radius = Math.ceil(this.loadRadius);
+        let closestDistance = Infinity;
+        let closestX = 0;
+        let closestY = 0;
+        for (let cy = centerY - radius; cy <= centerY + radius; cy++) {
+            for (let cx = centerX - radius; cx <= centerX + radius; cx++) {
+                if (this.chunks.has(TerrainChunkManager.chunkKey(cx, cy))) {
+                    continue;
+                }
+                let dx = (cx + 0.5) * this.chunkSize - center[0];
+                let dy = (cy + 0.5) * this.chunkSize - center[1];
+                let distance = Math.sqrt(dx*dx + dy*dy) / this.chunkSize;
+                if (distance <= this.loadRadius && distance < closestDistance) {
+                    closestDistance = distance;
+                    closestX = cx;
+                    closestY = cy;
+                }
+            }
+        }
+        if (closestDistance != Infinity) {
+            this.loadChunk(closestX, closestY);
+        }
+    }
+
+    /**
+     * Generates the chunk with the given grid coordinates and loads its buffers
+     * @param {number} cx the chunk column
+     * @param {number} cy the chunk row
+     */
+    loadChunk(cx, cy) {
+        let minX = cx * this.chunkSize;
+        let minY = cy * this.chunkSize;
+        if (this.builder == null) {
+            this.addChunk(cx, cy, new Terrain(this.div, minX, minX + this.chunkSize,
+                                              minY, minY + this.chunkSize, this.heightGenerator,
+                                              this.heightGenerator.seed));
+            return;
+        }
+
+        let pending = {cx: cx, cy: cy, job: null};
+        pending.job = this.builder.build(this.div, minX, minX + this.chunkSize,
+                                         minY, minY + this.chunkSize, this.heightGenerator,
+                                         this.heightGenerator.seed, chunk => {
+            // Chunks of a cleared world or a stopped stream are not wanted anymore
+            if (this.pendingChunk == pending) {
+                this.pendingChunk = null;
+                this.addChunk(cx, cy, chunk);
+            }
+        });
+        this.pendingChunk = pending;
+    }
+
+    /**
+     * Loads the buffers of a generated chunk and starts drawing it
+     * @param {number} cx the chunk column
+     * @param {number} cy the chunk row
+     * @param {Terrain} chunk the generated chunk
+     */
+    addChunk(cx, cy, chunk) {
+        let renderer = new TerrainRenderer(this.gl, chunk);
+        renderer.load();
+
+        let key = TerrainChunkManager.chunkKey(cx, cy);
+        this.chunks.set(key, chunk);
+        this.renderers.set(key, renderer);
+        this.cacheHeightInterval(key, chunk);
+        console.log("TerrainChunkManager: Loaded chunk " + key);
+    }
+
+    /**
+     * Stores the height interval of a chunk so it is not recomputed every frame
+     * @param {string} key the key of the chunk
+     * @param {Terrain} chunk the chunk
+     */
+    cacheHeightInterval(key, chunk) {
+        let heightInterval = glMatrix.vec2.create();
+        chunk.getHeightInterval(heightInterval);
+        this.chunkHeightIntervals.set(key, heightInterval);
+    }
+
+    /**
+     * Recomputes the cached height intervals after the heights of loaded
+     * chunks were changed in place
+     */
+    updateHeightIntervals() {
+        for (let [key, chunk] of this.chunks) {
+            this.cacheHeightInterval(key, chunk);
+        }
+    }
+
+    /**
+     * Returns the lowest and highest heights over all loaded chunks as (min,max)
+     * @param {Object} out an output array of 2 to hold min/max of height, or
+     *     (0,0) while no chunk is loaded
+     */
+    getHeightInterval(out) {
+        if (this.chunkHeightIntervals.size == 0) {
+            out[0] = 0;
+            out[1] = 0;
+            return;
+        }
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        for (let [key, heightInterval] of this.chunkHeightIntervals) {
+            minZ = Math.min(minZ, heightInterval[0]);
+            maxZ = Math.max(maxZ, heightInterval[1]);
+        }
+        out[0] = minZ;
+        out[1] = maxZ;
+    }
+
+    /**
+     * Returns the loaded chunk containing a point
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @return {Terrain} the chunk, or null if no loaded chunk contains the point
+     */
+    getTerrainAt(x, y) {
+        for (let [key, chunk] of this.chunks) {
+            if (x >= chunk.minX && x <= chunk.maxX && y >= chunk.minY && y <= chunk.maxY) {
+                return chunk;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the height and normal of the loaded terrain at a point
+     * @param {number} x the x coordinate in terrain coordinates
+     * @param {number} y the y coordinate in terrain coordinates
+     * @param {Object=} normal optional output vec3 holding the unit normal at the point
+     * @return {number} the height at (x,y), or NaN if no loaded chunk contains the point
+     */
+    getHeightAt(x, y, normal) {
+        let chunk = this.getTerrainAt(x, y);
+        return chunk == null ? NaN : chunk.getHeightAt(x, y, normal);
+    }
+
+    /**
+     * Returns the histogram of the slopes over all loaded chunks, as the
+     * fraction of the area in each bin. Chunks all cover the same area.
+     * @param {Array<number>} out an output array holding one fraction per bin
+     */
+    getSlopeHistogram(out) {
+        out.fill(0);
+        let chunkHistogram = new Array(out.length);
+        this.forEachChunk(chunk => {
+            chunk.analysis.getSlopeHistogram(chunkHistogram);
+            for (let bin = 0; bin < out.length; bin++) {
+                out[bin] += chunkHistogram[bin] / this.chunks.size;
+            }
+        });
+    }
+
+    /**
+     * Returns the fraction of the area of all loaded chunks steeper than a slope
+     * @param {number} threshold the slope in degrees
+     * @return {number} the fraction of the area in [0,1]
+     */
+    getAreaAboveSlope(threshold) {
+        let area = 0;
+        this.forEachChunk(chunk => {
+            area += chunk.analysis.getAreaAboveSlope(threshold) / this.chunks.size;
+        });
+        return area;
+    }
+
+    /**
+     * Returns where a ray first hits any loaded chunk
+     * @param {Object} origin the start of the ray in terrain coordinates
+     * @param {Object} direction the direction of the ray in terrain coordinates
+     * @return {number} the distance to the hit in lengths of direction, Infinity if the ray misses
+     */
+    intersectRay(origin, direction) {
+        let nearest = Infinity;
+        this.forEachChunk(chunk => {
+            nearest = Math.min(nearest, chunk.intersectRay(origin, direction));
+        });
+        return nearest;
+    }
+
+    /**
+     * Calls a function for every loaded chunk
+     * @param {function(Terrain)} callback the function to call
+     */
+    forEachChunk(callback) {
+        for (let [key, chunk] of this.chunks) {
+            callback(chunk);
+        }
+    }
+
+    /**
+     * Picks the level of detail of the patches of every loaded chunk. Chunks
+     * pick the same level for the patches along their shared borders, so
+     * they stitch together without cracks.
+     * @param {Object} position the camera position in terrain coordinates
+     * @param {number} lodDistance the distance from the camera where detail starts to drop
+     */
+    updateLOD(position, lodDistance) {
+        for (let [key, renderer] of this.renderers) {
+            renderer.updateLOD(position[0], position[1], lodDistance);
+        }
+    }
+
+    /**
+     * Draws every loaded chunk in full detail
+     */
+    clearLOD() {
+        for (let [key, renderer] of this.renderers) {
+            renderer.clearLOD();
+        }
+    }
+
+    /**
+     * Render the triangles of every loaded chunk
+     * @param {WebGLProgram} program the terrain shader program in use
+     */
+    drawTriangles(program) {
+        for (let [key, renderer] of this.renderers) {
+            renderer.drawTriangles(program);
+        }
+    }
+
+    /**
+     * Render the triangle edges of every loaded chunk wireframe style
+     * @param {WebGLProgram} program the terrain shader program in use
+     */
+    drawEdges(program) {
+        for (let [key, renderer] of this.renderers) {
+            renderer.drawEdges(program);
+        }
+    }
+}
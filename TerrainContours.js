@@ -0,0 +1,156 @@
+/**
+ * @fileoverview TerrainContours - Contour lines of Terrain heights by marching squares
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class with static methods tracing the contour lines of a Terrain grid.
+ * Marching squares finds where each line of equal height crosses the edges
+ * of every grid cell, and the crossings of neighboring cells are then linked
+ * into polylines. Lines that leave the grid are open, the others are closed
+ * rings whose last point repeats the first.
+ */
+class TerrainContours {
+    /**
+     * Traces the contour lines at every multiple of an interval between the
+     * lowest and highest heights of the terrain
+     * @param {Terrain} terrain the terrain to trace
+     * @param {number} interval the height between two contour lines
+     * @param {number} indexEvery every how many lines an index contour is drawn
+     * @return {Array<{elevation: number, index: boolean, lines: Array<Array<Array<number>>>}>}
+     *     the polylines of (x,y) points at each height, lowest first
+     */
+    static extract(terrain, interval, indexEvery) {
+        let heightInterval = glMatrix.vec2.create();
+        terrain.getHeightInterval(heightInterval);
+        let contours = [];
+        for (let k = Math.ceil(heightInterval[0] / interval); k * interval <= heightInterval[1]; k++) {
+            let elevation = k * interval;
+            contours.push({
+                elevation: elevation,
+                index: k % indexEvery == 0,
+                lines: TerrainContours.traceLevel(terrain, elevation)
+            });
+        }
+        return contours;
+    }
+
+    /**
+     * Traces the contour lines at one height
+     * @param {Terrain} terrain the terrain to trace
+     * @param {number} level the height of the lines
+     * @return {Array<Array<Array<number>>>} the polylines of (x,y) points
+     */
+    static traceLevel(terrain, level) {
+        let div = terrain.div;
+        let size = div + 1;
+        let v = terrain.vBuffer;
+        let height = (i, j) => v[(i*size + j)*3 + 2];
+
+        // Edges are numbered with the horizontal ones, from vertex (i,j) to
+        // (i,j+1), first and the vertical ones, from (i,j) to (i+1,j), after
+        let verticalEdges = size * div;
+        let edgeVertices = edge => {
+            if (edge < verticalEdges) {
+                let a = Math.floor(edge / div) * size + edge % div;
+                return [a, a + 1];
+            }
+            let a = edge - verticalEdges;
+            return [a, a + size];
+        };
+
+        // Each crossed edge is joined by a segment to one or two others
+        let links = new Map();
+        let link = (a, b) => {
+            if (!links.has(a)) {
+                links.set(a, []);
+            }
+            if (!links.has(b)) {
+                links.set(b, []);
+            }
+            links.get(a).push(b);
+            links.get(b).push(a);
+        };
+
+        for (let i = 0; i < div; i++) {
+            for (let j = 0; j < div; j++) {
+                let bottom = i*div + j;
+                let top = (i + 1)*div + j;
+                let left = verticalEdges + i*size + j;
+                let right = left + 1;
+                let h00 = height(i, j);
+                let h01 = height(i, j + 1);
+                let h11 = height(i + 1, j + 1);
+                let h10 = height(i + 1, j);
+                let corners = (h00 > level ? 1 : 0) | (h01 > level ? 2 : 0) |
+                              (h11 > level ? 4 : 0) | (h10 > level ? 8 : 0);
+                // Saddles, with diagonal corners above, are split by the height at the center
+                let centerAbove = (h00 + h01 + h11 + h10) / 4 > level;
+                switch (corners) {
+                    case 1: case 14: link(left, bottom); break;
+                    case 2: case 13: link(bottom, right); break;
+                    case 3: case 12: link(left, right); break;
+                    case 4: case 11: link(right, top); break;
+                    case 6: case 9: link(bottom, top); break;
+                    case 7: case 8: link(left, top); break;
+                    case 5:
+                        if (centerAbove) {
+                            link(left, top);
+                            link(bottom, right);
+                        } else {
+                            link(left, bottom);
+                            link(right, top);
+                        }
+                        break;
+                    case 10:
+                        if (centerAbove) {
+                            link(left, bottom);
+                            link(right, top);
+                        } else {
+                            link(left, top);
+                            link(bottom, right);
+                        }
+                        break;
+                }
+            }
+        }
+
+        let crossing = edge => {
+            let [a, b] = edgeVertices(edge);
+            let t = (level - v[a*3 + 2]) / (v[b*3 + 2] - v[a*3 + 2]);
+            return [v[a*3] + (v[b*3] - v[a*3]) * t, v[a*3 + 1] + (v[b*3 + 1] - v[a*3 + 1]) * t];
+        };
+
+        // Open lines start at the border, where an edge has a single link,
+        // and the closed rings are walked from whatever edges are left
+        let lines = [];
+        let visited = new Set();
+        let walk = start => {
+            let line = [crossing(start)];
+            visited.add(start);
+            let edge = start;
+            let next = links.get(edge).find(other => !visited.has(other));
+            while (next != undefined) {
+                line.push(crossing(next));
+                visited.add(next);
+                edge = next;
+                next = links.get(edge).find(other => !visited.has(other));
+            }
+            if (line.length > 2 && links.get(edge).includes(start)) {
+                line.push(line[0]);
+            }
+            lines.push(line);
+        };
+        for (let [edge, linked] of links) {
+            if (linked.length == 1 && !visited.has(edge)) {
+                walk(edge);
+            }
+        }
+        for (let [edge, linked] of links) {
+            if (!visited.has(edge)) {
+                walk(edge);
+            }
+        }
+        return lines;
+    }
+}
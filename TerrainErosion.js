@@ -0,0 +1,207 @@
+/**
+ * @fileoverview TerrainErosion - Hydraulic and thermal erosion of Terrain heights
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class weathering the heights of a Terrain grid one step at a time.
+ * Hydraulic erosion rains droplets that run downhill, picking up sediment
+ * where they speed up and depositing it where they slow down or fill a pit.
+ * Thermal erosion moves material down any slope steeper than the talus angle.
+ */
+class TerrainErosion {
+    /**
+     * Initialize members of a TerrainErosion object
+     * @param {Terrain} terrain The terrain whose heights are eroded
+     * @param {Object} options Erosion parameters, any omitted ones keep their default
+     * @param {number} options.droplets Number of rain droplets per step
+     * @param {number} options.erodeSpeed Fraction of the free sediment capacity a droplet erodes
+     * @param {number} options.depositSpeed Fraction of the surplus sediment a droplet deposits
+     * @param {number} options.talusAngle Steepest stable slope in degrees
+     * @param {number} options.thermalRate Fraction of the material above the talus slope that slides
+     */
+    constructor(terrain, options) {
+        this.terrain = terrain;
+        this.size = terrain.div + 1;
+
+        this.droplets = 500;
+        this.erodeSpeed = 0.3;
+        this.depositSpeed = 0.3;
+        this.talusAngle = 30;
+        this.thermalRate = 0.5;
+        // Droplet parameters that rarely need tuning
+        this.inertia = 0.05;
+        this.sedimentCapacityFactor = 4;
+        this.minSedimentCapacity = 0.01;
+        this.evaporateSpeed = 0.01;
+        this.gravity = 4;
+        this.maxDropletLifetime = 30;
+        Object.assign(this, options);
+
+        // Droplets run over heights normalized to [0,1] so the parameters do
+        // not depend on the scale of the terrain
+        let heightInterval = glMatrix.vec2.create();
+        terrain.getHeightInterval(heightInterval);
+        this.minZ = heightInterval[0];
+        this.rangeZ = Math.max(heightInterval[1] - heightInterval[0], 1e-6);
+        this.heights = new Float32Array(this.size * this.size);
+    }
+
+    /**
+     * Runs one step of hydraulic and thermal erosion on the terrain heights.
+     * Call updateRegion of its renderer over the whole grid afterwards.
+     */
+    step() {
+        let vBuffer = this.terrain.vBuffer;
+        for (let i = 0; i < this.heights.length; i++) {
+            this.heights[i] = (vBuffer[i*3 + 2] - this.minZ) / this.rangeZ;
+        }
+
+        for (let d = 0; d < this.droplets; d++) {
+            this.simulateDroplet();
+        }
+        this.thermalErosion();
+
+        for (let i = 0; i < this.heights.length; i++) {
+            vBuffer[i*3 + 2] = this.heights[i] * this.rangeZ + this.minZ;
+        }
+    }
+
+    /**
+     * Returns the bilinearly interpolated height and gradient at a grid position
+     * @param {Object} out an output array of 3 holding height, x and y gradient
+     * @param {number} posX the column position in grid cells
+     * @param {number} posY the row position in grid cells
+     */
+    heightAndGradient(out, posX, posY) {
+        let nodeX = Math.floor(posX);
+        let nodeY = Math.floor(posY);
+        let x = posX - nodeX;
+        let y = posY - nodeY;
+
+        let index = nodeY * this.size + nodeX;
+        let h00 = this.heights[index];
+        let h10 = this.heights[index + 1];
+        let h01 = this.heights[index + this.size];
+        let h11 = this.heights[index + this.size + 1];
+
+        out[0] = h00 * (1 - x) * (1 - y) + h10 * x * (1 - y) + h01 * (1 - x) * y + h11 * x * y;
+        out[1] = (h10 - h00) * (1 - y) + (h11 - h01) * y;
+        out[2] = (h01 - h00) * (1 - x) + (h11 - h10) * x;
+    }
+
+    /**
+     * Rains a droplet at a random position, drawn from the terrain's random
+     * numbers, and follows it downhill until it evaporates or leaves the terrain
+     */
+    simulateDroplet() {
+        let posX = this.terrain.random.next() * (this.size - 1);
+        let posY = this.terrain.random.next() * (this.size - 1);
+        let dirX = 0;
+        let dirY = 0;
+        let speed = 1;
+        let water = 1;
+        let sediment = 0;
+        let sample = glMatrix.vec3.create();
+
+        for (let lifetime = 0; lifetime < this.maxDropletLifetime; lifetime++) {
+            let nodeX = Math.floor(posX);
+            let nodeY = Math.floor(posY);
+            let cellX = posX - nodeX;
+            let cellY = posY - nodeY;
+
+            // Roll downhill, keeping some of the previous direction
+            this.heightAndGradient(sample, posX, posY);
+            let height = sample[0];
+            dirX = dirX * this.inertia - sample[1] * (1 - this.inertia);
+            dirY = dirY * this.inertia - sample[2] * (1 - this.inertia);
+            let length = Math.sqrt(dirX*dirX + dirY*dirY);
+            if (length == 0) {
+                break;
+            }
+            dirX /= length;
+            dirY /= length;
+            posX += dirX;
+            posY += dirY;
+            if (posX < 0 || posX >= this.size - 1 || posY < 0 || posY >= this.size - 1) {
+                break;
+            }
+
+            this.heightAndGradient(sample, posX, posY);
+            let deltaHeight = sample[0] - height;
+
+            // Faster droplets with more water carry more sediment downhill
+            let capacity = Math.max(-deltaHeight * speed * water * this.sedimentCapacityFactor,
+                                    this.minSedimentCapacity);
+            if (sediment > capacity || deltaHeight > 0) {
+                // Fill the pit it ran into, or drop the surplus sediment
+                let amount = deltaHeight > 0 ? Math.min(deltaHeight, sediment) :
+                                               (sediment - capacity) * this.depositSpeed;
+                sediment -= amount;
+                this.addToCell(nodeX, nodeY, cellX, cellY, amount);
+            } else {
+                // Never erode more than the drop, or the droplet digs a hole
+                let amount = Math.min((capacity - sediment) * this.erodeSpeed, -deltaHeight);
+                sediment += amount;
+                this.addToCell(nodeX, nodeY, cellX, cellY, -amount);
+            }
+
+            speed = Math.sqrt(Math.max(speed * speed - deltaHeight * this.gravity, 0));
+            water *= 1 - this.evaporateSpeed;
+        }
+    }
+
+    /**
+     * Adds height to the four corners of a cell weighted by the distance to them
+     * @param {number} nodeX the column of the top left corner
+     * @param {number} nodeY the row of the top left corner
+     * @param {number} cellX the position within the cell along x in [0,1)
+     * @param {number} cellY the position within the cell along y in [0,1)
+     * @param {number} amount the height to add, negative to remove
+     */
+    addToCell(nodeX, nodeY, cellX, cellY, amount) {
+        let index = nodeY * this.size + nodeX;
+        this.heights[index] += amount * (1 - cellX) * (1 - cellY);
+        this.heights[index + 1] += amount * cellX * (1 - cellY);
+        this.heights[index + this.size] += amount * (1 - cellX) * cellY;
+        this.heights[index + this.size + 1] += amount * cellX * cellY;
+    }
+
+    /**
+     * Moves material from each vertex to its lower neighbors wherever the
+     * slope between them is steeper than the talus angle
+     */
+    thermalErosion() {
+        let size = this.size;
+        let cellSize = (this.terrain.maxX - this.terrain.minX) / this.terrain.div;
+        // Largest stable height difference between neighbors, in normalized heights
+        let talus = Math.tan(this.talusAngle * Math.PI / 180) * cellSize / this.rangeZ;
+        let neighbors = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+        let delta = new Float32Array(this.heights.length);
+        for (let i = 0; i < size; i++) {
+            for (let j = 0; j < size; j++) {
+                let index = i * size + j;
+                let height = this.heights[index];
+                for (let k = 0; k < neighbors.length; k++) {
+                    let ni = i + neighbors[k][1];
+                    let nj = j + neighbors[k][0];
+                    if (ni < 0 || ni >= size || nj < 0 || nj >= size) {
+                        continue;
+                    }
+                    let neighbor = ni * size + nj;
+                    let difference = height - this.heights[neighbor];
+                    if (difference > talus) {
+                        // Split the excess between the neighbors so material never overshoots
+                        let amount = this.thermalRate * (difference - talus) / (2 * neighbors.length);
+                        delta[index] -= amount;
+                        delta[neighbor] += amount;
+                    }
+                }
+            }
+        }
+        for (let i = 0; i < this.heights.length; i++) {
+            this.heights[i] += delta[i];
+        }
+    }
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview TerrainExporter - Saves Terrain meshes as OBJ, STL and glTF, and contours as GeoJSON
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class with static methods writing the vertex, normal and triangle buffers
+ * of a Terrain in common mesh formats. The terrain is Z up, while OBJ and
+ * glTF are Y up, so those formats store (x,y,z) as (x,z,-y). STL is written
+ * Z up the way slicers for 3D printers expect it.
+ */
+class TerrainExporter {
+    /**
+     * Writes the terrain as a Wavefront OBJ with vertex normals
+     * @param {Terrain} terrain the terrain to export
+     * @return {string} the contents of the OBJ file
+     */
+    static toOBJ(terrain) {
+        let lines = ["# Terrain with " + terrain.numVertices + " vertices and " +
+                     terrain.numFaces + " triangles"];
+        let v = glMatrix.vec3.create();
+        let n = glMatrix.vec3.create();
+        for (let i = 0; i < terrain.numVertices; i++) {
+            terrain.getVertex(v, i);
+            lines.push("v " + v[0] + " " + v[2] + " " + (-v[1]));
+        }
+        for (let i = 0; i < terrain.numVertices; i++) {
+            terrain.getNormal(n, i);
+            lines.push("vn " + n[0] + " " + n[2] + " " + (-n[1]));
+        }
+        let f = glMatrix.vec3.create();
+        for (let i = 0; i < terrain.numFaces; i++) {
+            terrain.getVertexIndicesByFaceIndex(f, i);
+            // OBJ indices start at 1
+            let a = f[0] + 1;
+            let b = f[1] + 1;
+            let c = f[2] + 1;
+            lines.push("f " + a + "//" + a + " " + b + "//" + b + " " + c + "//" + c);
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /**
+     * Writes the terrain as a binary STL. Side walls and a flat bottom are
+     * added below the surface so the mesh is a closed solid that can be printed.
+     * @param {Terrain} terrain the terrain to export
+     * @param {number} baseThickness height of the base below the lowest vertex
+     * @return {ArrayBuffer} the contents of the STL file
+     */
+    static toSTL(terrain, baseThickness) {
+        let heightInterval = glMatrix.vec2.create();
+        terrain.getHeightInterval(heightInterval);
+        let baseZ = heightInterval[0] - baseThickness;
+
+        // Walk the grid border counterclockwise as seen from above
+        let div = terrain.div;
+        let border = [];
+        for (let j = 0; j < div; j++) {
+            border.push(j);
+        }
+        for (let i = 0; i < div; i++) {
+            border.push(i*(div+1) + div);
+        }
+        for (let j = div; j > 0; j--) {
+            border.push(div*(div+1) + j);
+        }
+        for (let i = div; i > 0; i--) {
+            border.push(i*(div+1));
+        }
+
+        // Surface triangles, two per border edge for the walls and a fan for the bottom
+        let numTriangles = terrain.numFaces + border.length*3;
+        let buffer = new ArrayBuffer(84 + numTriangles*50);
+        let view = new DataView(buffer);
+        view.setUint32(80, numTriangles, true);
+
+        let offset = 84;
+        let writeTriangle = function(v1, v2, v3) {
+            let e1 = glMatrix.vec3.create();
+            let e2 = glMatrix.vec3.create();
+            let n = glMatrix.vec3.create();
+            glMatrix.vec3.subtract(e1, v2, v1);
+            glMatrix.vec3.subtract(e2, v3, v1);
+            glMatrix.vec3.cross(n, e1, e2);
+            glMatrix.vec3.normalize(n, n);
+            let values = [n, v1, v2, v3];
+            for (let k = 0; k < values.length; k++) {
+                view.setFloat32(offset, values[k][0], true);
+                view.setFloat32(offset + 4, values[k][1], true);
+                view.setFloat32(offset + 8, values[k][2], true);
+                offset += 12;
+            }
+            // Attribute byte count
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        };
+
+        let v1 = glMatrix.vec3.create();
+        let v2 = glMatrix.vec3.create();
+        let v3 = glMatrix.vec3.create();
+        for (let i = 0; i < terrain.numFaces; i++) {
+            terrain.getVerticesByFaceIndex(v1, v2, v3, i);
+            writeTriangle(v1, v2, v3);
+        }
+
+        let a = glMatrix.vec3.create();
+        let b = glMatrix.vec3.create();
+        let aBase = glMatrix.vec3.create();
+        let bBase = glMatrix.vec3.create();
+        let center = glMatrix.vec3.fromValues((terrain.minX + terrain.maxX) / 2,
+                                              (terrain.minY + terrain.maxY) / 2, baseZ);
+        for (let k = 0; k < border.length; k++) {
+            terrain.getVertex(a, border[k]);
+            terrain.getVertex(b, border[(k + 1) % border.length]);
+            glMatrix.vec3.set(aBase, a[0], a[1], baseZ);
+            glMatrix.vec3.set(bBase, b[0], b[1], baseZ);
+            writeTriangle(a, aBase, bBase);
+            writeTriangle(a, bBase, b);
+            writeTriangle(center, bBase, aBase);
+        }
+        return buffer;
+    }
+
+    /**
+     * Writes the terrain as a binary glTF 2.0 (.glb) with positions, normals
+     * and vertex colors
+     * @param {Terrain} terrain the terrain to export
+     * @param {function(Object, number)} colorByHeight writes the rgb color of a
+     *     height into its first argument
+     * @return {ArrayBuffer} the contents of the GLB file
+     */
+    static toGLB(terrain, colorByHeight) {
+        let numVertices = terrain.numVertices;
+        let positions = new Float32Array(numVertices*3);
+        let normals = new Float32Array(numVertices*3);
+        let colors = new Float32Array(numVertices*3);
+        let indices = new Uint32Array(terrain.fBuffer);
+
+        let v = glMatrix.vec3.create();
+        let n = glMatrix.vec3.create();
+        let color = glMatrix.vec3.create();
+        let min = [Infinity, Infinity, Infinity];
+        let max = [-Infinity, -Infinity, -Infinity];
+        for (let i = 0; i < numVertices; i++) {
+            terrain.getVertex(v, i);
+            terrain.getNormal(n, i);
+            colorByHeight(color, v[2]);
+            // glTF vertex colors are linear, the color map is in sRGB
+            for (let k = 0; k < 3; k++) {
+                color[k] = color[k] <= 0.04045 ? color[k] / 12.92 :
+                           Math.pow((color[k] + 0.055) / 1.055, 2.4);
+            }
+            positions.set([v[0], v[2], -v[1]], i*3);
+            normals.set([n[0], n[2], -n[1]], i*3);
+            colors.set(color, i*3);
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], positions[i*3 + k]);
+                max[k] = Math.max(max[k], positions[i*3 + k]);
+            }
+        }
+
+        // Every array is a multiple of 4 bytes long, so the views stay aligned
+        let arrays = [positions, normals, colors, indices];
+        let bufferViews = [];
+        let byteLength = 0;
+        for (let k = 0; k < arrays.length; k++) {
+            bufferViews.push({
+                buffer: 0,
+                byteOffset: byteLength,
+                byteLength: arrays[k].byteLength,
+                target: arrays[k] == indices ? 34963 : 34962 // ELEMENT_ARRAY_BUFFER : ARRAY_BUFFER
+            });
+            byteLength += arrays[k].byteLength;
+        }
+
+        const FLOAT = 5126;
+        const UNSIGNED_INT = 5125;
+        let json = {
+            asset: {version: "2.0", generator: "MP2 TerrainExporter"},
+            scene: 0,
+            scenes: [{nodes: [0]}],
+            nodes: [{mesh: 0, name: "Terrain"}],
+            meshes: [{
+                name: "Terrain",
+                primitives: [{
+                    attributes: {POSITION: 0, NORMAL: 1, COLOR_0: 2},
+                    indices: 3,
+                    material: 0
+                }]
+            }],
+            materials: [{
+                name: "TerrainHeightColors",
+                pbrMetallicRoughness: {
+                    baseColorFactor: [1, 1, 1, 1],
+                    metallicFactor: 0,
+                    roughnessFactor: 1
+                }
+            }],
+            accessors: [
+                {bufferView: 0, componentType: FLOAT, count: numVertices, type: "VEC3", min: min, max: max},
+                {bufferView: 1, componentType: FLOAT, count: numVertices, type: "VEC3"},
+                {bufferView: 2, componentType: FLOAT, count: numVertices, type: "VEC3"},
+                {bufferView: 3, componentType: UNSIGNED_INT, count: indices.length, type: "SCALAR"}
+            ],
+            bufferViews: bufferViews,
+            buffers: [{byteLength: byteLength}]
+        };
+
+        // The JSON chunk is padded with spaces to a multiple of 4 bytes
+        let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+        let jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+        let totalLength = 12 + 8 + jsonLength + 8 + byteLength;
+
+        let glb = new ArrayBuffer(totalLength);
+        let view = new DataView(glb);
+        let bytes = new Uint8Array(glb);
+        view.setUint32(0, 0x46546C67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, totalLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // "JSON"
+        bytes.fill(0x20, 20, 20 + jsonLength);
+        bytes.set(jsonBytes, 20);
+
+        let binOffset = 20 + jsonLength;
+        view.setUint32(binOffset, byteLength, true);
+        view.setUint32(binOffset + 4, 0x004E4942, true); // "BIN"
+        for (let k = 0; k < arrays.length; k++) {
+            bytes.set(new Uint8Array(arrays[k].buffer), binOffset + 8 + bufferViews[k].byteOffset);
+        }
+        return glb;
+    }
+
+    /**
+     * Writes the contour lines of the terrain as GeoJSON, one MultiLineString
+     * feature per height with its elevation and whether it is an index
+     * contour. Coordinates are the terrain's own x and y, not longitudes and
+     * latitudes.
+     * @param {Terrain} terrain the terrain to export
+     * @param {number} interval the height between two contour lines
+     * @param {number} indexEvery every how many lines an index contour is drawn
+     * @return {string} the contents of the GeoJSON file
+     */
+    static toGeoJSON(terrain, interval, indexEvery) {
+        let round = value => Math.round(value * 1e6) / 1e6;
+        let features = [];
+        for (let contour of TerrainContours.extract(terrain, interval, indexEvery)) {
+            if (contour.lines.length == 0) {
+                continue;
+            }
+            features.push({
+                type: "Feature",
+                properties: {elevation: round(contour.elevation), index: contour.index},
+                geometry: {
+                    type: "MultiLineString",
+                    coordinates: contour.lines.map(line => line.map(point => [round(point[0]), round(point[1])]))
+                }
+            });
+        }
+        return JSON.stringify({type: "FeatureCollection", features: features});
+    }
+
+    /**
+     * Saves data as a file through the browser's download
+     * @param {string|ArrayBuffer} data the contents of the file
+     * @param {string} filename the name of the downloaded file
+     * @param {string} mimeType the type of the file
+     */
+    static download(data, filename, mimeType) {
+        let url = URL.createObjectURL(new Blob([data], {type: mimeType}));
+        let link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
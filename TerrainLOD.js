@@ -0,0 +1,299 @@
+/**
+ * @fileoverview TerrainLOD - Geomipmapped levels of detail of a Terrain grid
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class splitting a Terrain grid into square patches that are each drawn at
+ * their own level of detail. Level L keeps every 2^L-th vertex of the grid,
+ * and a patch's level grows with its distance from the camera. Where two
+ * patches of different levels meet, the finer one stitches its border to the
+ * vertices of the coarser one so there are no cracks. To avoid popping, the
+ * vertex shader slides each vertex onto the surface of the next coarser
+ * level before the patches around it drop it.
+ */
+class TerrainLOD {
+    /**
+     * Initialize members of a TerrainLOD object
+     * @param {Terrain} terrain The terrain whose grid is split into patches
+     * @param {number} patchSize Number of cells along each side of a patch, a power of two
+     */
+    constructor(terrain, patchSize) {
+        this.terrain = terrain;
+        this.patchSize = patchSize;
+        this.maxLevel = Math.log2(patchSize);
+        // Grids that do not split into whole patches are always drawn in full
+        this.supported = terrain.div % patchSize == 0;
+        this.patches = terrain.div / patchSize;
+
+        // Level of each patch and of the ring of patches around the terrain,
+        // null while the terrain is drawn in full
+        this.levels = null;
+        // Vertex indices of the triangles and edges at the current levels
+        this.triangles = null;
+        this.edges = null;
+    }
+
+    /**
+     * Returns the level of detail at a distance from the camera. Each level
+     * covers twice the distance of the previous one.
+     * @param {number} distance the distance from the camera
+     * @param {number} lodDistance the distance where level 1 begins
+     * @param {number} maxLevel the coarsest level
+     * @return {number} the level, 0 being full detail
+     */
+    static levelAt(distance, lodDistance, maxLevel) {
+        if (distance < lodDistance) {
+            return 0;
+        }
+        return Math.min(Math.floor(Math.log2(distance / lodDistance)) + 1, maxLevel);
+    }
+
+    /**
+     * Returns the level of a patch from its closest point to the camera. Patches
+     * outside the terrain are those of neighboring chunks, which compute the
+     * same level for them since they use the same bounds.
+     * @param {number} pi the patch row, -1 to patches
+     * @param {number} pj the patch column, -1 to patches
+     * @param {number} cameraX the camera x in terrain coordinates
+     * @param {number} cameraY the camera y in terrain coordinates
+     * @param {number} lodDistance the distance where level 1 begins
+     * @return {number} the level of the patch
+     */
+    patchLevel(pi, pj, cameraX, cameraY, lodDistance) {
+        let terrain = this.terrain;
+        let width = (terrain.maxX - terrain.minX) / this.patches;
+        let height = (terrain.maxY - terrain.minY) / this.patches;
+        let minX = terrain.minX + pj * width;
+        let minY = terrain.minY + pi * height;
+
+        let dx = Math.max(minX - cameraX, 0, cameraX - (minX + width));
+        let dy = Math.max(minY - cameraY, 0, cameraY - (minY + height));
+        return TerrainLOD.levelAt(Math.sqrt(dx*dx + dy*dy), lodDistance, this.maxLevel);
+    }
+
+    /**
+     * Picks the level of every patch for a camera position and rebuilds the
+     * indices when any level changed
+     * @param {number} cameraX the camera x in terrain coordinates
+     * @param {number} cameraY the camera y in terrain coordinates
+     * @param {number} lodDistance the distance where level 1 begins
+     * @return {boolean} whether the triangles and edges changed
+     */
+    update(cameraX, cameraY, lodDistance) {
+        if (!this.supported) {
+            return false;
+        }
+
+        let ring = this.patches + 2;
+        let levels = new Uint8Array(ring * ring);
+        for (let pi = -1; pi <= this.patches; pi++) {
+            for (let pj = -1; pj <= this.patches; pj++) {
+                levels[(pi + 1)*ring + pj + 1] = this.patchLevel(pi, pj, cameraX, cameraY, lodDistance);
+            }
+        }
+
+        if (this.levels != null && this.levels.every((level, k) => level == levels[k])) {
+            return false;
+        }
+        this.levels = levels;
+        this.generateIndices();
+        return true;
+    }
+
+    /**
+     * Goes back to drawing the terrain in full
+     * @return {boolean} whether the triangles and edges changed
+     */
+    clear() {
+        if (this.levels == null) {
+            return false;
+        }
+        this.levels = null;
+        this.triangles = null;
+        this.edges = null;
+        return true;
+    }
+
+    /**
+     * Returns the level of a patch or of one in the ring around the terrain
+     * @param {number} pi the patch row, -1 to patches
+     * @param {number} pj the patch column, -1 to patches
+     * @return {number} the level of the patch
+     */
+    getLevel(pi, pj) {
+        return this.levels[(pi + 1)*(this.patches + 2) + pj + 1];
+    }
+
+    /**
+     * Returns the vertex index of a grid position within a patch
+     * @param {number} pi the patch row
+     * @param {number} pj the patch column
+     * @param {number} row the row within the patch, 0 to patchSize
+     * @param {number} column the column within the patch, 0 to patchSize
+     * @return {number} the index of the vertex in the terrain
+     */
+    vertexIndex(pi, pj, row, column) {
+        return (pi*this.patchSize + row)*(this.terrain.div + 1) + pj*this.patchSize + column;
+    }
+
+    /**
+     * Adds a triangle of a patch, wound counterclockwise in the xy plane like
+     * the triangles of the full grid
+     * @param {Array<number>} out the vertex indices to add to
+     * @param {number} pi the patch row
+     * @param {number} pj the patch column
+     * @param {Array<number>} a the row and column of the first corner within the patch
+     * @param {Array<number>} b the row and column of the second corner within the patch
+     * @param {Array<number>} c the row and column of the third corner within the patch
+     */
+    addTriangle(out, pi, pj, a, b, c) {
+        let area = (b[1] - a[1])*(c[0] - a[0]) - (b[0] - a[0])*(c[1] - a[1]);
+        if (area < 0) {
+            let swap = b;
+            b = c;
+            c = swap;
+        }
+        out.push(this.vertexIndex(pi, pj, a[0], a[1]));
+        out.push(this.vertexIndex(pi, pj, b[0], b[1]));
+        out.push(this.vertexIndex(pi, pj, c[0], c[1]));
+    }
+
+    /**
+     * Fills the triangles and edges of every patch at its current level
+     */
+    generateIndices() {
+        let triangles = [];
+        for (let pi = 0; pi < this.patches; pi++) {
+            for (let pj = 0; pj < this.patches; pj++) {
+                this.generatePatch(triangles, pi, pj);
+            }
+        }
+
+        this.triangles = new Uint32Array(triangles);
+        this.edges = new Uint32Array(triangles.length * 2);
+        for (let f = 0; f < triangles.length; f += 3) {
+            let eid = f * 2;
+            this.edges[eid] = triangles[f];
+            this.edges[eid + 1] = triangles[f + 1];
+            this.edges[eid + 2] = triangles[f + 1];
+            this.edges[eid + 3] = triangles[f + 2];
+            this.edges[eid + 4] = triangles[f + 2];
+            this.edges[eid + 5] = triangles[f];
+        }
+    }
+
+    /**
+     * Adds the triangles of a patch. The inside of the patch is a grid with
+     * the same diagonals as the full grid, and each border is a strip joining
+     * the inside to the vertices shared with the neighboring patch.
+     * @param {Array<number>} out the vertex indices to add to
+     * @param {number} pi the patch row
+     * @param {number} pj the patch column
+     */
+    generatePatch(out, pi, pj) {
+        let size = this.patchSize;
+        let step = 1 << this.getLevel(pi, pj);
+        if (step == size) {
+            this.addTriangle(out, pi, pj, [0, 0], [0, size], [size, 0]);
+            this.addTriangle(out, pi, pj, [0, size], [size, size], [size, 0]);
+            return;
+        }
+
+        for (let row = step; row < size - step; row += step) {
+            for (let column = step; column < size - step; column += step) {
+                this.addTriangle(out, pi, pj, [row, column], [row, column + step],
+                                 [row + step, column]);
+                this.addTriangle(out, pi, pj, [row, column + step], [row + step, column + step],
+                                 [row + step, column]);
+            }
+        }
+
+        // Each border maps a position along it and a depth into the patch to a row and column
+        this.generateBorder(out, pi, pj, step, pi - 1, pj, (t, depth) => [depth, t]);
+        this.generateBorder(out, pi, pj, step, pi + 1, pj, (t, depth) => [size - depth, t]);
+        this.generateBorder(out, pi, pj, step, pi, pj - 1, (t, depth) => [t, depth]);
+        this.generateBorder(out, pi, pj, step, pi, pj + 1, (t, depth) => [t, size - depth]);
+    }
+
+    /**
+     * Adds the strip of triangles between a border of a patch and the inside
+     * of the patch, one step in. The border only keeps the vertices of the
+     * coarser of the patch and its neighbor, so both sides share its edges.
+     * @param {Array<number>} out the vertex indices to add to
+     * @param {number} pi the patch row
+     * @param {number} pj the patch column
+     * @param {number} step the spacing of the patch's vertices
+     * @param {number} ni the row of the neighboring patch across the border
+     * @param {number} nj the column of the neighboring patch across the border
+     * @param {function(number, number): Array<number>} toGrid maps a position
+     *     along the border and a depth into the patch to a row and column
+     */
+    generateBorder(out, pi, pj, step, ni, nj, toGrid) {
+        let size = this.patchSize;
+        let borderStep = Math.max(step, 1 << this.getLevel(ni, nj));
+
+        // Walk both rows of vertices, always advancing the one whose next vertex comes first
+        let border = 0;
+        let inner = step;
+        while (border < size || inner < size - step) {
+            if (inner < size - step && (border == size || inner + step <= border + borderStep)) {
+                this.addTriangle(out, pi, pj, toGrid(border, 0), toGrid(inner, step),
+                                 toGrid(inner + step, step));
+                inner += step;
+            } else {
+                this.addTriangle(out, pi, pj, toGrid(border, 0), toGrid(border + borderStep, 0),
+                                 toGrid(inner, step));
+                border += borderStep;
+            }
+        }
+    }
+
+    /**
+     * Returns for every vertex the coarsest level it belongs to and its
+     * height on the surface of the next coarser level, which it morphs to
+     * before it is dropped. A vertex's target only depends on the heights
+     * up to patchSize / 2 rows away.
+     * @param {number=} firstRow the first row of vertices to return
+     * @param {number=} lastRow the last row of vertices to return
+     * @return {Float32Array} the level and target height of each vertex in the rows
+     */
+    generateMorphTargets(firstRow = 0, lastRow = this.terrain.div) {
+        let terrain = this.terrain;
+        let size = terrain.div + 1;
+        let height = (i, j) => terrain.vBuffer[(i*size + j)*3 + 2];
+        // Number of times a grid position divides by two
+        let twos = value => value == 0 ? this.maxLevel : Math.log2(value & -value);
+
+        let morph = new Float32Array((lastRow - firstRow + 1) * size * 2);
+        for (let i = firstRow; i <= lastRow; i++) {
+            for (let j = 0; j < size; j++) {
+                let k = ((i - firstRow)*size + j) * 2;
+                let level = this.supported ? Math.min(twos(i), twos(j), this.maxLevel) : this.maxLevel;
+                morph[k] = level;
+                if (level == this.maxLevel) {
+                    morph[k + 1] = height(i, j);
+                    continue;
+                }
+
+                // The vertex lies on an edge or diagonal of the coarser grid,
+                // halfway between two of its vertices
+                let step = 1 << level;
+                let oddRow = (i / step) % 2 == 1;
+                let oddColumn = (j / step) % 2 == 1;
+                if (oddRow && oddColumn) {
+                    morph[k + 1] = (height(i - step, j + step) + height(i + step, j - step)) / 2;
+                } else if (oddRow) {
+                    morph[k + 1] = (height(i - step, j) + height(i + step, j)) / 2;
+                } else {
+                    morph[k + 1] = (height(i, j - step) + height(i, j + step)) / 2;
+                }
+            }
+        }
+        return morph;
+    }
+}
+
+if (typeof module != "undefined" && module.exports) {
+    module.exports = TerrainLOD;
+}
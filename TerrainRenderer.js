@@ -0,0 +1,244 @@
+/**
+ * @fileoverview TerrainRenderer - WebGL buffers and draw calls of a Terrain
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class drawing a Terrain with WebGL. The terrain only holds the arrays of
+ * its grid, and the renderer copies them into buffer objects of a context
+ * and binds them to the attributes of a shader program. Several contexts
+ * can draw the same terrain, each with its own renderer.
+ */
+class TerrainRenderer {
+    /**
+     * Initialize members of a TerrainRenderer object
+     * @param {WebGLRenderingContext} gl The context the buffers live in
+     * @param {Terrain} terrain The terrain to draw
+     */
+    constructor(gl, terrain) {
+        // 4 byte integer indices for drawElements, grids over 255x255 need them
+        if (gl.getExtension('OES_element_index_uint') == null) {
+            throw new Error("TerrainRenderer: OES_element_index_uint is unsupported");
+        }
+        this.gl = gl;
+        this.terrain = terrain;
+    }
+
+    /**
+    * Send the buffer objects to WebGL for rendering
+    */
+    load() {
+        let gl = this.gl;
+        let terrain = this.terrain;
+        // Free the previous buffers when the terrain is reloaded
+        if (this.VertexPositionBuffer) {
+            this.deleteBuffers();
+        }
+
+        // Specify the vertex coordinates, which updateRegion changes in place
+        this.VertexPositionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, terrain.vBuffer, gl.DYNAMIC_DRAW);
+        this.VertexPositionBuffer.itemSize = 3;
+        this.VertexPositionBuffer.numItems = terrain.numVertices;
+        console.log("Loaded ", this.VertexPositionBuffer.numItems, " vertices");
+
+        // Specify normals to be able to do lighting calculations
+        this.VertexNormalBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, terrain.nBuffer,
+                  gl.DYNAMIC_DRAW);
+        this.VertexNormalBuffer.itemSize = 3;
+        this.VertexNormalBuffer.numItems = terrain.numVertices;
+        console.log("Loaded ", this.VertexNormalBuffer.numItems, " normals");
+
+        // Specify texture coordinates for texture splatting
+        this.VertexTextureCoordBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexTextureCoordBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, terrain.tBuffer,
+                  gl.STATIC_DRAW);
+        this.VertexTextureCoordBuffer.itemSize = 2;
+        this.VertexTextureCoordBuffer.numItems = terrain.numVertices;
+        console.log("Loaded ", this.VertexTextureCoordBuffer.numItems, " texture coordinates");
+
+        // Specify the level each vertex belongs to and the height it morphs to
+        this.VertexMorphBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexMorphBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, terrain.lod.generateMorphTargets(),
+                  gl.DYNAMIC_DRAW);
+        this.VertexMorphBuffer.itemSize = 2;
+        this.VertexMorphBuffer.numItems = terrain.numVertices;
+
+        // Specify the slope, aspect and curvature of each vertex
+        this.VertexAnalysisBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexAnalysisBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, terrain.analysis.generateValues(),
+                  gl.DYNAMIC_DRAW);
+        this.VertexAnalysisBuffer.itemSize = 4;
+        this.VertexAnalysisBuffer.numItems = terrain.numVertices;
+
+        // Specify faces and edges of the terrain
+        this.IndexTriBuffer = gl.createBuffer();
+        this.IndexTriBuffer.itemSize = 1;
+        this.IndexEdgeBuffer = gl.createBuffer();
+        this.IndexEdgeBuffer.itemSize = 1;
+        this.loadIndexBuffers();
+        console.log("Loaded ", this.IndexTriBuffer.numItems, " triangles");
+
+        console.log("TerrainRenderer: load");
+    }
+
+    /**
+    * Recomputes the normals and sends the changed rows of the buffers to
+    * WebGL after the heights of a rectangle of vertices changed. The normals
+    * of the vertices around the rectangle change too.
+    * @param {number} firstRow the first row of changed vertices
+    * @param {number} lastRow the last row of changed vertices
+    * @param {number} firstColumn the first column of changed vertices
+    * @param {number} lastColumn the last column of changed vertices
+    */
+    updateRegion(firstRow, lastRow, firstColumn, lastColumn) {
+        let gl = this.gl;
+        let terrain = this.terrain;
+        let size = terrain.div + 1;
+        let normalFirstRow = Math.max(firstRow - 1, 0);
+        let normalLastRow = Math.min(lastRow + 1, terrain.div);
+        terrain.generateNormalsInRegion(normalFirstRow, normalLastRow,
+                                        Math.max(firstColumn - 1, 0), Math.min(lastColumn + 1, terrain.div),
+                                        terrain.getOutsideHeightAt());
+        if (!this.VertexPositionBuffer) {
+            return;
+        }
+
+        // Rows are contiguous in the buffers, so each buffer takes one update
+        let start = normalFirstRow * size * 3;
+        let end = (normalLastRow + 1) * size * 3;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start * 4, terrain.vBuffer.subarray(start, end));
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, start * 4, terrain.nBuffer.subarray(start, end));
+
+        let morphFirstRow = Math.max(firstRow - terrain.lod.patchSize / 2, 0);
+        let morphLastRow = Math.min(lastRow + terrain.lod.patchSize / 2, terrain.div);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexMorphBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, morphFirstRow * size * 2 * 4,
+                         terrain.lod.generateMorphTargets(morphFirstRow, morphLastRow));
+
+        let analysisFirstRow = Math.max(firstRow - 2, 0);
+        let analysisLastRow = Math.min(lastRow + 2, terrain.div);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexAnalysisBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, analysisFirstRow * size * 4 * 4,
+                         terrain.analysis.generateValues(analysisFirstRow, analysisLastRow));
+    }
+
+    /**
+    * Send the triangles and edges to WebGL, at the current levels of detail
+    * if they have been picked and in full otherwise
+    */
+    loadIndexBuffers() {
+        let gl = this.gl;
+        let terrain = this.terrain;
+        let triangles = terrain.lod.triangles || terrain.fBuffer;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexTriBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, triangles, gl.DYNAMIC_DRAW);
+        this.IndexTriBuffer.numItems = triangles.length;
+
+        let edges = terrain.lod.edges || terrain.eBuffer;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexEdgeBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, edges, gl.DYNAMIC_DRAW);
+        this.IndexEdgeBuffer.numItems = edges.length;
+    }
+
+    /**
+    * Picks the level of detail of each patch from the camera position
+    * @param {number} cameraX the camera x in terrain coordinates
+    * @param {number} cameraY the camera y in terrain coordinates
+    * @param {number} lodDistance the distance from the camera where detail starts to drop
+    */
+    updateLOD(cameraX, cameraY, lodDistance) {
+        if (this.terrain.updateLOD(cameraX, cameraY, lodDistance) && this.IndexTriBuffer) {
+            this.loadIndexBuffers();
+        }
+    }
+
+    /**
+    * Goes back to drawing every triangle of the terrain
+    */
+    clearLOD() {
+        if (this.terrain.clearLOD() && this.IndexTriBuffer) {
+            this.loadIndexBuffers();
+        }
+    }
+
+    /**
+    * Free the buffer objects in WebGL once the terrain is no longer drawn
+    */
+    deleteBuffers() {
+        let gl = this.gl;
+        gl.deleteBuffer(this.VertexPositionBuffer);
+        gl.deleteBuffer(this.VertexNormalBuffer);
+        gl.deleteBuffer(this.VertexTextureCoordBuffer);
+        gl.deleteBuffer(this.VertexMorphBuffer);
+        gl.deleteBuffer(this.VertexAnalysisBuffer);
+        gl.deleteBuffer(this.IndexTriBuffer);
+        gl.deleteBuffer(this.IndexEdgeBuffer);
+    }
+
+    /**
+    * Binds the vertex buffers to the attributes of a shader program
+    * @param {WebGLProgram} program the terrain shader program, holding the
+    *     locations of its attributes
+    */
+    bindVertexBuffers(program) {
+        let gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.vertexAttribPointer(program.vertexPositionAttribute, this.VertexPositionBuffer.itemSize,
+                         gl.FLOAT, false, 0, 0);
+
+        // Bind normal buffer
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexNormalBuffer);
+        gl.vertexAttribPointer(program.vertexNormalAttribute,
+                           this.VertexNormalBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+
+        // Bind texture coordinate buffer
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexTextureCoordBuffer);
+        gl.vertexAttribPointer(program.textureCoordAttribute,
+                           this.VertexTextureCoordBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+
+        // Bind morph buffer
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexMorphBuffer);
+        gl.vertexAttribPointer(program.morphAttribute,
+                           this.VertexMorphBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+
+        // Bind analysis buffer
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexAnalysisBuffer);
+        gl.vertexAttribPointer(program.analysisAttribute,
+                           this.VertexAnalysisBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+    }
+
+    /**
+    * Render the triangles
+    * @param {WebGLProgram} program the terrain shader program in use
+    */
+    drawTriangles(program) {
+        let gl = this.gl;
+        this.bindVertexBuffers(program);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexTriBuffer);
+        gl.drawElements(gl.TRIANGLES, this.IndexTriBuffer.numItems, gl.UNSIGNED_INT,0);
+    }
+
+    /**
+    * Render the triangle edges wireframe style
+    * @param {WebGLProgram} program the terrain shader program in use
+    */
+    drawEdges(program) {
+        let gl = this.gl;
+        this.bindVertexBuffers(program);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.IndexEdgeBuffer);
+        gl.drawElements(gl.LINES, this.IndexEdgeBuffer.numItems, gl.UNSIGNED_INT,0);
+    }
+}
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview TerrainSculptor - Brushes editing Terrain heights by hand, with undo and redo
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class changing the heights of a Terrain grid under a round brush. A stroke
+ * runs from pressing the mouse to releasing it and applies the brush many
+ * times along the way. Each stroke remembers the heights it changed, so it
+ * can be undone and redone as a whole. Applying the brush returns the
+ * rectangle of grid vertices it changed, for TerrainRenderer.updateRegion.
+ */
+class TerrainSculptor {
+    /**
+     * Initialize members of a TerrainSculptor object
+     * @param {Terrain} terrain The terrain whose heights are sculpted
+     */
+    constructor(terrain) {
+        this.terrain = terrain;
+        this.size = terrain.div + 1;
+        // Height the raise, lower and noise brushes move a vertex by at full
+        // strength, each time they are applied
+        this.heightStep = 0.003;
+        // Number of strokes kept for undo
+        this.maxUndo = 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        // The stroke being drawn, null between strokes
+        this.stroke = null;
+        this.noise = new GradientNoiseGenerator(terrain.seed, true, 1, 1);
+    }
+
+    /**
+     * Starts a stroke with a brush
+     * @param {Object} brush the brush of the stroke
+     * @param {string} brush.type raise, lower, smooth, flatten or noise
+     * @param {number} brush.radius the radius in terrain coordinates
+     * @param {number} brush.strength how much the brush changes the heights, in [0,1]
+     * @param {number} brush.falloff the fraction of the radius over which the brush fades out, in [0,1]
+     */
+    beginStroke(brush) {
+        this.stroke = {
+            brush: Object.assign({}, brush),
+            // Height of every changed vertex before the stroke, by vertex index
+            before: new Map(),
+            // Height the flatten brush levels to, taken where the stroke starts
+            flattenHeight: NaN
+        };
+    }
+
+    /**
+     * Ends the stroke and puts it on the undo stack if it changed anything
+     */
+    endStroke() {
+        let stroke = this.stroke;
+        this.stroke = null;
+        if (stroke == null || stroke.before.size == 0) {
+            return;
+        }
+
+        let indices = new Uint32Array(stroke.before.keys());
+        let before = new Float32Array(stroke.before.values());
+        let after = new Float32Array(indices.length);
+        for (let k = 0; k < indices.length; k++) {
+            after[k] = this.terrain.vBuffer[indices[k]*3 + 2];
+        }
+        this.undoStack.push({indices: indices, before: before, after: after});
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Returns how much of the brush reaches a distance from its center. The
+     * brush is full inside and fades out smoothly over the falloff.
+     * @param {number} distance the distance from the center of the brush
+     * @param {Object} brush the brush
+     * @return {number} the weight of the brush in [0,1]
+     */
+    static falloffWeight(distance, brush) {
+        let inner = brush.radius * (1 - brush.falloff);
+        if (distance <= inner) {
+            return 1;
+        }
+        let t = Math.min((distance - inner) / (brush.radius - inner), 1);
+        return 1 - t*t*(3 - 2*t);
+    }
+
+    /**
+     * Applies the brush of the stroke once at a point
+     * @param {number} x the x coordinate of the brush center in terrain coordinates
+     * @param {number} y the y coordinate of the brush center in terrain coordinates
+     * @return {?{firstRow: number, lastRow: number, firstColumn: number, lastColumn: number}}
+     *     the rectangle of vertices the brush covers, or null if it is off the terrain
+     */
+    apply(x, y) {
+        let terrain = this.terrain;
+        let brush = this.stroke.brush;
+        let cellWidth = (terrain.maxX - terrain.minX) / terrain.div;
+        let cellHeight = (terrain.maxY - terrain.minY) / terrain.div;
+        let region = {
+            firstRow: Math.max(Math.ceil((y - brush.radius - terrain.minY) / cellHeight), 0),
+            lastRow: Math.min(Math.floor((y + brush.radius - terrain.minY) / cellHeight), terrain.div),
+            firstColumn: Math.max(Math.ceil((x - brush.radius - terrain.minX) / cellWidth), 0),
+            lastColumn: Math.min(Math.floor((x + brush.radius - terrain.minX) / cellWidth), terrain.div)
+        };
+        if (region.firstRow > region.lastRow || region.firstColumn > region.lastColumn) {
+            return null;
+        }
+        if (brush.type == "flatten" && isNaN(this.stroke.flattenHeight)) {
+            this.stroke.flattenHeight = terrain.getHeightAt(x, y);
+            if (isNaN(this.stroke.flattenHeight)) {
+                return null;
+            }
+        }
+
+        // Every new height is found from the old ones before any is changed,
+        // so smoothing does not depend on the order of the vertices
+        let v = terrain.vBuffer;
+        let columns = region.lastColumn - region.firstColumn + 1;
+        let deltas = new Float32Array((region.lastRow - region.firstRow + 1) * columns);
+        for (let i = region.firstRow; i <= region.lastRow; i++) {
+            for (let j = region.firstColumn; j <= region.lastColumn; j++) {
+                let k = i*this.size + j;
+                let dx = v[k*3] - x;
+                let dy = v[k*3 + 1] - y;
+                let distance = Math.sqrt(dx*dx + dy*dy);
+                if (distance > brush.radius) {
+                    continue;
+                }
+                let amount = brush.strength * TerrainSculptor.falloffWeight(distance, brush);
+                deltas[(i - region.firstRow)*columns + j - region.firstColumn] =
+                    this.brushDelta(brush, i, j, amount);
+            }
+        }
+
+        for (let i = region.firstRow; i <= region.lastRow; i++) {
+            for (let j = region.firstColumn; j <= region.lastColumn; j++) {
+                let delta = deltas[(i - region.firstRow)*columns + j - region.firstColumn];
+                if (delta == 0) {
+                    continue;
+                }
+                let k = i*this.size + j;
+                if (!this.stroke.before.has(k)) {
+                    this.stroke.before.set(k, v[k*3 + 2]);
+                }
+                terrain.offsetHeight(delta, k);
+            }
+        }
+        return region;
+    }
+
+    /**
+     * Returns how much a brush moves the height of a vertex
+     * @param {Object} brush the brush
+     * @param {number} i the row of the vertex
+     * @param {number} j the column of the vertex
+     * @param {number} amount the strength of the brush at the vertex, in [0,1]
+     * @return {number} the change of height
+     */
+    brushDelta(brush, i, j, amount) {
+        let v = this.terrain.vBuffer;
+        let k = i*this.size + j;
+        let height = v[k*3 + 2];
+        switch (brush.type) {
+            case "raise":
+                return amount * this.heightStep;
+            case "lower":
+                return -amount * this.heightStep;
+            case "smooth":
+                return (this.averageHeight(i, j) - height) * amount;
+            case "flatten":
+                return (this.stroke.flattenHeight - height) * amount;
+            case "noise": {
+                // Bumps a few times smaller than the brush, fixed in place so
+                // going over the same spot again makes them stronger
+                let frequency = 4 / brush.radius;
+                return this.noise.noise(v[k*3] * frequency, v[k*3 + 1] * frequency) * amount * this.heightStep;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Returns the average height of a vertex and its neighbors on the grid
+     * @param {number} i the row of the vertex
+     * @param {number} j the column of the vertex
+     * @return {number} the average height
+     */
+    averageHeight(i, j) {
+        let v = this.terrain.vBuffer;
+        let sum = 0;
+        let count = 0;
+        for (let ni = Math.max(i - 1, 0); ni <= Math.min(i + 1, this.size - 1); ni++) {
+            for (let nj = Math.max(j - 1, 0); nj <= Math.min(j + 1, this.size - 1); nj++) {
+                sum += v[(ni*this.size + nj)*3 + 2];
+                count++;
+            }
+        }
+        return sum / count;
+    }
+
+    /**
+     * Takes back the last stroke
+     * @return {?Object} the rectangle of vertices changed, or null if there is nothing to undo
+     */
+    undo() {
+        let stroke = this.undoStack.pop();
+        if (stroke == undefined) {
+            return null;
+        }
+        this.redoStack.push(stroke);
+        return this.setHeights(stroke.indices, stroke.before);
+    }
+
+    /**
+     * Draws the last undone stroke again
+     * @return {?Object} the rectangle of vertices changed, or null if there is nothing to redo
+     */
+    redo() {
+        let stroke = this.redoStack.pop();
+        if (stroke == undefined) {
+            return null;
+        }
+        this.undoStack.push(stroke);
+        return this.setHeights(stroke.indices, stroke.after);
+    }
+
+    /**
+     * Sets the heights of some vertices
+     * @param {Uint32Array} indices the indices of the vertices
+     * @param {Float32Array} heights the height of each vertex
+     * @return {Object} the rectangle of vertices holding all of them
+     */
+    setHeights(indices, heights) {
+        let region = {firstRow: Infinity, lastRow: -1, firstColumn: Infinity, lastColumn: -1};
+        let v = this.terrain.vBuffer;
+        for (let k = 0; k < indices.length; k++) {
+            let i = Math.floor(indices[k] / this.size);
+            let j = indices[k] % this.size;
+            this.terrain.offsetHeight(heights[k] - v[indices[k]*3 + 2], indices[k]);
+            region.firstRow = Math.min(region.firstRow, i);
+            region.lastRow = Math.max(region.lastRow, i);
+            region.firstColumn = Math.min(region.firstColumn, j);
+            region.lastColumn = Math.max(region.lastColumn, j);
+        }
+        return region;
+    }
+}
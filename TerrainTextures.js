@@ -0,0 +1,173 @@
+/**
+ * @fileoverview TerrainTextures - Grass, rock, sand and snow textures for splatting
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class loading the textures blended over the terrain. Each layer starts out
+ * with a procedurally generated texture, which is replaced by the image file
+ * <basePath>/<layer>.jpg once that file loads. A missing file keeps the
+ * procedural texture.
+ */
+class TerrainTextures {
+    /**
+     * Initialize members of a TerrainTextures object
+     * @param {string} basePath Directory holding grass.jpg, rock.jpg, sand.jpg and snow.jpg
+     */
+    constructor(basePath) {
+        this.basePath = basePath;
+        // WebGL textures keyed by layer name
+        this.textures = {};
+        for (let name in TerrainTextures.layers) {
+            this.textures[name] = gl.createTexture();
+            this.uploadImage(name, this.createProceduralImage(name));
+            this.loadImage(name);
+        }
+    }
+
+    /**
+     * Tries to replace the procedural texture of a layer by its image file
+     * @param {string} name the name of the layer
+     */
+    loadImage(name) {
+        let image = new Image();
+        let url = this.basePath + "/" + name + ".jpg";
+        image.onload = () => {
+            this.uploadImage(name, image);
+            console.log("TerrainTextures: Loaded " + url);
+        };
+        image.onerror = () => {
+            console.log("TerrainTextures: Using procedural " + name + " texture, " + url + " not found");
+        };
+        image.src = url;
+    }
+
+    /**
+     * Sends an image to the texture of a layer with mipmaps and repeat wrapping.
+     * Images with sides that are not powers of two are resized first, since
+     * WebGL 1 only repeats and mipmaps power of two textures.
+     * @param {string} name the name of the layer
+     * @param {HTMLImageElement|HTMLCanvasElement} image the texture image
+     */
+    uploadImage(name, image) {
+        let isPowerOf2 = value => (value & (value - 1)) == 0;
+        if (!isPowerOf2(image.width) || !isPowerOf2(image.height)) {
+            let resized = document.createElement("canvas");
+            resized.width = Math.pow(2, Math.round(Math.log2(image.width)));
+            resized.height = Math.pow(2, Math.round(Math.log2(image.height)));
+            resized.getContext("2d").drawImage(image, 0, 0, resized.width, resized.height);
+            image = resized;
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[name]);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    }
+
+    /**
+     * Returns octaves of value noise that wrap around the edges of a square
+     * @param {number} size the number of samples along each side, a power of two
+     * @param {number} seed the seed of the lattice values
+     * @param {number} roughness the amplitude of each octave relative to the previous one
+     * @return {Float32Array} size*size noise values scaled to [0,1], row by row
+     */
+    static tileableNoise(size, seed, roughness) {
+        let random = new SeededRandom(seed);
+        let noise = new Float32Array(size * size);
+        let amplitude = 0.5;
+        // Tracked while summing, spreading the noise into Math.min and
+        // Math.max passes more arguments than some browsers allow. Each octave
+        // starts over, so the last one leaves the extremes of the final sums.
+        let min, max;
+        for (let cells = 4; cells <= size / 4; cells *= 2) {
+            min = Infinity;
+            max = -Infinity;
+            let lattice = new Float32Array(cells * cells);
+            for (let k = 0; k < lattice.length; k++) {
+                lattice[k] = random.next();
+            }
+            let cellSize = size / cells;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    let gx = x / cellSize;
+                    let gy = y / cellSize;
+                    let x0 = Math.floor(gx);
+                    let y0 = Math.floor(gy);
+                    // Smoothstep between lattice values, wrapping at the edges
+                    let tx = (gx - x0) * (gx - x0) * (3 - 2 * (gx - x0));
+                    let ty = (gy - y0) * (gy - y0) * (3 - 2 * (gy - y0));
+                    let x1 = (x0 + 1) % cells;
+                    let y1 = (y0 + 1) % cells;
+                    let top = lattice[y0*cells + x0] * (1 - tx) + lattice[y0*cells + x1] * tx;
+                    let bottom = lattice[y1*cells + x0] * (1 - tx) + lattice[y1*cells + x1] * tx;
+                    let value = Math.fround(noise[y*size + x] + amplitude * (top * (1 - ty) + bottom * ty));
+                    noise[y*size + x] = value;
+                    min = Math.min(min, value);
+                    max = Math.max(max, value);
+                }
+            }
+            amplitude *= roughness;
+        }
+
+        for (let k = 0; k < noise.length; k++) {
+            noise[k] = (noise[k] - min) / (max - min);
+        }
+        return noise;
+    }
+
+    /**
+     * Paints a tileable texture for a layer by blending its two colors with
+     * the tileable noise
+     * @param {string} name the name of the layer
+     * @return {HTMLCanvasElement} the texture image
+     */
+    createProceduralImage(name) {
+        const SIZE = 256;
+        let layer = TerrainTextures.layers[name];
+        let noise = TerrainTextures.tileableNoise(SIZE, layer.seed, layer.roughness);
+
+        let canvas = document.createElement("canvas");
+        canvas.width = SIZE;
+        canvas.height = SIZE;
+        let context = canvas.getContext("2d");
+        let image = context.createImageData(SIZE, SIZE);
+        for (let k = 0; k < noise.length; k++) {
+            let t = noise[k];
+            for (let c = 0; c < 3; c++) {
+                image.data[k*4 + c] = Math.round(255 * (layer.dark[c] * (1 - t) + layer.light[c] * t));
+            }
+            image.data[k*4 + 3] = 255;
+        }
+        context.putImageData(image, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Binds the layer textures to consecutive texture units
+     * @param {number} firstUnit the texture unit of the first layer
+     */
+    bind(firstUnit) {
+        let unit = firstUnit;
+        for (let name in TerrainTextures.layers) {
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, this.textures[name]);
+            unit++;
+        }
+    }
+}
+
+/**
+ * Colors and noise of the procedural texture of each layer, in the order the
+ * layers are bound to texture units
+ * @type {Object<string, {dark: Array<number>, light: Array<number>, roughness: number, seed: number}>}
+ */
+TerrainTextures.layers = {
+    grass: {dark: [0.16, 0.30, 0.10], light: [0.36, 0.56, 0.20], roughness: 0.7, seed: 1},
+    rock: {dark: [0.28, 0.26, 0.24], light: [0.58, 0.55, 0.52], roughness: 0.8, seed: 2},
+    sand: {dark: [0.72, 0.62, 0.42], light: [0.90, 0.82, 0.62], roughness: 0.5, seed: 3},
+    snow: {dark: [0.82, 0.86, 0.92], light: [1.0, 1.0, 1.0], roughness: 0.5, seed: 4}
+};
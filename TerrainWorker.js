@@ -0,0 +1,38 @@
+/**
+ * @fileoverview TerrainWorker - Web Worker generating Terrain meshes off the main thread
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+importScripts("SeededRandom.js", "TerrainLOD.js", "TerrainAnalysis.js", "Terrain.js",
+              "HeightGenerators.js");
+
+/** @global Smallest change of the fraction done worth reporting to the page */
+var progressStep = 0.01;
+
+//----------------------------------------------------------------------------------
+/**
+ * Generates the terrain described by a job from TerrainBuilder, reporting
+ * progress along the way, and sends its arrays back without copying them
+ * @param {MessageEvent} event the message holding the job
+ */
+onmessage = function(event) {
+    let job = event.data;
+    let lastStage = null;
+    let lastFraction = 0;
+    let onProgress = (stage, fraction) => {
+        if (stage != lastStage || fraction - lastFraction >= progressStep) {
+            postMessage({id: job.id, type: "progress", stage: stage, fraction: fraction});
+            lastStage = stage;
+            lastFraction = fraction;
+        }
+    };
+
+    let heightGenerator = job.heightGenerator ? HeightGenerator.fromMessage(job.heightGenerator) : undefined;
+    let terrain = new Terrain(job.div, job.minX, job.maxX, job.minY, job.maxY, heightGenerator,
+                              job.seed, {onProgress: onProgress});
+
+    let buffers = terrain.getBuffers();
+    postMessage({id: job.id, type: "done", buffers: buffers},
+                [buffers.vBuffer.buffer, buffers.nBuffer.buffer, buffers.tBuffer.buffer,
+                 buffers.fBuffer.buffer, buffers.eBuffer.buffer]);
+};
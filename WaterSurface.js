@@ -0,0 +1,141 @@
+/**
+ * @fileoverview WaterSurface - Render targets, wave normals and geometry of the water plane
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+/**
+ * Class holding the WebGL resources of a flat water surface at sea level.
+ * The terrain is rendered into a reflection target from a camera mirrored
+ * below the surface, and into a refraction target holding what lies under
+ * the water. The water shader then blends the two using a scrolling wave
+ * normal map.
+ */
+class WaterSurface {
+    /**
+     * Initialize members of a WaterSurface object
+     * @param {number} width Width of the reflection and refraction targets in pixels
+     * @param {number} height Height of the reflection and refraction targets in pixels
+     */
+    constructor(width, height) {
+        this.reflection = this.createRenderTarget(width, height);
+        this.refraction = this.createRenderTarget(width, height);
+        this.normalMap = this.createNormalMap(256, 7, 0.6);
+
+        // Unit square in the xy plane, scaled and moved by the water shader
+        this.VertexPositionBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 0,  1, -1, 0,  -1, 1, 0,  1, 1, 0]),
+                      gl.STATIC_DRAW);
+        this.VertexPositionBuffer.itemSize = 3;
+        this.VertexPositionBuffer.numItems = 4;
+    }
+
+    /**
+     * Creates a framebuffer rendering into a color texture with a depth buffer
+     * @param {number} width the width in pixels
+     * @param {number} height the height in pixels
+     * @return {{framebuffer: WebGLFramebuffer, texture: WebGLTexture, width: number, height: number}}
+     *     the render target
+     */
+    createRenderTarget(width, height) {
+        let texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        let depthBuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depthBuffer);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+
+        let framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depthBuffer);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) != gl.FRAMEBUFFER_COMPLETE) {
+            console.log("WaterSurface: Incomplete framebuffer");
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+        return {framebuffer: framebuffer, texture: texture, width: width, height: height};
+    }
+
+    /**
+     * Creates a tileable normal map of small waves from the slopes of
+     * tileable noise
+     * @param {number} size the number of texels along each side, a power of two
+     * @param {number} seed the seed of the noise
+     * @param {number} roughness the amplitude of each noise octave relative to the previous one
+     * @return {WebGLTexture} the normal map, with normals encoded as rgb in [0,1]
+     */
+    createNormalMap(size, seed, roughness) {
+        let noise = TerrainTextures.tileableNoise(size, seed, roughness);
+        let pixels = new Uint8Array(size * size * 4);
+        // Steepness of the waves relative to the noise
+        const STRENGTH = 8.0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                let left = noise[y*size + (x + size - 1) % size];
+                let right = noise[y*size + (x + 1) % size];
+                let down = noise[((y + size - 1) % size)*size + x];
+                let up = noise[((y + 1) % size)*size + x];
+
+                let normal = glMatrix.vec3.fromValues((left - right) * STRENGTH,
+                                                      (down - up) * STRENGTH, 1.0);
+                glMatrix.vec3.normalize(normal, normal);
+                let k = (y*size + x) * 4;
+                pixels[k] = Math.round((normal[0] * 0.5 + 0.5) * 255);
+                pixels[k + 1] = Math.round((normal[1] * 0.5 + 0.5) * 255);
+                pixels[k + 2] = Math.round((normal[2] * 0.5 + 0.5) * 255);
+                pixels[k + 3] = 255;
+            }
+        }
+
+        let texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+        return texture;
+    }
+
+    /**
+     * Directs rendering into a render target
+     * @param {{framebuffer: WebGLFramebuffer, width: number, height: number}} target
+     *     the reflection or refraction target
+     */
+    bindTarget(target) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.viewport(0, 0, target.width, target.height);
+    }
+
+    /**
+     * Binds the reflection, refraction and normal map textures to consecutive
+     * texture units
+     * @param {number} firstUnit the texture unit of the reflection
+     */
+    bindTextures(firstUnit) {
+        gl.activeTexture(gl.TEXTURE0 + firstUnit);
+        gl.bindTexture(gl.TEXTURE_2D, this.reflection.texture);
+        gl.activeTexture(gl.TEXTURE0 + firstUnit + 1);
+        gl.bindTexture(gl.TEXTURE_2D, this.refraction.texture);
+        gl.activeTexture(gl.TEXTURE0 + firstUnit + 2);
+        gl.bindTexture(gl.TEXTURE_2D, this.normalMap);
+    }
+
+    /**
+     * Draws the water square with the water shader
+     * @param {WebGLProgram} program the water shader program with a vertexPositionAttribute
+     */
+    draw(program) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.VertexPositionBuffer);
+        gl.vertexAttribPointer(program.vertexPositionAttribute, this.VertexPositionBuffer.itemSize,
+                               gl.FLOAT, false, 0, 0);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, this.VertexPositionBuffer.numItems);
+    }
+}
@@ -1,422 +1,2702 @@
-
-/**
- * @file Terrain Generation in WebGL with Blinn Phong Shading and 
- * Elevation Color Mapping
- * @author Yani Julian <bjulia2@illinois.edu>  
- */
-
-/** @global The WebGL context */
-var gl;
-
-/** @global The HTML5 canvas we draw on */
-var canvas;
-
-/** @global A simple GLSL shader program */
-var shaderProgram;
-
-/** @global The Modelview matrix */
-var mvMatrix = glMatrix.mat4.create();
-
-/** @global The Projection matrix */
-var pMatrix = glMatrix.mat4.create();
-
-/** @global The Normal matrix */
-var nMatrix = glMatrix.mat3.create();
-
-/** @global An object holding the geometry for a 3D terrain */
-var myTerrain;
-
-/** @global The angle of rotation around the x axis for the terrain */
-var viewRotX = -90;
-
-/** @global The angle of rotation around the y axis for the terrain */
-var viewRotY = 0;
-
-/** @global The uniform scale factor for the terrain */
-var viewScale = 1.0;
-
-/** @global The offset factor for the Z coordinate of the terrain */
-var viewOffsetZ = -0.01;
-
-// View parameters
-/** @global Location of the camera in world coordinates */
-var eyePt = glMatrix.vec3.fromValues(0.0,0.15,1.0);
-/** @global Up vector for view matrix creation, in world coordinates */
-var up = glMatrix.vec3.fromValues(0.0,1.0,0.0);
-/** @global Location of a point in world coordinates */
-var viewPt = glMatrix.vec3.fromValues(0.0,0.1,-1.0);
-
-//Light parameters
-/** @global Light position in VIEW coordinates */
-var lightPosition = [0,50,50];
-/** @global Ambient light color/intensity for Blinn Phong reflection */
-var lAmbient = [0,0,0];
-/** @global Diffuse light color/intensity for Blinn Phong reflection */
-var lDiffuse = [1,1,1];
-/** @global Specular light color/intensity for Blinn Phong reflection */
-var lSpecular =[0.75,0.75,0.75];
-
-//Material parameters
-/** @global Ambient material color/intensity for Blinn Phong reflection */
-var kAmbient = [1.0,1.0,1.0];
-/** @global Diffuse material color/intensity for Blinn Phong reflection */
-var kTerrainDiffuse = [205.0/255.0,163.0/255.0,63.0/255.0];
-/** @global Specular material color/intensity for Blinn Phong reflection */
-var kSpecular = [1,1,1];
-/** @global Shininess exponent for Blinn Phong reflection */
-var shininess = 100;
-
-/** @global Edge color for wireframe rendering */
-var kEdgeWhite = [1.0,1.0,1.0];
-
-// User Interaction Parameters
-
-/** @global The camera speed */
-var speed = .001;
-
-/** @global Dictionary of which keys are currently pressed */
-var currentlyPressedKeys = {}
-
-/** @global Fog is on or off */
-var isFoggy = true;
-
-//-------------------------------------------------------------------------
-/**
- * Sends Modelview matrix to shader
- */
-function uploadModelViewMatrixToShader() {
-  gl.uniformMatrix4fv(shaderProgram.mvMatrixUniform, false, mvMatrix);
-}
-
-//-------------------------------------------------------------------------
-/**
- * Sends projection matrix to shader
- */
-function uploadProjectionMatrixToShader() {
-  gl.uniformMatrix4fv(shaderProgram.pMatrixUniform, 
-                      false, pMatrix);
-}
-
-//-------------------------------------------------------------------------
-/**
- * Generates and sends the normal matrix to the shader
- */
-function uploadNormalMatrixToShader() {
-  glMatrix.mat3.fromMat4(nMatrix,mvMatrix);
-  glMatrix.mat3.transpose(nMatrix,nMatrix);
-  glMatrix.mat3.invert(nMatrix,nMatrix);
-  gl.uniformMatrix3fv(shaderProgram.nMatrixUniform, false, nMatrix);
-}
-
-//----------------------------------------------------------------------------------
-/**
- * Sends projection/modelview matrices to shader
- */
-function setMatrixUniforms() {
-  uploadModelViewMatrixToShader();
-  uploadNormalMatrixToShader();
-  uploadProjectionMatrixToShader();
-}
-
-//----------------------------------------------------------------------------------
-/**
- * Translates degrees to radians
- * @param {Number} degrees Degree input to function
- * @return {Number} The radians that correspond to the degree input
- */
-function degToRad(degrees) {
-  return degrees * Math.PI / 180;
-}
-
-//----------------------------------------------------------------------------------
-/**
- * Creates a context for WebGL
- * @param {element} canvas WebGL canvas
- * @return {Object} WebGL context
- */
-function createGLContext(canvas) {
-  var names = ["webgl", "experimental-webgl"];
-  var context = null;
-  for (var i=0; i < names.length; i++) {
-    try {
-      context = canvas.getContext(names[i]);
-    } catch(e) {}
-    if (context) {
-      break;
-    }
-  }
-  if (context) {
-    context.viewportWidth = canvas.width;
-    context.viewportHeight = canvas.height;
-  } else {
-    alert("Failed to create WebGL context!");
-  }
-  return context;
-}
-
-//----------------------------------------------------------------------------------
-/**
- * Loads Shaders
- * @param {string} id ID string for shader to load. Either vertex shader/fragment shader
- */
-function loadShaderFromDOM(id) {
-  var shaderScript = document.getElementById(id);
-  
-  // If we don't find an element with the specified id
-  // we do an early exit 
-  if (!shaderScript) {
-    return null;
-  }
-  
-  // Loop through the children for the found DOM element and
-  // build up the shader source code as a string
-  var shaderSource = "";
-  var currentChild = shaderScript.firstChild;
-  while (currentChild) {
-    if (currentChild.nodeType == 3) { // 3 corresponds to TEXT_NODE
-      shaderSource += currentChild.textContent;
-    }
-    currentChild = currentChild.nextSibling;
-  }
- 
-  var shader;
-  if (shaderScript.type == "x-shader/x-fragment") {
-    shader = gl.createShader(gl.FRAGMENT_SHADER);
-  } else if (shaderScript.type == "x-shader/x-vertex") {
-    shader = gl.createShader(gl.VERTEX_SHADER);
-  } else {
-    return null;
-  }
- 
-  gl.shaderSource(shader, shaderSource);
-  gl.compileShader(shader);
- 
-  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-    alert(gl.getShaderInfoLog(shader));
-    return null;
-  } 
-  return shader;
-}
-
-//----------------------------------------------------------------------------------
-/**
- * Setup the fragment and vertex shaders
- */
-function setupShaders() {
-  vertexShader = loadShaderFromDOM("shader-blinn-phong-vs");
-  fragmentShader = loadShaderFromDOM("shader-blinn-phong-fs");
-  
-  shaderProgram = gl.createProgram();
-  gl.attachShader(shaderProgram, vertexShader);
-  gl.attachShader(shaderProgram, fragmentShader);
-  gl.linkProgram(shaderProgram);
-
-  if (!gl.getProgramParameter(shaderProgram, gl.LINK_STATUS)) {
-    alert("Failed to setup shaders");
-  }
-
-  gl.useProgram(shaderProgram);
-
-  shaderProgram.vertexPositionAttribute = gl.getAttribLocation(shaderProgram, "aVertexPosition");
-  gl.enableVertexAttribArray(shaderProgram.vertexPositionAttribute);
-
-  shaderProgram.vertexNormalAttribute = gl.getAttribLocation(shaderProgram, "aVertexNormal");
-  gl.enableVertexAttribArray(shaderProgram.vertexNormalAttribute);
-
-  // Color Mapping Uniforms
-  shaderProgram.uniformHeightInterval= gl.getUniformLocation(shaderProgram, "uHeightInterval");
-  shaderProgram.uniformTopColor = gl.getUniformLocation(shaderProgram, "uTopColor");
-  shaderProgram.uniformMidColor = gl.getUniformLocation(shaderProgram, "uMidColor");
-  shaderProgram.uniformBaseColor = gl.getUniformLocation(shaderProgram, "uBaseColor");
-  shaderProgram.uniformBotColor = gl.getUniformLocation(shaderProgram, "uBotColor");
-
-  shaderProgram.mvMatrixUniform = gl.getUniformLocation(shaderProgram, "uMVMatrix");
-  shaderProgram.pMatrixUniform = gl.getUniformLocation(shaderProgram, "uPMatrix");
-  shaderProgram.nMatrixUniform = gl.getUniformLocation(shaderProgram, "uNMatrix");
-  shaderProgram.uniformLightPositionLoc = gl.getUniformLocation(shaderProgram, "uLightPosition");    
-  shaderProgram.uniformAmbientLightColorLoc = gl.getUniformLocation(shaderProgram, "uAmbientLightColor");  
-  shaderProgram.uniformDiffuseLightColorLoc = gl.getUniformLocation(shaderProgram, "uDiffuseLightColor");
-  shaderProgram.uniformSpecularLightColorLoc = gl.getUniformLocation(shaderProgram, "uSpecularLightColor");
-  shaderProgram.uniformShininessLoc = gl.getUniformLocation(shaderProgram, "uShininess");    
-  shaderProgram.uniformAmbientMaterialColorLoc = gl.getUniformLocation(shaderProgram, "uKAmbient");  
-  shaderProgram.uniformDiffuseMaterialColorLoc = gl.getUniformLocation(shaderProgram, "uKDiffuse");
-  shaderProgram.uniformSpecularMaterialColorLoc = gl.getUniformLocation(shaderProgram, "uKSpecular");
-}
-
-//-------------------------------------------------------------------------
-/**
- * Sends material information to the shader
- * @param {Float32} alpha shininess coefficient
- * @param {Float32Array} a Ambient material color
- * @param {Float32Array} d Diffuse material color
- * @param {Float32Array} s Specular material color
- */
-function setMaterialUniforms(alpha,a,d,s) {
-  gl.uniform1f(shaderProgram.uniformShininessLoc, alpha);
-  gl.uniform3fv(shaderProgram.uniformAmbientMaterialColorLoc, a);
-  gl.uniform3fv(shaderProgram.uniformDiffuseMaterialColorLoc, d);
-  gl.uniform3fv(shaderProgram.uniformSpecularMaterialColorLoc, s);
-}
-
-//-------------------------------------------------------------------------
-/**
- * Sends light information to the shader
- * @param {Float32Array} loc Location of light source
- * @param {Float32Array} a Ambient light strength
- * @param {Float32Array} d Diffuse light strength
- * @param {Float32Array} s Specular light strength
- */
-function setLightUniforms(loc,a,d,s) {
-  gl.uniform3fv(shaderProgram.uniformLightPositionLoc, loc);
-  gl.uniform3fv(shaderProgram.uniformAmbientLightColorLoc, a);
-  gl.uniform3fv(shaderProgram.uniformDiffuseLightColorLoc, d);
-  gl.uniform3fv(shaderProgram.uniformSpecularLightColorLoc, s);
-}
-
-//-------------------------------------------------------------------------
-/**
- * Sends the min/max z coordinate to the shader for coloring the terrain by
- * intervals. Sends each of the colors to the shader.
- */
-function setColorMapUniforms() {
-  // Set the height interval
-
-  let skyColor = [255.0/255.0, 250.0/255.0, 250.0/255.0];
-  gl.uniform3fv(shaderProgram.uniformTopColor, new Float32Array(skyColor));
-
-  let earthColor = [135.0/255.0, 67.0/255.0, 23.0/255.0];
-  gl.uniform3fv(shaderProgram.uniformMidColor, new Float32Array(earthColor));
-
-  let vegetationColor = [44.0/255.0, 176.0/255.0, 55.0/255.0];
-  gl.uniform3fv(shaderProgram.uniformBaseColor, new Float32Array(vegetationColor));
-
-  let oceanColor = [0.0/255.0, 151.0/255.0, 241.0/255.0];
-  gl.uniform3fv(shaderProgram.uniformBotColor, new Float32Array(oceanColor));
-  
-  let heightInterval = glMatrix.vec2.create();
-  myTerrain.getHeightInterval(heightInterval);
-  let minZ = heightInterval[0];
-  let maxZ = heightInterval[1];
-  let intervalLength = Math.abs(minZ) + Math.abs(maxZ);
-  let interval_30 = intervalLength * 0.3;
-  let interval_20 = intervalLength * 0.2;
-  
-  let topStartZ = maxZ - interval_20; // top color is 20 percent
-  let midStartZ = topStartZ - interval_30; // mid color is 30 percent 
-  let baseStartZ = midStartZ - interval_30; // base color is 30 percent
-  let botStartZ = minZ; // bot color is the rest
-
-  let intervals = glMatrix.vec4.fromValues(topStartZ, midStartZ, baseStartZ, botStartZ);
-  gl.uniform4fv(shaderProgram.uniformHeightInterval, new Float32Array(intervals));
-
-}
-
-//-------------------------------------------------------------------------
-/**
- * Populate buffers with terrain data
- */
-function setupBuffers() {
-    myTerrain = new Terrain(150,-1,1,-1,1);
-    myTerrain.loadBuffers();
-}
-
-//---------------------------------------------------------------------------
-/**
- * Draw call that applies matrix transformations to model and draws model in frame
- */
-function draw() { 
-
-    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-
-    // Perspective View
-    glMatrix.mat4.perspective(pMatrix,degToRad(45), 
-                     gl.viewportWidth / gl.viewportHeight,
-                     0.01, 1000);
-
-    // Generate the lookat matrix and initialize the MV matrix to that view
-    glMatrix.mat4.lookAt(mvMatrix,eyePt,viewPt,up);
-
-    //Draw Terrain
-    glMatrix.mat4.rotateY(mvMatrix, mvMatrix, degToRad(viewRotY));
-    glMatrix.mat4.rotateX(mvMatrix, mvMatrix, degToRad(viewRotX));
-
-    let offsetZVec = glMatrix.vec3.fromValues(0.0,0.0,viewOffsetZ);
-    glMatrix.mat4.translate(mvMatrix, mvMatrix,offsetZVec);
-
-    let scaleVec = glMatrix.vec3.fromValues(viewScale, viewScale, viewScale);
-    glMatrix.mat4.scale(mvMatrix, mvMatrix, scaleVec);
-
-    setMatrixUniforms();
-    setLightUniforms(lightPosition,lAmbient,lDiffuse,lSpecular);
-    setColorMapUniforms();
-    
-    if (document.getElementById("polygon").checked)
-    { 
-      setMaterialUniforms(shininess,kAmbient,kTerrainDiffuse,kSpecular); 
-      myTerrain.drawTriangles();
-    }
-    
-    if(document.getElementById("wireframe").checked)
-    {
-      setMaterialUniforms(shininess,kAmbient,kEdgeWhite,kSpecular);
-      myTerrain.drawEdges();
-    }
-}
-
-//------------------------------------------------------------------------------
-/**
- * Startup function called from html code to start program.
- */
- function startup() {
-  canvas = document.getElementById("myGLCanvas");
-  gl = createGLContext(canvas);
-  setupShaders();
-  setupBuffers();
-  // fog color
-  gl.clearColor(1.0,1.0,1.0,1.0);
-  gl.enable(gl.DEPTH_TEST);
-
-  document.onkeydown = handleKeyDown;
-  document.onkeyup = handleKeyUp;
-
-  tick();
-}
-
-//------------------------------------------------------------------------------
-/**
- * Keeping drawing frames....
- */
-function tick() {
-    requestAnimFrame(tick);
-    draw();
-    updateSpeed();
-}
-
-//------------------------------------------------------------------------------
-function handleKeyDown(event) {
-  console.log("Key Down ", event.key, " code ", event.code);
-  if (event.key == "ArrowDown" || event.key == "ArrowUp") {
-    event.preventDefault();
-  }
-  currentlyPressedKeys[event.key] = true;
-
-}
-
-
-function handleKeyUp(event) {
-  console.log("Key up ", event.key, " code ", event.code);
-  currentlyPressedKeys[event.key] = false;
-}
-
-function updateSpeed() {
-  eyePt[2] -= speed;
-  viewPt[2] -= speed;
-  if (currentlyPressedKeys["ArrowDown"]) {
-    speed -= .0001;
-    document.getElementById("speedLabel").innerText = "Speed: " + speed;
-  } else if (currentlyPressedKeys["ArrowUp"]) {
-    speed += .0001;
-    document.getElementById("speedLabel").innerText = "Speed: " + speed;
-  }
-}
\ No newline at end of file
+
+/**
+ * @file Terrain Generation in WebGL with Selectable Shading Models and 
+ * Elevation Color Mapping
+ * @author Yani Julian <bjulia2@illinois.edu>  
+ */
+
+/** @global The WebGL context */
+var gl;
+
+/** @global The HTML5 canvas we draw on */
+var canvas;
+
+/** @global The terrain shader program in use, one of terrainPrograms */
+var shaderProgram;
+
+/** @global Terrain shader programs by name, compiled at startup so they switch at once */
+var terrainPrograms = {};
+
+/** @global The define each terrain shader program is compiled with, by name */
+var shadingModels = {
+  flat: "SHADING_FLAT",
+  gouraud: "SHADING_GOURAUD",
+  phong: "SHADING_PHONG",
+  blinnPhong: "SHADING_BLINN_PHONG",
+  normals: "DEBUG_NORMALS",
+  depth: "DEBUG_DEPTH",
+  uvs: "DEBUG_UV"
+};
+
+/** @global Name of the terrain shader program in use */
+var shadingModel = "blinnPhong";
+
+/** @global Distance from the camera the depth debug view shows as white */
+var debugDepthRange = 3.0;
+
+/** @global The Modelview matrix */
+var mvMatrix = glMatrix.mat4.create();
+
+/** @global The Projection matrix */
+var pMatrix = glMatrix.mat4.create();
+
+/** @global The Normal matrix */
+var nMatrix = glMatrix.mat3.create();
+
+/** @global An object holding the geometry for a 3D terrain */
+var myTerrain;
+
+/** @global Draws the single terrain and holds its buffers */
+var myTerrainRenderer;
+
+/** @global Streams the terrain chunks drawn around the camera */
+var chunkManager;
+
+/** @global Generates terrains on a worker thread */
+var terrainBuilder;
+
+/** @global Functions waiting for the single terrain while it is generated */
+var singleTerrainCallbacks = [];
+
+/** @global The last imported heightmap, kept to rescale it */
+var myHeightmap;
+
+/** @global Seed of the height generators */
+var worldSeed;
+
+/** @global Erodes the single terrain while erosion steps remain */
+var myErosion;
+
+/** @global Number of erosion steps left to run */
+var erosionStepsRemaining = 0;
+
+/** @global Sculpts the single terrain with the brush */
+var mySculptor;
+
+/** @global The sculpting brush: none, raise, lower, smooth, flatten or noise, its radius, strength and falloff */
+var brush = {type: "none", radius: 0.1, strength: 0.5, falloff: 0.5};
+
+/** @global Position of the mouse in the page while a brush stroke is drawn, null otherwise */
+var sculptMouse = null;
+
+/** @global The angle of rotation around the x axis for the terrain */
+var viewRotX = -90;
+
+/** @global The angle of rotation around the y axis for the terrain */
+var viewRotY = 0;
+
+/** @global The uniform scale factor for the terrain */
+var viewScale = 1.0;
+
+/** @global The offset factor for the Z coordinate of the terrain */
+var viewOffsetZ = -0.01;
+
+// View parameters
+/** @global Location of the camera in world coordinates */
+var eyePt = glMatrix.vec3.fromValues(0.0,0.15,1.0);
+/** @global Up vector for view matrix creation, in world coordinates */
+var up = glMatrix.vec3.fromValues(0.0,1.0,0.0);
+/** @global Location of a point in world coordinates */
+var viewPt = glMatrix.vec3.fromValues(0.0,0.1,-1.0);
+/** @global Orientation of the camera as a quaternion, in world coordinates */
+var camOrientation = glMatrix.quat.create();
+/** @global Camera view direction at rest, in camera coordinates */
+var camForward = glMatrix.vec3.fromValues(0.0,0.0,-1.0);
+/** @global Camera up direction at rest, in camera coordinates */
+var camUp = glMatrix.vec3.fromValues(0.0,1.0,0.0);
+
+//Light parameters
+/** @global Direction towards the sun or moon in world coordinates, set from the time of day */
+var lightDirection = glMatrix.vec3.fromValues(0.0,1.0,0.0);
+/** @global Ambient light color/intensity for Blinn Phong reflection */
+var lAmbient = [0,0,0];
+/** @global Diffuse light color/intensity for Blinn Phong reflection */
+var lDiffuse = [1,1,1];
+/** @global Specular light color/intensity for Blinn Phong reflection */
+var lSpecular =[0.75,0.75,0.75];
+
+//Material parameters
+/** @global Ambient material color/intensity for Blinn Phong reflection */
+var kAmbient = [1.0,1.0,1.0];
+/** @global Diffuse material color/intensity for Blinn Phong reflection */
+var kTerrainDiffuse = [205.0/255.0,163.0/255.0,63.0/255.0];
+/** @global Specular material color/intensity for Blinn Phong reflection */
+var kSpecular = [1,1,1];
+/** @global Shininess exponent for Blinn Phong reflection */
+var shininess = 100;
+
+/** @global Edge color for wireframe rendering */
+var kEdgeWhite = [1.0,1.0,1.0];
+
+//Elevation color map parameters
+/** @global Color stops of the elevation color map */
+var colorRamp;
+/** @global 1D lookup texture sampled from the color ramp */
+var colorRampTexture;
+/** @global Number of samples in the color ramp lookup texture */
+var colorRampTextureWidth = 256;
+/** @global Editor of the color ramp stops in the page */
+var colorRampEditor;
+
+//Texture splatting parameters
+/** @global Grass, rock, sand and snow textures blended over the terrain */
+var terrainTextures;
+/** @global Textures replace the color ramp or not */
+var isTextured = false;
+/** @global Texture repeats per unit of terrain, whole numbers keep chunk borders seamless */
+var textureScale = 8.0;
+
+//Water parameters
+/** @global Water is drawn or not */
+var isWater = true;
+/** @global Sea level as a fraction of the terrain's height interval */
+var seaLevel = 0.2;
+/** @global Height in the color ramp that is drawn at sea level */
+var colorRampShoreline = 0.25;
+/** @global Reflection and refraction targets, wave normal map and square of the water */
+var waterSurface;
+/** @global Shader program drawing the water */
+var waterProgram;
+/** @global Half the width of the water square centered below the camera */
+var waterExtent = 8.0;
+/** @global Depth, as a fraction of the height interval, where the bottom fades into the water color */
+var waterDepthFade = 0.3;
+/** @global Color of deep water */
+var waterColor = [0.0, 0.22, 0.35];
+/** @global Wave normal map repeats per unit of terrain */
+var waveScale = 4.0;
+/** @global Tilt of the wave normals */
+var waveStrength = 0.5;
+/** @global Offset of the reflection and refraction lookups by the wave normals */
+var waterDistortion = 0.02;
+
+//Shadow parameters
+/** @global Shadows are cast or not */
+var isShadowed = true;
+/** @global The shadow map is shown in a corner of the canvas or not */
+var isShadowDebug = false;
+/** @global Depth of the terrain as seen from the light */
+var shadowMap;
+/** @global Width and height of the shadow map in pixels */
+var shadowMapSize = 2048;
+/** @global Half the width of the shadowed region around the camera */
+var shadowRadius = 2.0;
+/** @global Fraction of the direct light blocked in shadows */
+var shadowStrength = 0.7;
+/** @global Takes terrain coordinates to shadow map coordinates, updated each frame */
+var shadowMatrix = glMatrix.mat4.create();
+/** @global Shader program showing the shadow map */
+var shadowDebugProgram;
+
+//Level of detail parameters
+/** @global Distant terrain patches are drawn with fewer triangles or not */
+var isLOD = true;
+/** @global Distance from the camera where the terrain starts losing detail */
+var lodDistance = 0.5;
+/** @global Camera position in terrain coordinates the levels of detail were picked for */
+var lodCamera = glMatrix.vec3.create();
+
+//Analysis parameters
+/** @global Overlays drawn over the terrain instead of its colors, in the order of the shader's modes */
+var analysisModes = ["none", "slope", "aspect", "curvature"];
+/** @global The overlay drawn over the terrain */
+var analysisMode = "none";
+/** @global Lookup texture sampled from the color ramp of the overlay */
+var analysisRampTexture;
+/** @global Curvature drawn with the strongest colors of the curvature overlay */
+var curvatureRange = 100.0;
+/** @global Slope in degrees the statistics report the area above */
+var slopeThreshold = 30;
+/** @global Number of bins of the slope histogram, splitting 0 to 90 degrees */
+var slopeHistogramBins = 9;
+/** @global Milliseconds between updates of the slope statistics */
+var analysisStatisticsInterval = 1000;
+/** @global Time the statistics were last updated in milliseconds */
+var analysisStatisticsTime = 0;
+
+//Contour parameters
+/** @global Height between two contour lines in terrain coordinates */
+var contourInterval = 0.01;
+/** @global Every how many contour lines a thicker index contour is drawn */
+var indexContourEvery = 5;
+/** @global Color of the contour lines */
+var contourColor = [0.3, 0.15, 0.05];
+
+//Picking parameters
+/** @global Takes terrain coordinates to clip coordinates in the last frame, to turn clicks into rays */
+var pickMatrix = glMatrix.mat4.create();
+/** @global The last picked point of the terrain, null until a point is picked */
+var pickedPoint = null;
+/** @global Functions called with every picked point */
+var terrainPickListeners = [];
+/** @global Shader program drawing the marker at the picked point */
+var markerProgram;
+/** @global Pin of the marker, from the picked point straight up */
+var markerVertexBuffer;
+/** @global Length of the marker pin in terrain coordinates */
+var markerHeight = 0.05;
+/** @global Color of the marker */
+var markerColor = [1.0, 0.1, 0.1];
+
+//Minimap parameters
+/** @global The minimap is drawn or not */
+var isMinimap = true;
+/** @global Width of the minimap as a fraction of the canvas width */
+var minimapSize = 0.3;
+/** @global Half the width of the area shown by the minimap, in terrain coordinates */
+var minimapExtent = 1.5;
+/** @global Lines of the view footprint, the camera heading and the camera drawn over the minimap */
+var minimapOverlayBuffer;
+/** @global Color of the view footprint on the minimap */
+var minimapFootprintColor = [1.0, 1.0, 1.0];
+/** @global Color of the camera and its heading on the minimap */
+var minimapCameraColor = [1.0, 0.1, 0.1];
+
+//Shader file parameters
+/** @global Loaded sources of the shader files, which programs are compiled from */
+var shaderLibrary;
+/** @global Vertex and fragment shader files of each kind of shader program */
+var shaderFiles = {
+  terrain: ["shaders/terrain.vert", "shaders/terrain.frag"],
+  water: ["shaders/water.vert", "shaders/water.frag"],
+  sky: ["shaders/sky.vert", "shaders/sky.frag"],
+  shadowDebug: ["shaders/shadow-debug.vert", "shaders/shadow-debug.frag"],
+  marker: ["shaders/marker.vert", "shaders/marker.frag"]
+};
+/** @global Error messages of the shader programs that failed to build, by program */
+var shaderErrors = {};
+/** @global The shader files are reloaded when they change or not */
+var isShaderReload = false;
+/** @global Milliseconds between two checks of the shader files for changes */
+var shaderReloadInterval = 1000;
+
+// User Interaction Parameters
+
+/** @global The camera speed */
+var speed = .001;
+
+/** @global Pitch rate of the camera in degrees per frame */
+var pitchRate = 0.5;
+
+/** @global Roll rate of the camera in degrees per frame */
+var rollRate = 1.0;
+
+/** @global Yaw rate of the camera in degrees per frame */
+var yawRate = 0.5;
+
+/** @global Dictionary of which keys are currently pressed, by KeyboardEvent.code so Shift and Caps Lock do not matter */
+var currentlyPressedKeys = {}
+
+/** @global Lowest height of the camera above the ground, in terrain coordinates */
+var cameraClearance = 0.02;
+
+/** @global The camera holds a fixed height above the ground or not */
+var isGroundHugging = false;
+
+/** @global Height of the camera above the ground while ground hugging */
+var groundHuggingAltitude = 0.08;
+
+/** @global Fog is on or off */
+var isFoggy = true;
+
+/** @global Fog falloff: 0 for linear, 1 for exp and 2 for exp2 */
+var fogMode = 2;
+
+/** @global Fog density for the exp and exp2 modes */
+var fogDensity = 0.5;
+
+/** @global Distance where linear fog starts */
+var fogStart = 0.5;
+
+/** @global Distance where linear fog hides everything */
+var fogEnd = 3.0;
+
+/** @global Fog color, the color of the sky at the horizon */
+var fogColor = [1.0,1.0,1.0];
+
+//Time of day parameters
+/** @global Time of day moving the sun and changing the light and sky colors */
+var dayNightCycle;
+/** @global Time of the previous frame in milliseconds */
+var lastFrameTime;
+/** @global Direction towards the sun in world coordinates, below the horizon at night */
+var sunDirection = glMatrix.vec3.create();
+/** @global Color of the sky straight up */
+var skyZenithColor = [0.0,0.0,0.0];
+/** @global Color of the sun disk in the sky */
+var sunColor = [1.0,1.0,1.0];
+/** @global Shader program drawing the sky behind the terrain */
+var skyProgram;
+/** @global Square covering the viewport the sky is drawn on */
+var skyVertexPositionBuffer;
+
+//-------------------------------------------------------------------------
+/**
+ * Sends Modelview matrix to shader
+ */
+function uploadModelViewMatrixToShader() {
+  gl.uniformMatrix4fv(shaderProgram.mvMatrixUniform, false, mvMatrix);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends projection matrix to shader
+ */
+function uploadProjectionMatrixToShader() {
+  gl.uniformMatrix4fv(shaderProgram.pMatrixUniform, 
+                      false, pMatrix);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Generates and sends the normal matrix to the shader
+ */
+function uploadNormalMatrixToShader() {
+  glMatrix.mat3.fromMat4(nMatrix,mvMatrix);
+  glMatrix.mat3.transpose(nMatrix,nMatrix);
+  glMatrix.mat3.invert(nMatrix,nMatrix);
+  gl.uniformMatrix3fv(shaderProgram.nMatrixUniform, false, nMatrix);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Sends projection/modelview matrices to shader
+ */
+function setMatrixUniforms() {
+  uploadModelViewMatrixToShader();
+  uploadNormalMatrixToShader();
+  uploadProjectionMatrixToShader();
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Translates degrees to radians
+ * @param {Number} degrees Degree input to function
+ * @return {Number} The radians that correspond to the degree input
+ */
+function degToRad(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Creates a context for WebGL
+ * @param {element} canvas WebGL canvas
+ * @return {Object} WebGL context
+ */
+function createGLContext(canvas) {
+  var names = ["webgl", "experimental-webgl"];
+  var context = null;
+  for (var i=0; i < names.length; i++) {
+    try {
+      context = canvas.getContext(names[i]);
+    } catch(e) {}
+    if (context) {
+      break;
+    }
+  }
+  if (context) {
+    context.viewportWidth = canvas.width;
+    context.viewportHeight = canvas.height;
+    // Terrains draw with 4 byte integer indices
+    if (context.getExtension('OES_element_index_uint') == null) {
+      alert("OES_element_index_uint is unsupported by your browser and terrain generation cannot proceed.");
+    }
+    // Contour lines keep their width in pixels with screen space derivatives
+    if (context.getExtension("OES_standard_derivatives") == null) {
+      alert("OES_standard_derivatives is unsupported by your browser and contour lines cannot be drawn.");
+    }
+  } else {
+    alert("Failed to create WebGL context!");
+  }
+  return context;
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Builds a shader program from the loaded shader files. If it fails, the
+ * errors are shown over the canvas and the caller keeps the program it had.
+ * @param {string} name the name of the program in the error messages
+ * @param {Array<string>} files the vertex and fragment shader files
+ * @param {Array<string>=} defines Optional names defined at the top of the sources
+ * @param {Object<string, number>=} attributeLocations Optional locations to
+ *     bind attributes to, by attribute name
+ * @return {?WebGLProgram} the program, or null if it failed to build
+ */
+function buildShaderProgram(name, files, defines, attributeLocations) {
+  let program = null;
+  try {
+    program = shaderLibrary.createProgram(files[0], files[1], defines, attributeLocations);
+    delete shaderErrors[name];
+  } catch (error) {
+    shaderErrors[name] = error.message;
+    console.log("Failed to setup " + name + " shaders\n" + error.message);
+  }
+  showShaderErrors();
+  return program;
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Shows the errors of the shader programs that failed to build over the
+ * canvas, or hides the overlay when there are none. Programs built from the
+ * same files usually fail the same way, so identical errors are shown once.
+ */
+function showShaderErrors() {
+  let overlay = document.getElementById("shaderErrors");
+  let namesByMessage = new Map();
+  for (let name in shaderErrors) {
+    let names = namesByMessage.get(shaderErrors[name]) || [];
+    names.push(name);
+    namesByMessage.set(shaderErrors[name], names);
+  }
+  let text = "";
+  for (let [message, names] of namesByMessage) {
+    text += names.join(", ") + ":\n" + message + "\n\n";
+  }
+  overlay.textContent = text.trim();
+  overlay.style.display = text == "" ? "none" : "block";
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Setup the fragment and vertex shaders of every terrain shader program and
+ * starts with the one picked in the page. Programs that fail to build keep
+ * the last version that worked.
+ */
+function setupShaders() {
+  for (let name in shadingModels) {
+    let program = createTerrainProgram(shadingModels[name]);
+    if (program != null) {
+      gl.deleteProgram(terrainPrograms[name]);
+      terrainPrograms[name] = program;
+    }
+  }
+  updateShadingModel();
+  if (shaderProgram) {
+    gl.enableVertexAttribArray(shaderProgram.vertexPositionAttribute);
+    gl.enableVertexAttribArray(shaderProgram.vertexNormalAttribute);
+    gl.enableVertexAttribArray(shaderProgram.textureCoordAttribute);
+    gl.enableVertexAttribArray(shaderProgram.morphAttribute);
+    gl.enableVertexAttribArray(shaderProgram.analysisAttribute);
+  }
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Compiles a terrain shader program and looks up the locations of its
+ * attributes and uniforms. Uniforms the program does not use have null
+ * locations, which WebGL ignores.
+ * @param {string} define the name defined to pick the shading model or debug view
+ * @return {?WebGLProgram} the program holding the locations, or null if it failed to build
+ */
+function createTerrainProgram(define) {
+  // Every terrain program keeps its attributes at the same locations, so the
+  // vertex arrays stay enabled when programs are switched, and attributes a
+  // debug view leaves unused still have a location to bind buffers to
+  let program = buildShaderProgram("terrain " + define, shaderFiles.terrain, [define], {
+    aVertexPosition: 0,
+    aVertexNormal: 1,
+    aTextureCoord: 2,
+    aMorph: 3,
+    aAnalysis: 4
+  });
+  if (program == null) {
+    return null;
+  }
+  program.vertexPositionAttribute = 0;
+  program.vertexNormalAttribute = 1;
+  program.textureCoordAttribute = 2;
+  program.morphAttribute = 3;
+  program.analysisAttribute = 4;
+
+  // Color Mapping Uniforms
+  program.uniformHeightRange = gl.getUniformLocation(program, "uHeightRange");
+  program.uniformColorRamp = gl.getUniformLocation(program, "uColorRamp");
+  program.uniformSeaLevelLoc = gl.getUniformLocation(program, "uSeaLevel");
+  program.uniformShorelineLoc = gl.getUniformLocation(program, "uShoreline");
+
+  // Water Clipping Uniforms
+  program.uniformClipPlaneLoc = gl.getUniformLocation(program, "uClipPlane");
+  program.uniformRefractionPassLoc = gl.getUniformLocation(program, "uRefractionPass");
+  program.uniformWaterHeightLoc = gl.getUniformLocation(program, "uWaterHeight");
+  program.uniformWaterDepthFadeLoc = gl.getUniformLocation(program, "uWaterDepthFade");
+
+  // Shadow Uniforms
+  program.shadowMatrixUniform = gl.getUniformLocation(program, "uShadowMatrix");
+  program.uniformDepthPassLoc = gl.getUniformLocation(program, "uDepthPass");
+  program.uniformShadowsEnabledLoc = gl.getUniformLocation(program, "uShadowsEnabled");
+  program.uniformShadowMapLoc = gl.getUniformLocation(program, "uShadowMap");
+  program.uniformShadowMapTexelLoc = gl.getUniformLocation(program, "uShadowMapTexel");
+  program.uniformShadowStrengthLoc = gl.getUniformLocation(program, "uShadowStrength");
+
+  // Level of Detail Uniforms
+  program.uniformLodEnabledLoc = gl.getUniformLocation(program, "uLodEnabled");
+  program.uniformLodCameraLoc = gl.getUniformLocation(program, "uLodCamera");
+  program.uniformLodDistanceLoc = gl.getUniformLocation(program, "uLodDistance");
+
+  // Texture Splatting Uniforms
+  program.uniformTexturedLoc = gl.getUniformLocation(program, "uTextured");
+  program.uniformTextureScaleLoc = gl.getUniformLocation(program, "uTextureScale");
+  program.uniformGrassTextureLoc = gl.getUniformLocation(program, "uGrassTexture");
+  program.uniformRockTextureLoc = gl.getUniformLocation(program, "uRockTexture");
+  program.uniformSandTextureLoc = gl.getUniformLocation(program, "uSandTexture");
+  program.uniformSnowTextureLoc = gl.getUniformLocation(program, "uSnowTexture");
+
+  // Contour Uniforms
+  program.uniformContoursEnabledLoc = gl.getUniformLocation(program, "uContoursEnabled");
+  program.uniformContourIntervalLoc = gl.getUniformLocation(program, "uContourInterval");
+  program.uniformIndexContourEveryLoc = gl.getUniformLocation(program, "uIndexContourEvery");
+  program.uniformContourColorLoc = gl.getUniformLocation(program, "uContourColor");
+
+  // Analysis Overlay Uniforms
+  program.uniformAnalysisModeLoc = gl.getUniformLocation(program, "uAnalysisMode");
+  program.uniformAnalysisRampLoc = gl.getUniformLocation(program, "uAnalysisRamp");
+  program.uniformCurvatureRangeLoc = gl.getUniformLocation(program, "uCurvatureRange");
+
+  program.mvMatrixUniform = gl.getUniformLocation(program, "uMVMatrix");
+  program.pMatrixUniform = gl.getUniformLocation(program, "uPMatrix");
+  program.nMatrixUniform = gl.getUniformLocation(program, "uNMatrix");
+  program.uniformLightDirectionLoc = gl.getUniformLocation(program, "uLightDirection");    
+  program.uniformAmbientLightColorLoc = gl.getUniformLocation(program, "uAmbientLightColor");  
+  program.uniformDiffuseLightColorLoc = gl.getUniformLocation(program, "uDiffuseLightColor");
+  program.uniformSpecularLightColorLoc = gl.getUniformLocation(program, "uSpecularLightColor");
+  program.uniformShininessLoc = gl.getUniformLocation(program, "uShininess");    
+  program.uniformAmbientMaterialColorLoc = gl.getUniformLocation(program, "uKAmbient");  
+  program.uniformDiffuseMaterialColorLoc = gl.getUniformLocation(program, "uKDiffuse");
+  program.uniformSpecularMaterialColorLoc = gl.getUniformLocation(program, "uKSpecular");
+
+  // Fog Uniforms
+  program.uniformFogEnabledLoc = gl.getUniformLocation(program, "uFogEnabled");
+  program.uniformFogModeLoc = gl.getUniformLocation(program, "uFogMode");
+  program.uniformFogDensityLoc = gl.getUniformLocation(program, "uFogDensity");
+  program.uniformFogStartLoc = gl.getUniformLocation(program, "uFogStart");
+  program.uniformFogEndLoc = gl.getUniformLocation(program, "uFogEnd");
+  program.uniformFogColorLoc = gl.getUniformLocation(program, "uFogColor");
+
+  // Debug View Uniforms
+  program.uniformDebugDepthRangeLoc = gl.getUniformLocation(program, "uDebugDepthRange");
+  return program;
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Reads the shading model or debug view picked in the page and switches to
+ * its terrain shader program. Every uniform is sent again before each draw,
+ * so the new program needs nothing else.
+ */
+function updateShadingModel() {
+  shadingModel = document.getElementById("shadingModel").value;
+  shaderProgram = terrainPrograms[shadingModel];
+  gl.useProgram(shaderProgram);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Sends the settings of the debug views to the shader
+ */
+function setDebugUniforms() {
+  gl.uniform1f(shaderProgram.uniformDebugDepthRangeLoc, debugDepthRange);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Setup the fragment and vertex shaders of the water
+ */
+function setupWaterShaders() {
+  let program = buildShaderProgram("water", shaderFiles.water);
+  if (program == null) {
+    return;
+  }
+  gl.deleteProgram(waterProgram);
+  waterProgram = program;
+
+  waterProgram.vertexPositionAttribute = gl.getAttribLocation(waterProgram, "aVertexPosition");
+
+  waterProgram.mvMatrixUniform = gl.getUniformLocation(waterProgram, "uMVMatrix");
+  waterProgram.pMatrixUniform = gl.getUniformLocation(waterProgram, "uPMatrix");
+  waterProgram.nMatrixUniform = gl.getUniformLocation(waterProgram, "uNMatrix");
+
+  // Water Uniforms
+  waterProgram.uniformWaterCenterLoc = gl.getUniformLocation(waterProgram, "uWaterCenter");
+  waterProgram.uniformWaterExtentLoc = gl.getUniformLocation(waterProgram, "uWaterExtent");
+  waterProgram.uniformWaterHeightLoc = gl.getUniformLocation(waterProgram, "uWaterHeight");
+  waterProgram.uniformReflectionLoc = gl.getUniformLocation(waterProgram, "uReflection");
+  waterProgram.uniformRefractionLoc = gl.getUniformLocation(waterProgram, "uRefraction");
+  waterProgram.uniformNormalMapLoc = gl.getUniformLocation(waterProgram, "uNormalMap");
+  waterProgram.uniformTimeLoc = gl.getUniformLocation(waterProgram, "uTime");
+  waterProgram.uniformWaveScaleLoc = gl.getUniformLocation(waterProgram, "uWaveScale");
+  waterProgram.uniformWaveStrengthLoc = gl.getUniformLocation(waterProgram, "uWaveStrength");
+  waterProgram.uniformDistortionLoc = gl.getUniformLocation(waterProgram, "uDistortion");
+  waterProgram.uniformWaterColorLoc = gl.getUniformLocation(waterProgram, "uWaterColor");
+  waterProgram.uniformLightDirectionLoc = gl.getUniformLocation(waterProgram, "uLightDirection");
+  waterProgram.uniformSpecularLightColorLoc = gl.getUniformLocation(waterProgram, "uSpecularLightColor");
+
+  // Fog Uniforms
+  waterProgram.uniformFogEnabledLoc = gl.getUniformLocation(waterProgram, "uFogEnabled");
+  waterProgram.uniformFogModeLoc = gl.getUniformLocation(waterProgram, "uFogMode");
+  waterProgram.uniformFogDensityLoc = gl.getUniformLocation(waterProgram, "uFogDensity");
+  waterProgram.uniformFogStartLoc = gl.getUniformLocation(waterProgram, "uFogStart");
+  waterProgram.uniformFogEndLoc = gl.getUniformLocation(waterProgram, "uFogEnd");
+  waterProgram.uniformFogColorLoc = gl.getUniformLocation(waterProgram, "uFogColor");
+
+  gl.useProgram(shaderProgram);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Setup the fragment and vertex shaders of the sky
+ */
+function setupSkyShaders() {
+  let program = buildShaderProgram("sky", shaderFiles.sky);
+  if (program == null) {
+    return;
+  }
+  gl.deleteProgram(skyProgram);
+  skyProgram = program;
+
+  skyProgram.vertexPositionAttribute = gl.getAttribLocation(skyProgram, "aVertexPosition");
+  skyProgram.inverseViewProjectionUniform = gl.getUniformLocation(skyProgram, "uInverseViewProjection");
+  skyProgram.uniformMirroredLoc = gl.getUniformLocation(skyProgram, "uMirrored");
+  skyProgram.uniformZenithColorLoc = gl.getUniformLocation(skyProgram, "uZenithColor");
+  skyProgram.uniformHorizonColorLoc = gl.getUniformLocation(skyProgram, "uHorizonColor");
+  skyProgram.uniformSunDirectionLoc = gl.getUniformLocation(skyProgram, "uSunDirection");
+  skyProgram.uniformSunColorLoc = gl.getUniformLocation(skyProgram, "uSunColor");
+
+  gl.useProgram(shaderProgram);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Setup the fragment and vertex shaders of the shadow map debug view
+ */
+function setupShadowDebugShaders() {
+  let program = buildShaderProgram("shadow debug", shaderFiles.shadowDebug);
+  if (program == null) {
+    return;
+  }
+  gl.deleteProgram(shadowDebugProgram);
+  shadowDebugProgram = program;
+
+  shadowDebugProgram.vertexPositionAttribute = gl.getAttribLocation(shadowDebugProgram, "aVertexPosition");
+  shadowDebugProgram.uniformShadowMapLoc = gl.getUniformLocation(shadowDebugProgram, "uShadowMap");
+
+  gl.useProgram(shaderProgram);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Setup the fragment and vertex shaders of the picked point marker
+ */
+function setupMarkerShaders() {
+  let program = buildShaderProgram("marker", shaderFiles.marker);
+  if (program == null) {
+    return;
+  }
+  gl.deleteProgram(markerProgram);
+  markerProgram = program;
+
+  markerProgram.vertexPositionAttribute = gl.getAttribLocation(markerProgram, "aVertexPosition");
+  markerProgram.mvMatrixUniform = gl.getUniformLocation(markerProgram, "uMVMatrix");
+  markerProgram.pMatrixUniform = gl.getUniformLocation(markerProgram, "uPMatrix");
+  markerProgram.uniformMarkerColorLoc = gl.getUniformLocation(markerProgram, "uMarkerColor");
+
+  gl.useProgram(shaderProgram);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Starts or stops checking the shader files for changes, as picked in the page
+ */
+function updateShaderReload() {
+  isShaderReload = document.getElementById("shaderReload").checked;
+  if (isShaderReload) {
+    shaderLibrary.startPolling(shaderReloadInterval, reloadShaders);
+  } else {
+    shaderLibrary.stopPolling();
+  }
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Builds the shader programs made from changed shader files again. A
+ * program that fails to build leaves the last working one in use.
+ * @param {Array<string>} changedFiles the shader files that changed
+ */
+function reloadShaders(changedFiles) {
+  let setups = {
+    terrain: setupShaders,
+    water: setupWaterShaders,
+    sky: setupSkyShaders,
+    shadowDebug: setupShadowDebugShaders,
+    marker: setupMarkerShaders
+  };
+  for (let name in shaderFiles) {
+    if (shaderFiles[name].some(file => changedFiles.includes(file))) {
+      console.log("Reloading " + name + " shaders");
+      setups[name]();
+    }
+  }
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Switches from the terrain shader to a shader drawing a square, which only
+ * reads vertex positions
+ * @param {WebGLProgram} program the water, shadow debug or marker shader program
+ */
+function useSquareProgram(program) {
+  gl.useProgram(program);
+  gl.disableVertexAttribArray(shaderProgram.vertexNormalAttribute);
+  gl.disableVertexAttribArray(shaderProgram.textureCoordAttribute);
+  gl.disableVertexAttribArray(shaderProgram.morphAttribute);
+  gl.disableVertexAttribArray(shaderProgram.analysisAttribute);
+  gl.enableVertexAttribArray(program.vertexPositionAttribute);
+}
+
+//----------------------------------------------------------------------------------
+/**
+ * Switches back to the terrain shader after useSquareProgram
+ * @param {WebGLProgram} program the water, shadow debug or marker shader program in use
+ */
+function useTerrainProgram(program) {
+  gl.disableVertexAttribArray(program.vertexPositionAttribute);
+  gl.useProgram(shaderProgram);
+  gl.enableVertexAttribArray(shaderProgram.vertexPositionAttribute);
+  gl.enableVertexAttribArray(shaderProgram.vertexNormalAttribute);
+  gl.enableVertexAttribArray(shaderProgram.textureCoordAttribute);
+  gl.enableVertexAttribArray(shaderProgram.morphAttribute);
+  gl.enableVertexAttribArray(shaderProgram.analysisAttribute);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends material information to the shader
+ * @param {Float32} alpha shininess coefficient
+ * @param {Float32Array} a Ambient material color
+ * @param {Float32Array} d Diffuse material color
+ * @param {Float32Array} s Specular material color
+ */
+function setMaterialUniforms(alpha,a,d,s) {
+  gl.uniform1f(shaderProgram.uniformShininessLoc, alpha);
+  gl.uniform3fv(shaderProgram.uniformAmbientMaterialColorLoc, a);
+  gl.uniform3fv(shaderProgram.uniformDiffuseMaterialColorLoc, d);
+  gl.uniform3fv(shaderProgram.uniformSpecularMaterialColorLoc, s);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends light information to the shader
+ * @param {Float32Array} dir Direction towards the light in eye coordinates
+ * @param {Float32Array} a Ambient light strength
+ * @param {Float32Array} d Diffuse light strength
+ * @param {Float32Array} s Specular light strength
+ */
+function setLightUniforms(dir,a,d,s) {
+  gl.uniform3fv(shaderProgram.uniformLightDirectionLoc, dir);
+  gl.uniform3fv(shaderProgram.uniformAmbientLightColorLoc, a);
+  gl.uniform3fv(shaderProgram.uniformDiffuseLightColorLoc, d);
+  gl.uniform3fv(shaderProgram.uniformSpecularLightColorLoc, s);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends fog information to a shader
+ * @param {WebGLProgram} program the terrain or water shader program in use
+ * @param {boolean} enabled fog is applied or not
+ */
+function setFogUniforms(program, enabled) {
+  gl.uniform1i(program.uniformFogEnabledLoc, enabled);
+  gl.uniform1i(program.uniformFogModeLoc, fogMode);
+  gl.uniform1f(program.uniformFogDensityLoc, fogDensity);
+  gl.uniform1f(program.uniformFogStartLoc, fogStart);
+  gl.uniform1f(program.uniformFogEndLoc, fogEnd);
+  gl.uniform3fv(program.uniformFogColorLoc, fogColor);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the fog parameters from the page. The fog color follows the sky.
+ */
+function updateFog() {
+  isFoggy = document.getElementById("fog").checked;
+  fogMode = parseInt(document.getElementById("fogMode").value);
+  fogDensity = parseFloat(document.getElementById("fogDensity").value);
+  fogStart = parseFloat(document.getElementById("fogStart").value);
+  fogEnd = parseFloat(document.getElementById("fogEnd").value);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the day/night cycle from the time and speed in the page, and the
+ * square the sky is drawn on
+ */
+function setupTimeOfDay() {
+  dayNightCycle = new DayNightCycle(parseFloat(document.getElementById("timeOfDay").value),
+                                    parseFloat(document.getElementById("timeSpeed").value));
+  lastFrameTime = performance.now();
+  applyTimeOfDay();
+
+  skyVertexPositionBuffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, skyVertexPositionBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 0,  1, -1, 0,  -1, 1, 0,  1, 1, 0]),
+                gl.STATIC_DRAW);
+  skyVertexPositionBuffer.itemSize = 3;
+  skyVertexPositionBuffer.numItems = 4;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sets the time of day from the slider in the page
+ */
+function setTimeOfDay() {
+  dayNightCycle.setTime(parseFloat(document.getElementById("timeOfDay").value));
+  applyTimeOfDay();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Plays or pauses the passing of the time of day
+ */
+function toggleTimeOfDay() {
+  dayNightCycle.playing = !dayNightCycle.playing;
+  document.getElementById("timePlay").value = dayNightCycle.playing ? "Pause" : "Play";
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the speed of the time of day from the page
+ */
+function updateTimeSpeed() {
+  dayNightCycle.speed = parseFloat(document.getElementById("timeSpeed").value);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Moves the time of day forward by the time since the last frame
+ */
+function updateTimeOfDay() {
+  let now = performance.now();
+  if (dayNightCycle.playing) {
+    dayNightCycle.advance((now - lastFrameTime) / 1000.0);
+    document.getElementById("timeOfDay").value = dayNightCycle.time;
+    applyTimeOfDay();
+  }
+  lastFrameTime = now;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sets the light direction and colors, the sky colors and the fog color,
+ * which is also the background, from the time of day
+ */
+function applyTimeOfDay() {
+  dayNightCycle.getLightDirection(lightDirection);
+  dayNightCycle.getSunDirection(sunDirection);
+  dayNightCycle.getColor(lDiffuse, "light");
+  glMatrix.vec3.scale(lSpecular, lDiffuse, 0.75);
+  dayNightCycle.getColor(lAmbient, "ambient");
+  dayNightCycle.getColor(skyZenithColor, "zenith");
+  dayNightCycle.getColor(fogColor, "horizon");
+
+  // The sun disk has the hue of the sunlight at full brightness
+  dayNightCycle.getColor(sunColor, "light");
+  glMatrix.vec3.scale(sunColor, sunColor, 1.0 / Math.max(sunColor[0], sunColor[1], sunColor[2]));
+
+  gl.clearColor(fogColor[0], fogColor[1], fogColor[2], 1.0);
+  document.getElementById("timeLabel").innerText = dayNightCycle.toString();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Returns the direction towards the light in eye coordinates
+ * @param {Object} out an output vec3 holding the direction
+ * @param {Object} viewMatrix the view matrix of the camera
+ * @param {boolean} mirrored mirror the light across the water, for the reflected terrain
+ */
+function getLightDirectionEye(out, viewMatrix, mirrored) {
+  glMatrix.vec3.copy(out, lightDirection);
+  if (mirrored) {
+    out[1] = -out[1];
+  }
+  let viewRotation = glMatrix.mat3.create();
+  glMatrix.mat3.fromMat4(viewRotation, viewMatrix);
+  glMatrix.vec3.transformMat3(out, out, viewRotation);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Returns the color ramp color of a height the same way the fragment
+ * shader does
+ * @param {Object} out an output array of 3 holding the rgb color
+ * @param {number} z the height in terrain coordinates
+ */
+function getColorByHeight(out, z) {
+  let heightInterval = glMatrix.vec2.create();
+  chunkManager.getHeightInterval(heightInterval);
+  let height = (z - heightInterval[0]) / (heightInterval[1] - heightInterval[0]);
+  colorRamp.colorAt(out, getColorRampHeight(Math.min(Math.max(height, 0), 1)));
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Maps a normalized height to the color ramp the same way the fragment
+ * shader does, so that sea level lands on the ramp's shoreline
+ * @param {number} height the height normalized to [0,1]
+ * @return {number} the height in the color ramp
+ */
+function getColorRampHeight(height) {
+  if (height < seaLevel) {
+    return height / seaLevel * colorRampShoreline;
+  }
+  return colorRampShoreline + (height - seaLevel) / (1 - seaLevel) * (1 - colorRampShoreline);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the lookup texture of the color ramp and the editor of its stops
+ */
+function setupColorRamp() {
+  colorRamp = ColorRamp.fromPreset("classic");
+  colorRampTexture = gl.createTexture();
+  uploadColorRamp(colorRamp);
+  colorRampEditor = new ColorRampEditor(document.getElementById("colorRampEditor"),
+                                        colorRamp, uploadColorRamp);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Samples the color ramp into its lookup texture. The texture is filtered
+ * linearly so colors blend smoothly between samples.
+ * @param {ColorRamp} ramp the color ramp to use from now on
+ */
+function uploadColorRamp(ramp) {
+  colorRamp = ramp;
+  gl.bindTexture(gl.TEXTURE_2D, colorRampTexture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, colorRampTextureWidth, 1, 0,
+                gl.RGBA, gl.UNSIGNED_BYTE, colorRamp.toPixels(colorRampTextureWidth));
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the min/max z coordinate to the shader to normalize the heights,
+ * and binds the color ramp lookup texture.
+ */
+function setColorMapUniforms() {
+  let heightInterval = glMatrix.vec2.create();
+  chunkManager.getHeightInterval(heightInterval);
+  gl.uniform2fv(shaderProgram.uniformHeightRange, heightInterval);
+  gl.uniform1f(shaderProgram.uniformSeaLevelLoc, seaLevel);
+  gl.uniform1f(shaderProgram.uniformShorelineLoc, colorRampShoreline);
+
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, colorRampTexture);
+  gl.uniform1i(shaderProgram.uniformColorRamp, 0);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the splatting textures. Images in the textures directory replace
+ * the procedural ones as they load.
+ */
+function setupTextures() {
+  terrainTextures = new TerrainTextures("textures");
+  updateTextures();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads from the page whether the textures replace the color ramp
+ */
+function updateTextures() {
+  isTextured = document.getElementById("textured").checked;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the texture splatting switch and scale to the shader, and binds the
+ * grass, rock, sand and snow textures to the units after the color ramp
+ */
+function setTextureUniforms() {
+  gl.uniform1i(shaderProgram.uniformTexturedLoc, isTextured);
+  gl.uniform1f(shaderProgram.uniformTextureScaleLoc, textureScale);
+
+  terrainTextures.bind(1);
+  gl.uniform1i(shaderProgram.uniformGrassTextureLoc, 1);
+  gl.uniform1i(shaderProgram.uniformRockTextureLoc, 2);
+  gl.uniform1i(shaderProgram.uniformSandTextureLoc, 3);
+  gl.uniform1i(shaderProgram.uniformSnowTextureLoc, 4);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the water's render targets at half the canvas resolution
+ */
+function setupWater() {
+  waterSurface = new WaterSurface(gl.viewportWidth / 2, gl.viewportHeight / 2);
+  updateWater();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the water switch and sea level from the page
+ */
+function updateWater() {
+  isWater = document.getElementById("water").checked;
+  seaLevel = parseFloat(document.getElementById("seaLevel").value);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Returns the height of the water surface
+ * @return {number} sea level in terrain coordinates
+ */
+function getWaterHeight() {
+  let heightInterval = glMatrix.vec2.create();
+  chunkManager.getHeightInterval(heightInterval);
+  return heightInterval[0] + seaLevel * (heightInterval[1] - heightInterval[0]);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the water clip plane to the terrain shader
+ * @param {Array<number>} clipPlane terrain is drawn where dot((x,y,z,1), clipPlane) >= 0
+ * @param {boolean} refractionPass the depth under the water is written to alpha or not
+ */
+function setClipUniforms(clipPlane, refractionPass) {
+  let heightInterval = glMatrix.vec2.create();
+  chunkManager.getHeightInterval(heightInterval);
+  gl.uniform4fv(shaderProgram.uniformClipPlaneLoc, clipPlane);
+  gl.uniform1i(shaderProgram.uniformRefractionPassLoc, refractionPass);
+  gl.uniform1f(shaderProgram.uniformWaterHeightLoc, getWaterHeight());
+  gl.uniform1f(shaderProgram.uniformWaterDepthFadeLoc,
+               Math.max(waterDepthFade * (heightInterval[1] - heightInterval[0]), 1e-6));
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the shadow map render target
+ */
+function setupShadows() {
+  shadowMap = new ShadowMap(shadowMapSize);
+  updateShadows();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the shadow switches from the page
+ */
+function updateShadows() {
+  isShadowed = document.getElementById("shadows").checked;
+  isShadowDebug = document.getElementById("shadowDebug").checked;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the shadow matrix to the shader and binds the shadow map to the
+ * texture unit after the splatting textures
+ */
+function setShadowUniforms() {
+  gl.uniformMatrix4fv(shaderProgram.shadowMatrixUniform, false, shadowMatrix);
+  gl.uniform1i(shaderProgram.uniformShadowsEnabledLoc, isShadowed);
+  gl.uniform1f(shaderProgram.uniformShadowMapTexelLoc, 1.0 / shadowMapSize);
+  gl.uniform1f(shaderProgram.uniformShadowStrengthLoc, shadowStrength);
+
+  gl.activeTexture(gl.TEXTURE5);
+  gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture);
+  gl.uniform1i(shaderProgram.uniformShadowMapLoc, 5);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the level of detail switch and distance from the page
+ */
+function updateLOD() {
+  isLOD = document.getElementById("lod").checked;
+  lodDistance = Math.max(parseFloat(document.getElementById("lodDistance").value), 0.01);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the camera position the levels of detail were picked for to the
+ * shader, which morphs the vertices about to be dropped
+ */
+function setLODUniforms() {
+  gl.uniform1i(shaderProgram.uniformLodEnabledLoc, isLOD);
+  gl.uniform2f(shaderProgram.uniformLodCameraLoc, lodCamera[0], lodCamera[1]);
+  gl.uniform1f(shaderProgram.uniformLodDistanceLoc, lodDistance);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the contour interval and the spacing of the index contours from the page
+ */
+function updateContours() {
+  contourInterval = Math.max(parseFloat(document.getElementById("contourInterval").value), 0.001);
+  indexContourEvery = Math.max(parseInt(document.getElementById("indexContourEvery").value), 1);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the contour lines to the shader, which draws them over the shaded
+ * terrain in the contours render mode
+ */
+function setContourUniforms() {
+  gl.uniform1i(shaderProgram.uniformContoursEnabledLoc, document.getElementById("contours").checked);
+  gl.uniform1f(shaderProgram.uniformContourIntervalLoc, contourInterval);
+  gl.uniform1f(shaderProgram.uniformIndexContourEveryLoc, indexContourEvery);
+  gl.uniform3fv(shaderProgram.uniformContourColorLoc, contourColor);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the lookup texture of the analysis overlays
+ */
+function setupAnalysis() {
+  analysisRampTexture = gl.createTexture();
+  updateAnalysis();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the analysis overlay and the slope threshold from the page, and
+ * shows the overlay's legend and the statistics
+ */
+function updateAnalysis() {
+  analysisMode = document.getElementById("analysisMode").value;
+  curvatureRange = Math.max(parseFloat(document.getElementById("curvatureRange").value), 0.1);
+  slopeThreshold = parseFloat(document.getElementById("slopeThreshold").value);
+
+  let legend = document.getElementById("analysisLegend");
+  if (analysisMode == "none") {
+    legend.style.display = "none";
+  } else {
+    let ramp = new ColorRamp(ColorRamp.analysisPresets[analysisMode]);
+    gl.bindTexture(gl.TEXTURE_2D, analysisRampTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, colorRampTextureWidth, 1, 0,
+                  gl.RGBA, gl.UNSIGNED_BYTE, ramp.toPixels(colorRampTextureWidth));
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    showAnalysisLegend(ramp);
+    legend.style.display = "";
+  }
+  showAnalysisStatistics();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Draws the color ramp of the overlay with the values at its ends and in between
+ * @param {ColorRamp} ramp the color ramp of the overlay
+ */
+function showAnalysisLegend(ramp) {
+  let legendCanvas = document.getElementById("analysisLegendRamp");
+  let context = legendCanvas.getContext("2d");
+  let image = context.createImageData(legendCanvas.width, 1);
+  image.data.set(ramp.toPixels(legendCanvas.width));
+  for (let y = 0; y < legendCanvas.height; y++) {
+    context.putImageData(image, 0, y);
+  }
+
+  let labels = {
+    slope: ["0\u00b0", "22.5\u00b0", "45\u00b0", "67.5\u00b0", "90\u00b0"],
+    aspect: ["N", "E", "S", "W", "N"],
+    curvature: ["-" + curvatureRange + " valleys", "0 flat", "+" + curvatureRange + " ridges"]
+  }[analysisMode];
+  let labelsRow = document.getElementById("analysisLegendLabels");
+  labelsRow.innerHTML = "";
+  for (let label of labels) {
+    let span = document.createElement("span");
+    span.innerText = label;
+    labelsRow.appendChild(span);
+  }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Updates the statistics from time to time, as chunks stream in and the
+ * terrain is eroded or sculpted
+ */
+function updateAnalysisStatistics() {
+  if (performance.now() - analysisStatisticsTime < analysisStatisticsInterval) {
+    return;
+  }
+  showAnalysisStatistics();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Shows the histogram of the slopes of the loaded terrain, the part of its
+ * area steeper than the threshold and its height interval
+ */
+function showAnalysisStatistics() {
+  analysisStatisticsTime = performance.now();
+  let statistics = document.getElementById("analysisStatistics");
+  if (chunkManager.chunks.size == 0) {
+    statistics.innerText = "No terrain loaded yet";
+    return;
+  }
+  let histogram = new Array(slopeHistogramBins);
+  chunkManager.getSlopeHistogram(histogram);
+  let heightInterval = glMatrix.vec2.create();
+  chunkManager.getHeightInterval(heightInterval);
+
+  // One bar per bin, scaled so the fullest bin fills the height
+  let histogramCanvas = document.getElementById("slopeHistogram");
+  let context = histogramCanvas.getContext("2d");
+  context.clearRect(0, 0, histogramCanvas.width, histogramCanvas.height);
+  let ramp = new ColorRamp(ColorRamp.analysisPresets.slope);
+  let color = glMatrix.vec3.create();
+  let barWidth = histogramCanvas.width / histogram.length;
+  let fullest = Math.max(...histogram, 1e-6);
+  for (let bin = 0; bin < histogram.length; bin++) {
+    ramp.colorAt(color, (bin + 0.5) / histogram.length);
+    context.fillStyle = "rgb(" + Math.round(color[0] * 255) + "," + Math.round(color[1] * 255) + "," +
+                        Math.round(color[2] * 255) + ")";
+    let barHeight = histogram[bin] / fullest * histogramCanvas.height;
+    context.fillRect(bin * barWidth + 1, histogramCanvas.height - barHeight, barWidth - 2, barHeight);
+  }
+  histogramCanvas.title = histogram.map((fraction, bin) =>
+      bin * 90 / histogram.length + "-" + (bin + 1) * 90 / histogram.length + "\u00b0: " +
+      (fraction * 100).toFixed(1) + "%").join("\n");
+
+  statistics.innerText =
+      (chunkManager.getAreaAboveSlope(slopeThreshold) * 100).toFixed(1) + "% of the area is steeper than " +
+      slopeThreshold + "\u00b0, heights from " + heightInterval[0].toFixed(3) + " to " +
+      heightInterval[1].toFixed(3);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sends the analysis overlay to the shader and binds the lookup texture of
+ * its color ramp after the shadow map
+ */
+function setAnalysisUniforms() {
+  gl.uniform1i(shaderProgram.uniformAnalysisModeLoc, analysisModes.indexOf(analysisMode));
+  gl.uniform1f(shaderProgram.uniformCurvatureRangeLoc, curvatureRange);
+  gl.activeTexture(gl.TEXTURE6);
+  gl.bindTexture(gl.TEXTURE_2D, analysisRampTexture);
+  gl.uniform1i(shaderProgram.uniformAnalysisRampLoc, 6);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Populate buffers with terrain data
+ */
+function setupBuffers() {
+    if (!readWorldFromURL()) {
+        worldSeed = SeededRandom.randomSeed();
+    }
+    showWorldSeed();
+    terrainBuilder = new TerrainBuilder("TerrainWorker.js");
+    terrainBuilder.onProgress = showTerrainProgress;
+    chunkManager = new TerrainChunkManager(gl, 1.0, 64, 3, 6, createHeightGenerator(true), terrainBuilder);
+    setStreaming(document.getElementById("streaming").checked);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Creates the height generator picked in the page
+ * @param {boolean} seamless true if the generator is used for streamed chunks
+ * @return {HeightGenerator} the height generator
+ */
+function createHeightGenerator(seamless) {
+    let type = document.getElementById("heightGenerator").value;
+    if (type == "perlin") {
+        return new GradientNoiseGenerator(worldSeed, false, 2.0, 0.12);
+    } else if (type == "simplex") {
+        return new GradientNoiseGenerator(worldSeed, true, 2.0, 0.12);
+    } else if (type == "diamondSquare") {
+        return new DiamondSquareGenerator(worldSeed, 8, 0.55, 0.12, 4.0);
+    } else if (type == "fbm") {
+        let octaves = parseInt(document.getElementById("fbmOctaves").value);
+        let lacunarity = parseFloat(document.getElementById("fbmLacunarity").value);
+        let gain = parseFloat(document.getElementById("fbmGain").value);
+        return new FBmGenerator(worldSeed, true, 1.5, 0.15, octaves, lacunarity, gain);
+    }
+    return new PartitionGenerator(worldSeed, 300, 0.005, seamless);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Regenerates the terrain with the height generator picked in the page
+ */
+function regenerateTerrain() {
+    showWorldSeed();
+    chunkManager.setHeightGenerator(createHeightGenerator(true));
+    if (myTerrain == undefined) {
+        return;
+    }
+
+    // The old terrain stays on screen until the new one is generated
+    let oldRenderer = myTerrainRenderer;
+    myTerrain = undefined;
+    erosionStepsRemaining = 0;
+    document.getElementById("erosionLabel").innerText = "";
+    withSingleTerrain(terrain => {
+        if (!chunkManager.isStreaming()) {
+            chunkManager.setSingleTerrain(terrain, myTerrainRenderer);
+        }
+        oldRenderer.deleteBuffers();
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the world seed and height generator parameters from the URL hash,
+ * formatted as #seed=123&generator=fbm&octaves=6&lacunarity=2&gain=0.5
+ * @return {boolean} true if the hash holds a seed
+ */
+function readWorldFromURL() {
+    let params = new URLSearchParams(window.location.hash.substring(1));
+    let seed = parseInt(params.get("seed"));
+    if (isNaN(seed)) {
+        return false;
+    }
+    worldSeed = seed;
+    let inputs = {generator: "heightGenerator", octaves: "fbmOctaves",
+                  lacunarity: "fbmLacunarity", gain: "fbmGain"};
+    for (let name in inputs) {
+        if (params.has(name)) {
+            document.getElementById(inputs[name]).value = params.get(name);
+        }
+    }
+    return true;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Shows the world seed in the page and writes it with the height generator
+ * parameters to the URL hash, so the link reproduces the landscape
+ */
+function showWorldSeed() {
+    document.getElementById("seed").value = worldSeed;
+
+    let params = new URLSearchParams();
+    params.set("seed", worldSeed);
+    let generator = document.getElementById("heightGenerator").value;
+    params.set("generator", generator);
+    if (generator == "fbm") {
+        params.set("octaves", document.getElementById("fbmOctaves").value);
+        params.set("lacunarity", document.getElementById("fbmLacunarity").value);
+        params.set("gain", document.getElementById("fbmGain").value);
+    }
+    // Replacing the hash this way does not fire hashchange
+    history.replaceState(null, "", "#" + params.toString());
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Regenerates the terrain with the seed typed in the page
+ */
+function applyWorldSeed() {
+    let seed = parseInt(document.getElementById("seed").value);
+    if (isNaN(seed)) {
+        document.getElementById("seed").value = worldSeed;
+        return;
+    }
+    worldSeed = seed;
+    regenerateTerrain();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Regenerates the terrain with a new random seed
+ */
+function randomizeWorldSeed() {
+    worldSeed = SeededRandom.randomSeed();
+    regenerateTerrain();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Regenerates the terrain when a link with another seed is opened in the page
+ */
+function handleHashChange() {
+    if (readWorldFromURL()) {
+        regenerateTerrain();
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Switches between the streamed infinite terrain and a single finite terrain
+ * @param {boolean} streaming true to stream chunks around the camera
+ */
+function setStreaming(streaming) {
+    if (streaming) {
+        chunkManager.startStreaming();
+        return;
+    }
+    withSingleTerrain(terrain => {
+        // Streaming may have been turned back on while the terrain was generated
+        if (!document.getElementById("streaming").checked) {
+            chunkManager.setSingleTerrain(terrain, myTerrainRenderer);
+        }
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Calls a function with the single terrain, generating it on the worker
+ * first if there is none yet
+ * @param {function(Terrain)} callback the function to call with the terrain
+ */
+function withSingleTerrain(callback) {
+    if (myTerrain != undefined) {
+        callback(myTerrain);
+        return;
+    }
+    singleTerrainCallbacks.push(callback);
+    if (singleTerrainCallbacks.length > 1) {
+        return;
+    }
+    terrainBuilder.build(160,-1,1,-1,1,createHeightGenerator(false),worldSeed, terrain => {
+        myTerrainRenderer = new TerrainRenderer(gl, terrain);
+        myTerrainRenderer.load();
+        myTerrain = terrain;
+        let callbacks = singleTerrainCallbacks;
+        singleTerrainCallbacks = [];
+        callbacks.forEach(waiting => waiting(terrain));
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Shows the progress of the terrain generation under the canvas
+ * @param {string} stage the stage of the generation
+ * @param {number} fraction the fraction of the stage done, in [0,1]
+ * @param {number} jobsLeft the number of terrains left to generate
+ */
+function showTerrainProgress(stage, fraction, jobsLeft) {
+    let progress = document.getElementById("terrainProgress");
+    if (jobsLeft == 0) {
+        progress.style.display = "none";
+        return;
+    }
+    progress.style.display = "";
+    document.getElementById("terrainProgressBar").value = fraction;
+    document.getElementById("terrainProgressLabel").innerText =
+        stage + (jobsLeft > 1 ? " (" + jobsLeft + " terrains queued)" : "");
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Sets the single terrain's heights from a heightmap and shows it
+ * @param {Heightmap} heightmap the heightmap to import
+ */
+function importHeightmap(heightmap) {
+    showHeightmapError("");
+    myHeightmap = heightmap;
+    document.getElementById("streaming").checked = false;
+    setStreaming(false);
+
+    withSingleTerrain(terrain => {
+        let scale = parseFloat(document.getElementById("heightmapScale").value);
+        terrain.setHeightsByHeightmap(heightmap, scale);
+        forgetSculptHistory();
+        terrain.generateNormals();
+        myTerrainRenderer.load();
+        chunkManager.setSingleTerrain(terrain, myTerrainRenderer);
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Imports the heightmap chosen in the file input
+ */
+function importHeightmapFile() {
+    let files = document.getElementById("heightmapFile").files;
+    if (files.length == 0) {
+        return;
+    }
+    Heightmap.loadFromFile(files[0], importHeightmap, showHeightmapError);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Imports the heightmap at the URL typed in the page
+ */
+function importHeightmapURL() {
+    let url = document.getElementById("heightmapURL").value;
+    if (url == "") {
+        return;
+    }
+    Heightmap.loadFromURL(url, importHeightmap, showHeightmapError);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Shows why a heightmap could not be imported next to the import controls
+ * @param {string} message the error message, or "" to clear it
+ */
+function showHeightmapError(message) {
+    if (message != "") {
+        console.error(message);
+    }
+    document.getElementById("heightmapError").innerText = message;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reapplies the last imported heightmap with the current vertical scale
+ */
+function rescaleHeightmap() {
+    if (myHeightmap != undefined) {
+        importHeightmap(myHeightmap);
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Starts eroding the single terrain with the parameters in the page. The
+ * streamed chunks would no longer line up if eroded, so streaming stops.
+ */
+function startErosion() {
+    if (chunkManager.isStreaming()) {
+        document.getElementById("streaming").checked = false;
+        setStreaming(false);
+    }
+    withSingleTerrain(terrain => {
+        myErosion = new TerrainErosion(terrain, {
+            droplets: parseInt(document.getElementById("erosionDroplets").value),
+            erodeSpeed: parseFloat(document.getElementById("erosionErodeSpeed").value),
+            depositSpeed: parseFloat(document.getElementById("erosionDepositSpeed").value),
+            talusAngle: parseFloat(document.getElementById("erosionTalusAngle").value),
+            thermalRate: parseFloat(document.getElementById("erosionThermalRate").value)
+        });
+        erosionStepsRemaining = parseInt(document.getElementById("erosionSteps").value);
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Runs one erosion step per frame and shows the weathered terrain
+ */
+function updateErosion() {
+    if (erosionStepsRemaining <= 0) {
+        return;
+    }
+    myErosion.step();
+    forgetSculptHistory();
+    // Every height may change, but the buffers stay the same size
+    let div = myErosion.terrain.div;
+    myTerrainRenderer.updateRegion(0, div, 0, div);
+    chunkManager.updateHeightIntervals();
+
+    erosionStepsRemaining--;
+    document.getElementById("erosionLabel").innerText =
+        erosionStepsRemaining > 0 ? "Eroding, " + erosionStepsRemaining + " steps left" : "";
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Reads the brush from the page. Like erosion, sculpting works on the
+ * single terrain, so streaming is turned off when a brush is picked.
+ */
+function updateBrush() {
+    brush = {
+        type: document.getElementById("brush").value,
+        radius: parseFloat(document.getElementById("brushRadius").value),
+        strength: parseFloat(document.getElementById("brushStrength").value),
+        falloff: parseFloat(document.getElementById("brushFalloff").value)
+    };
+    if (brush.type != "none" && chunkManager.isStreaming()) {
+        document.getElementById("streaming").checked = false;
+        setStreaming(false);
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Drops the sculptor of the single terrain after its heights are replaced
+ * outside it, so undo and redo cannot write the heights of before onto the
+ * brushed vertices. Any stroke in progress ends with it.
+ */
+function forgetSculptHistory() {
+    mySculptor = undefined;
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Calls a function with the sculptor of the single terrain, making a new
+ * one when the terrain was regenerated
+ * @param {function(TerrainSculptor)} callback the function to call with the sculptor
+ */
+function withSculptor(callback) {
+    withSingleTerrain(terrain => {
+        if (mySculptor == undefined || mySculptor.terrain != terrain) {
+            mySculptor = new TerrainSculptor(terrain);
+        }
+        callback(mySculptor);
+    });
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Starts a brush stroke where the mouse is pressed on the canvas
+ * @param {MouseEvent} event the mouse down event
+ */
+function handleSculptMouseDown(event) {
+    if (brush.type == "none" || chunkManager.isStreaming() ||
+        getMinimapPoint(glMatrix.vec2.create(), event.clientX, event.clientY)) {
+        return;
+    }
+    sculptMouse = {x: event.clientX, y: event.clientY};
+    withSculptor(sculptor => sculptor.beginStroke(brush));
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Moves the brush with the mouse while a stroke is drawn
+ * @param {MouseEvent} event the mouse move event
+ */
+function handleSculptMouseMove(event) {
+    if (sculptMouse != null) {
+        sculptMouse = {x: event.clientX, y: event.clientY};
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Ends the brush stroke when the mouse is released anywhere in the page
+ */
+function handleSculptMouseUp() {
+    if (sculptMouse == null) {
+        return;
+    }
+    sculptMouse = null;
+    if (mySculptor != undefined) {
+        mySculptor.endStroke();
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Applies the brush once per frame under the mouse while a stroke is drawn
+ */
+function updateSculpting() {
+    if (sculptMouse == null || mySculptor == undefined || mySculptor.stroke == null ||
+        mySculptor.terrain != myTerrain) {
+        return;
+    }
+    let position = glMatrix.vec3.create();
+    if (intersectTerrainAt(position, sculptMouse.x, sculptMouse.y)) {
+        showSculptedRegion(mySculptor.apply(position[0], position[1]));
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Takes back the last brush stroke
+ */
+function undoSculpt() {
+    if (mySculptor != undefined && mySculptor.terrain == myTerrain) {
+        showSculptedRegion(mySculptor.undo());
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Draws the last undone brush stroke again
+ */
+function redoSculpt() {
+    if (mySculptor != undefined && mySculptor.terrain == myTerrain) {
+        showSculptedRegion(mySculptor.redo());
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Updates the normals and buffers of the sculpted part of the terrain
+ * @param {?Object} region the rectangle of vertices whose heights changed, or null
+ */
+function showSculptedRegion(region) {
+    if (region == null) {
+        return;
+    }
+    myTerrainRenderer.updateRegion(region.firstRow, region.lastRow,
+                                   region.firstColumn, region.lastColumn);
+    chunkManager.updateHeightIntervals();
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Returns the terrain being worked on: the single terrain, or the chunk
+ * under the camera when the terrain is streamed
+ * @return {Terrain} the terrain, or null if no chunk is under the camera yet
+ */
+function getCurrentTerrain() {
+    if (!chunkManager.isStreaming()) {
+        return myTerrain;
+    }
+    let eyeTerrain = glMatrix.vec3.create();
+    worldToTerrain(eyeTerrain, eyePt);
+    return chunkManager.getTerrainAt(eyeTerrain[0], eyeTerrain[1]);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Downloads the current terrain in the format picked in the page
+ * @param {string} format one of "obj", "stl" or "glb"
+ */
+function exportTerrain(format) {
+    let terrain = getCurrentTerrain();
+    if (terrain == null) {
+        return;
+    }
+    if (format == "obj") {
+        TerrainExporter.download(TerrainExporter.toOBJ(terrain), "terrain-" + worldSeed + ".obj", "model/obj");
+    } else if (format == "stl") {
+        TerrainExporter.download(TerrainExporter.toSTL(terrain, 0.05), "terrain-" + worldSeed + ".stl", "model/stl");
+    } else if (format == "glb") {
+        TerrainExporter.download(TerrainExporter.toGLB(terrain, getColorByHeight),
+                                 "terrain-" + worldSeed + ".glb", "model/gltf-binary");
+    } else if (format == "geojson") {
+        TerrainExporter.download(TerrainExporter.toGeoJSON(terrain, contourInterval, indexContourEvery),
+                                 "terrain-" + worldSeed + "-contours.geojson", "application/geo+json");
+    }
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Builds the model transformation that places the terrain in the world
+ * @param {Object} out the 4x4 matrix to receive the model transformation
+ */
+function getTerrainModelMatrix(out) {
+    glMatrix.mat4.identity(out);
+    glMatrix.mat4.rotateY(out, out, degToRad(viewRotY));
+    glMatrix.mat4.rotateX(out, out, degToRad(viewRotX));
+
+    let offsetZVec = glMatrix.vec3.fromValues(0.0,0.0,viewOffsetZ);
+    glMatrix.mat4.translate(out, out, offsetZVec);
+
+    let scaleVec = glMatrix.vec3.fromValues(viewScale, viewScale, viewScale);
+    glMatrix.mat4.scale(out, out, scaleVec);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Converts a point from world coordinates to terrain coordinates
+ * @param {Object} out the vec3 to receive the point in terrain coordinates
+ * @param {Object} p the point in world coordinates
+ */
+function worldToTerrain(out, p) {
+    let inverseModel = glMatrix.mat4.create();
+    getTerrainModelMatrix(inverseModel);
+    glMatrix.mat4.invert(inverseModel, inverseModel);
+    glMatrix.vec3.transformMat4(out, p, inverseModel);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Streams terrain chunks around the camera
+ */
+function updateTerrainChunks() {
+    let eyeTerrain = glMatrix.vec3.create();
+    worldToTerrain(eyeTerrain, eyePt);
+    let viewTerrain = glMatrix.vec3.create();
+    worldToTerrain(viewTerrain, viewPt);
+
+    let direction = glMatrix.vec3.create();
+    glMatrix.vec3.subtract(direction, viewTerrain, eyeTerrain);
+    chunkManager.update(eyeTerrain, direction);
+}
+
+//-------------------------------------------------------------------------
+/**
+ * Picks the level of detail of the terrain patches around the camera
+ */
+function updateTerrainLOD() {
+    if (!isLOD) {
+        chunkManager.clearLOD();
+        return;
+    }
+    worldToTerrain(lodCamera, eyePt);
+    chunkManager.updateLOD(lodCamera, lodDistance);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the terrain with the current modelview and projection matrices
+ * @param {Array<number>} clipPlane terrain is drawn where dot((x,y,z,1), clipPlane) >= 0
+ * @param {boolean} refractionPass the depth under the water is written to alpha or not
+ * @param {boolean} foggy fog is applied or not
+ * @param {Object} lightDirectionEye the direction towards the light in eye coordinates
+ */
+function drawTerrain(clipPlane, refractionPass, foggy, lightDirectionEye) {
+    setMatrixUniforms();
+    setLightUniforms(lightDirectionEye,lAmbient,lDiffuse,lSpecular);
+    setColorMapUniforms();
+    setTextureUniforms();
+    setFogUniforms(shaderProgram, isFoggy && foggy);
+    setClipUniforms(clipPlane, refractionPass);
+    setShadowUniforms();
+    setLODUniforms();
+    setAnalysisUniforms();
+    setContourUniforms();
+    setDebugUniforms();
+
+    if (document.getElementById("polygon").checked || document.getElementById("contours").checked)
+    { 
+      setMaterialUniforms(shininess,kAmbient,kTerrainDiffuse,kSpecular); 
+      chunkManager.drawTriangles(shaderProgram);
+    }
+    
+    if(document.getElementById("wireframe").checked)
+    {
+      setMaterialUniforms(shininess,kAmbient,kEdgeWhite,kSpecular);
+      chunkManager.drawEdges(shaderProgram);
+    }
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Renders the terrain above the water mirrored into the reflection target,
+ * and the terrain below the water into the refraction target. Fog is left
+ * to the water surface so it is not applied twice.
+ * @param {Object} viewMatrix the view matrix of the camera
+ * @param {Object} modelMatrix the model matrix of the terrain
+ */
+function drawWaterTargets(viewMatrix, modelMatrix) {
+    let waterHeight = getWaterHeight();
+
+    // Reflects terrain heights across the water: z becomes 2*waterHeight - z
+    let mirrorMatrix = glMatrix.mat4.create();
+    glMatrix.mat4.translate(mirrorMatrix, mirrorMatrix, [0, 0, 2 * waterHeight]);
+    glMatrix.mat4.scale(mirrorMatrix, mirrorMatrix, [1, 1, -1]);
+    glMatrix.mat4.multiply(mvMatrix, viewMatrix, modelMatrix);
+    glMatrix.mat4.multiply(mvMatrix, mvMatrix, mirrorMatrix);
+
+    let lightDirectionEye = glMatrix.vec3.create();
+    getLightDirectionEye(lightDirectionEye, viewMatrix, true);
+
+    waterSurface.bindTarget(waterSurface.reflection);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    drawSky(viewMatrix, true);
+    drawTerrain([0, 0, 1, -waterHeight], false, false, lightDirectionEye);
+
+    glMatrix.mat4.multiply(mvMatrix, viewMatrix, modelMatrix);
+    getLightDirectionEye(lightDirectionEye, viewMatrix, false);
+    waterSurface.bindTarget(waterSurface.refraction);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    drawTerrain([0, 0, -1, waterHeight], true, false, lightDirectionEye);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the sky gradient with the sun and moon behind everything else
+ * @param {Object} viewMatrix the view matrix of the camera
+ * @param {boolean} mirrored draw the sky upside down, for the water reflection
+ */
+function drawSky(viewMatrix, mirrored) {
+    // Only the rotation of the camera matters for the directions of the view rays
+    let viewRotation = glMatrix.mat4.clone(viewMatrix);
+    viewRotation[12] = 0;
+    viewRotation[13] = 0;
+    viewRotation[14] = 0;
+    let inverseViewProjection = glMatrix.mat4.create();
+    glMatrix.mat4.multiply(inverseViewProjection, pMatrix, viewRotation);
+    glMatrix.mat4.invert(inverseViewProjection, inverseViewProjection);
+
+    gl.disable(gl.DEPTH_TEST);
+    useSquareProgram(skyProgram);
+    gl.uniformMatrix4fv(skyProgram.inverseViewProjectionUniform, false, inverseViewProjection);
+    gl.uniform1i(skyProgram.uniformMirroredLoc, mirrored);
+    gl.uniform3fv(skyProgram.uniformZenithColorLoc, skyZenithColor);
+    gl.uniform3fv(skyProgram.uniformHorizonColorLoc, fogColor);
+    gl.uniform3fv(skyProgram.uniformSunDirectionLoc, sunDirection);
+    gl.uniform3fv(skyProgram.uniformSunColorLoc, sunColor);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, skyVertexPositionBuffer);
+    gl.vertexAttribPointer(skyProgram.vertexPositionAttribute, skyVertexPositionBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, skyVertexPositionBuffer.numItems);
+
+    useTerrainProgram(skyProgram);
+    gl.enable(gl.DEPTH_TEST);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Renders the depth of the terrain around the camera as seen from the light
+ * into the shadow map
+ * @param {Object} viewMatrix the view matrix of the camera
+ * @param {Object} modelMatrix the model matrix of the terrain
+ */
+function drawShadowMap(viewMatrix, modelMatrix) {
+    shadowMap.update(lightDirection, eyePt, shadowRadius);
+    shadowMap.getShadowMatrix(shadowMatrix, modelMatrix);
+
+    // The shadow map cannot stay bound to a texture unit while it is rendered into
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+
+    shadowMap.bind();
+    // Clears to the farthest depth
+    gl.clearColor(1.0, 1.0, 1.0, 1.0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+    glMatrix.mat4.multiply(mvMatrix, shadowMap.lightView, modelMatrix);
+    glMatrix.mat4.copy(pMatrix, shadowMap.lightProjection);
+    setMatrixUniforms();
+    setClipUniforms([0, 0, 0, 1], false);
+    setLODUniforms();
+    gl.uniform1i(shaderProgram.uniformDepthPassLoc, true);
+    chunkManager.drawTriangles(shaderProgram);
+    gl.uniform1i(shaderProgram.uniformDepthPassLoc, false);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.clearColor(fogColor[0], fogColor[1], fogColor[2], 1.0);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Shows the shadow map in the lower left corner of the canvas
+ */
+function drawShadowDebug() {
+    gl.viewport(0, 0, gl.viewportWidth / 4, gl.viewportHeight / 4);
+    gl.disable(gl.DEPTH_TEST);
+    useSquareProgram(shadowDebugProgram);
+
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, shadowMap.texture);
+    gl.uniform1i(shadowDebugProgram.uniformShadowMapLoc, 5);
+    shadowMap.drawDebug(shadowDebugProgram);
+
+    useTerrainProgram(shadowDebugProgram);
+    gl.enable(gl.DEPTH_TEST);
+    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the water square at sea level centered below the camera
+ * @param {Object} viewMatrix the view matrix of the camera
+ * @param {Object} modelMatrix the model matrix of the terrain
+ */
+function drawWater(viewMatrix, modelMatrix) {
+    useSquareProgram(waterProgram);
+
+    glMatrix.mat4.multiply(mvMatrix, viewMatrix, modelMatrix);
+    glMatrix.mat3.fromMat4(nMatrix,mvMatrix);
+    glMatrix.mat3.transpose(nMatrix,nMatrix);
+    glMatrix.mat3.invert(nMatrix,nMatrix);
+    gl.uniformMatrix4fv(waterProgram.mvMatrixUniform, false, mvMatrix);
+    gl.uniformMatrix4fv(waterProgram.pMatrixUniform, false, pMatrix);
+    gl.uniformMatrix3fv(waterProgram.nMatrixUniform, false, nMatrix);
+
+    let center = glMatrix.vec3.create();
+    worldToTerrain(center, eyePt);
+    gl.uniform2f(waterProgram.uniformWaterCenterLoc, center[0], center[1]);
+    gl.uniform1f(waterProgram.uniformWaterExtentLoc, waterExtent);
+    gl.uniform1f(waterProgram.uniformWaterHeightLoc, getWaterHeight());
+    gl.uniform1f(waterProgram.uniformTimeLoc, performance.now() / 1000.0);
+    gl.uniform1f(waterProgram.uniformWaveScaleLoc, waveScale);
+    gl.uniform1f(waterProgram.uniformWaveStrengthLoc, waveStrength);
+    gl.uniform1f(waterProgram.uniformDistortionLoc, waterDistortion);
+    gl.uniform3fv(waterProgram.uniformWaterColorLoc, waterColor);
+    let lightDirectionEye = glMatrix.vec3.create();
+    getLightDirectionEye(lightDirectionEye, viewMatrix, false);
+    gl.uniform3fv(waterProgram.uniformLightDirectionLoc, lightDirectionEye);
+    gl.uniform3fv(waterProgram.uniformSpecularLightColorLoc, lSpecular);
+    setFogUniforms(waterProgram, isFoggy);
+
+    // The water samples none of the terrain textures, so it takes the first
+    // units. Every terrain draw binds its own textures again.
+    waterSurface.bindTextures(0);
+    gl.uniform1i(waterProgram.uniformReflectionLoc, 0);
+    gl.uniform1i(waterProgram.uniformRefractionLoc, 1);
+    gl.uniform1i(waterProgram.uniformNormalMapLoc, 2);
+
+    waterSurface.draw(waterProgram);
+
+    useTerrainProgram(waterProgram);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Creates the marker buffer, and picks terrain points on canvas clicks or
+ * draws brush strokes with the mouse. Clicks on the minimap move the camera
+ * instead.
+ */
+function setupPicking() {
+    markerVertexBuffer = gl.createBuffer();
+    markerVertexBuffer.itemSize = 3;
+    markerVertexBuffer.numItems = 2;
+    canvas.onclick = handleCanvasClick;
+    canvas.onmousedown = handleSculptMouseDown;
+    canvas.onmousemove = handleSculptMouseMove;
+    document.onmouseup = handleSculptMouseUp;
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Adds a function called with every point picked on the terrain
+ * @param {function(Object)} listener called with the picked point, see pickTerrain
+ */
+function addTerrainPickListener(listener) {
+    terrainPickListeners.push(listener);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Turns a position on the canvas into a ray through the last frame's
+ * projection and modelview, and finds where it first hits the terrain
+ * @param {Object} out the vec3 to receive the hit in terrain coordinates
+ * @param {number} clientX the x position of the mouse in the page
+ * @param {number} clientY the y position of the mouse in the page
+ * @return {boolean} whether the ray hits the terrain
+ */
+function intersectTerrainAt(out, clientX, clientY) {
+    let rect = canvas.getBoundingClientRect();
+    let x = (clientX - rect.left) / rect.width * 2 - 1;
+    let y = 1 - (clientY - rect.top) / rect.height * 2;
+
+    // The click lies on the segment between the near and far planes
+    let inversePick = glMatrix.mat4.create();
+    glMatrix.mat4.invert(inversePick, pickMatrix);
+    let origin = glMatrix.vec3.fromValues(x, y, -1);
+    glMatrix.vec3.transformMat4(origin, origin, inversePick);
+    let direction = glMatrix.vec3.fromValues(x, y, 1);
+    glMatrix.vec3.transformMat4(direction, direction, inversePick);
+    glMatrix.vec3.subtract(direction, direction, origin);
+
+    let t = chunkManager.intersectRay(origin, direction);
+    if (t == Infinity) {
+        return false;
+    }
+    glMatrix.vec3.scaleAndAdd(out, origin, direction, t);
+    return true;
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Picks the point of the terrain under a click. The point is shown by the
+ * marker and the readout, and passed to the pick listeners as
+ * {position, normal, height, slope, band}, with the position and normal in
+ * terrain coordinates and the slope in degrees. Clicks draw brush strokes
+ * instead while a brush is picked.
+ * @param {MouseEvent} event the click on the canvas
+ */
+function pickTerrain(event) {
+    if (brush.type != "none") {
+        return;
+    }
+    let position = glMatrix.vec3.create();
+    if (!intersectTerrainAt(position, event.clientX, event.clientY)) {
+        pickedPoint = null;
+        document.getElementById("pickReadout").innerText = "No terrain under the cursor";
+        return;
+    }
+
+    let normal = glMatrix.vec3.create();
+    chunkManager.getHeightAt(position[0], position[1], normal);
+
+    let heightInterval = glMatrix.vec2.create();
+    chunkManager.getHeightInterval(heightInterval);
+    let height = (position[2] - heightInterval[0]) / (heightInterval[1] - heightInterval[0]);
+    let rampHeight = getColorRampHeight(Math.min(Math.max(height, 0), 1));
+
+    pickedPoint = {
+        position: position,
+        normal: normal,
+        height: position[2],
+        slope: Math.acos(Math.min(normal[2], 1)) * 180 / Math.PI,
+        band: colorRamp.bandAt(rampHeight)
+    };
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, markerVertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
+        position[0], position[1], position[2],
+        position[0], position[1], position[2] + markerHeight]), gl.STATIC_DRAW);
+
+    showPickedPoint(pickedPoint);
+    for (let listener of terrainPickListeners) {
+        listener(pickedPoint);
+    }
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Shows the position, height, slope and color band of a picked point
+ * @param {Object} point the picked point, see pickTerrain
+ */
+function showPickedPoint(point) {
+    let stops = colorRamp.stops;
+    let low = stops[point.band].height;
+    let high = stops[Math.min(point.band + 1, stops.length - 1)].height;
+    document.getElementById("pickReadout").innerText =
+        "Position: (" + point.position[0].toFixed(3) + ", " + point.position[1].toFixed(3) + ")" +
+        "  Height: " + point.height.toFixed(3) +
+        "  Slope: " + point.slope.toFixed(1) + "\u00b0" +
+        "  Band: " + (point.band + 1) + " of " + Math.max(stops.length - 1, 1) +
+        " (" + low.toFixed(2) + " to " + high.toFixed(2) + ")";
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the marker pin at the picked point
+ */
+function drawPickMarker() {
+    useSquareProgram(markerProgram);
+
+    gl.uniformMatrix4fv(markerProgram.mvMatrixUniform, false, mvMatrix);
+    gl.uniformMatrix4fv(markerProgram.pMatrixUniform, false, pMatrix);
+    gl.uniform3fv(markerProgram.uniformMarkerColorLoc, markerColor);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, markerVertexBuffer);
+    gl.vertexAttribPointer(markerProgram.vertexPositionAttribute, markerVertexBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+    gl.drawArrays(gl.LINES, 0, markerVertexBuffer.numItems);
+    gl.drawArrays(gl.POINTS, 1, 1);
+
+    useTerrainProgram(markerProgram);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Creates the buffer of the minimap overlay
+ */
+function setupMinimap() {
+    minimapOverlayBuffer = gl.createBuffer();
+    minimapOverlayBuffer.itemSize = 3;
+    // The four sides of the footprint, the heading arrow and the camera
+    minimapOverlayBuffer.numItems = 15;
+    updateMinimap();
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Reads the minimap switch from the page
+ */
+function updateMinimap() {
+    isMinimap = document.getElementById("minimap").checked;
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Returns where the minimap is drawn, a square in the upper right corner
+ * of the canvas
+ * @return {Array<number>} the x, y, width and height of the minimap viewport in pixels
+ */
+function getMinimapViewport() {
+    let size = Math.round(gl.viewportWidth * minimapSize);
+    return [gl.viewportWidth - size, gl.viewportHeight - size, size, size];
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Finds the point of the terrain shown on the minimap at a position on the
+ * canvas. The minimap is centered on the camera with +y up.
+ * @param {Object} out the vec2 to receive the x and y in terrain coordinates
+ * @param {number} clientX the x position of the mouse in the page
+ * @param {number} clientY the y position of the mouse in the page
+ * @return {boolean} whether the position is on the minimap
+ */
+function getMinimapPoint(out, clientX, clientY) {
+    if (!isMinimap) {
+        return false;
+    }
+    let rect = canvas.getBoundingClientRect();
+    let x = (clientX - rect.left) / rect.width * gl.viewportWidth;
+    let y = (1 - (clientY - rect.top) / rect.height) * gl.viewportHeight;
+
+    let viewport = getMinimapViewport();
+    let u = (x - viewport[0]) / viewport[2];
+    let v = (y - viewport[1]) / viewport[3];
+    if (u < 0 || u > 1 || v < 0 || v > 1) {
+        return false;
+    }
+    let center = glMatrix.vec3.create();
+    worldToTerrain(center, eyePt);
+    out[0] = center[0] + (u * 2 - 1) * minimapExtent;
+    out[1] = center[1] + (v * 2 - 1) * minimapExtent;
+    return true;
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Moves the camera to a point of the map keeping its altitude and heading,
+ * then lifts it above the ground there
+ * @param {number} x the x coordinate in terrain coordinates
+ * @param {number} y the y coordinate in terrain coordinates
+ */
+function teleportCamera(x, y) {
+    let forward = glMatrix.vec3.create();
+    glMatrix.vec3.subtract(forward, viewPt, eyePt);
+
+    let eyeTerrain = glMatrix.vec3.create();
+    worldToTerrain(eyeTerrain, eyePt);
+    eyeTerrain[0] = x;
+    eyeTerrain[1] = y;
+    let modelMatrix = glMatrix.mat4.create();
+    getTerrainModelMatrix(modelMatrix);
+    glMatrix.vec3.transformMat4(eyePt, eyeTerrain, modelMatrix);
+
+    keepCameraAboveGround();
+    glMatrix.vec3.add(viewPt, eyePt, forward);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Moves the camera to clicks on the minimap and picks terrain points on
+ * clicks anywhere else on the canvas
+ * @param {MouseEvent} event the click on the canvas
+ */
+function handleCanvasClick(event) {
+    let point = glMatrix.vec2.create();
+    if (getMinimapPoint(point, event.clientX, event.clientY)) {
+        teleportCamera(point[0], point[1]);
+        return;
+    }
+    pickTerrain(event);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Finds the area of the ground seen by the camera in the last frame, where
+ * the rays through the corners of the canvas meet a flat ground. Rays above
+ * the horizon, which never meet it, are cut off past the edge of the minimap.
+ * @param {Array<Object>} out four vec3s receiving the corners in terrain
+ *     coordinates, counterclockwise from the lower left corner of the canvas
+ * @param {number} groundHeight the height of the flat ground in terrain coordinates
+ */
+function getViewFootprint(out, groundHeight) {
+    let inversePick = glMatrix.mat4.create();
+    glMatrix.mat4.invert(inversePick, pickMatrix);
+    let maxDistance = minimapExtent * 2;
+    let corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+    let origin = glMatrix.vec3.create();
+    let direction = glMatrix.vec3.create();
+    for (let k = 0; k < corners.length; k++) {
+        glMatrix.vec3.set(origin, corners[k][0], corners[k][1], -1);
+        glMatrix.vec3.transformMat4(origin, origin, inversePick);
+        glMatrix.vec3.set(direction, corners[k][0], corners[k][1], 1);
+        glMatrix.vec3.transformMat4(direction, direction, inversePick);
+        glMatrix.vec3.subtract(direction, direction, origin);
+
+        let t = direction[2] < 0 ? (groundHeight - origin[2]) / direction[2] : Infinity;
+        t = Math.max(Math.min(t, maxDistance / Math.hypot(direction[0], direction[1])), 0);
+        glMatrix.vec3.scaleAndAdd(out[k], origin, direction, t);
+    }
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the minimap: the terrain seen from straight above with an
+ * orthographic projection, centered on the camera with +y up, and over it
+ * the footprint of the camera view, the camera and its heading. Leaves the
+ * projection and modelview of the minimap in pMatrix and mvMatrix.
+ * @param {Object} modelMatrix the model matrix of the terrain
+ */
+function drawMinimap(modelMatrix) {
+    let viewport = getMinimapViewport();
+    gl.viewport(viewport[0], viewport[1], viewport[2], viewport[3]);
+    gl.enable(gl.SCISSOR_TEST);
+    gl.scissor(viewport[0], viewport[1], viewport[2], viewport[3]);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    gl.disable(gl.SCISSOR_TEST);
+
+    // The minimap camera looks down from above the highest point of the terrain
+    let eyeTerrain = glMatrix.vec3.create();
+    worldToTerrain(eyeTerrain, eyePt);
+    let heightInterval = glMatrix.vec2.create();
+    chunkManager.getHeightInterval(heightInterval);
+    let top = heightInterval[1] + 1.0;
+    let minimapView = glMatrix.mat4.create();
+    glMatrix.mat4.lookAt(minimapView,
+                         glMatrix.vec3.fromValues(eyeTerrain[0], eyeTerrain[1], top),
+                         glMatrix.vec3.fromValues(eyeTerrain[0], eyeTerrain[1], heightInterval[0]),
+                         glMatrix.vec3.fromValues(0.0, 1.0, 0.0));
+    glMatrix.mat4.ortho(pMatrix, -minimapExtent, minimapExtent, -minimapExtent, minimapExtent,
+                        0.5, top - heightInterval[0] + 0.5);
+
+    // The view of the minimap in world coordinates, to light the terrain the same way
+    let viewMatrix = glMatrix.mat4.create();
+    glMatrix.mat4.invert(viewMatrix, modelMatrix);
+    glMatrix.mat4.multiply(viewMatrix, minimapView, viewMatrix);
+    glMatrix.mat4.copy(mvMatrix, minimapView);
+    let lightDirectionEye = glMatrix.vec3.create();
+    getLightDirectionEye(lightDirectionEye, viewMatrix, false);
+    drawTerrain([0, 0, 0, 1], false, false, lightDirectionEye);
+
+    drawMinimapOverlay(eyeTerrain, heightInterval[1]);
+
+    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draws the view footprint, the camera and its heading over the minimap
+ * with the minimap's modelview and projection
+ * @param {Object} eyeTerrain the camera position in terrain coordinates
+ * @param {number} z the height the overlay is drawn at, anywhere between
+ *     the near and far planes of the minimap
+ */
+function drawMinimapOverlay(eyeTerrain, z) {
+    let groundHeight = chunkManager.getHeightAt(eyeTerrain[0], eyeTerrain[1]);
+    if (isNaN(groundHeight)) {
+        groundHeight = getWaterHeight();
+    } else if (isWater) {
+        groundHeight = Math.max(groundHeight, getWaterHeight());
+    }
+    let footprint = [glMatrix.vec3.create(), glMatrix.vec3.create(),
+                     glMatrix.vec3.create(), glMatrix.vec3.create()];
+    getViewFootprint(footprint, groundHeight);
+
+    // The heading is the view direction flattened onto the map
+    let viewTerrain = glMatrix.vec3.create();
+    worldToTerrain(viewTerrain, viewPt);
+    let heading = glMatrix.vec2.fromValues(viewTerrain[0] - eyeTerrain[0], viewTerrain[1] - eyeTerrain[1]);
+    glMatrix.vec2.normalize(heading, heading);
+    glMatrix.vec2.scale(heading, heading, minimapExtent * 0.15);
+    let tipX = eyeTerrain[0] + heading[0];
+    let tipY = eyeTerrain[1] + heading[1];
+    // The arrow head is the heading turned back by 150 degrees each way and shortened
+    let cos = Math.cos(degToRad(150)) * 0.4;
+    let sin = Math.sin(degToRad(150)) * 0.4;
+
+    let vertices = [];
+    for (let k = 0; k < footprint.length; k++) {
+        let next = footprint[(k + 1) % footprint.length];
+        vertices.push(footprint[k][0], footprint[k][1], z, next[0], next[1], z);
+    }
+    vertices.push(eyeTerrain[0], eyeTerrain[1], z, tipX, tipY, z,
+                  tipX, tipY, z, tipX + heading[0]*cos - heading[1]*sin, tipY + heading[0]*sin + heading[1]*cos, z,
+                  tipX, tipY, z, tipX + heading[0]*cos + heading[1]*sin, tipY - heading[0]*sin + heading[1]*cos, z,
+                  eyeTerrain[0], eyeTerrain[1], z);
+
+    gl.disable(gl.DEPTH_TEST);
+    useSquareProgram(markerProgram);
+    gl.uniformMatrix4fv(markerProgram.mvMatrixUniform, false, mvMatrix);
+    gl.uniformMatrix4fv(markerProgram.pMatrixUniform, false, pMatrix);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, minimapOverlayBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.DYNAMIC_DRAW);
+    gl.vertexAttribPointer(markerProgram.vertexPositionAttribute, minimapOverlayBuffer.itemSize,
+                           gl.FLOAT, false, 0, 0);
+    gl.uniform3fv(markerProgram.uniformMarkerColorLoc, minimapFootprintColor);
+    gl.drawArrays(gl.LINES, 0, 8);
+    gl.uniform3fv(markerProgram.uniformMarkerColorLoc, minimapCameraColor);
+    gl.drawArrays(gl.LINES, 8, 6);
+    gl.drawArrays(gl.POINTS, 14, 1);
+
+    useTerrainProgram(markerProgram);
+    gl.enable(gl.DEPTH_TEST);
+}
+
+//---------------------------------------------------------------------------
+/**
+ * Draw call that applies matrix transformations to model and draws model in frame
+ */
+function draw() { 
+
+    // Nothing is drawn until every shader program has built once
+    if (!shaderProgram || !waterProgram || !skyProgram || !shadowDebugProgram || !markerProgram) {
+      return;
+    }
+
+    // Generate the view matrix from the camera orientation and position
+    let viewMatrix = glMatrix.mat4.create();
+    setViewMatrix(viewMatrix);
+
+    let modelMatrix = glMatrix.mat4.create();
+    getTerrainModelMatrix(modelMatrix);
+
+    if (isShadowed || isShadowDebug) {
+      drawShadowMap(viewMatrix, modelMatrix);
+    }
+
+    // Perspective View
+    glMatrix.mat4.perspective(pMatrix,degToRad(45), 
+                     gl.viewportWidth / gl.viewportHeight,
+                     0.01, 1000);
+
+    if (isWater) {
+      drawWaterTargets(viewMatrix, modelMatrix);
+    }
+
+    gl.viewport(0, 0, gl.viewportWidth, gl.viewportHeight);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    drawSky(viewMatrix, false);
+
+    //Draw Terrain
+    glMatrix.mat4.multiply(mvMatrix, viewMatrix, modelMatrix);
+    glMatrix.mat4.multiply(pickMatrix, pMatrix, mvMatrix);
+    let lightDirectionEye = glMatrix.vec3.create();
+    getLightDirectionEye(lightDirectionEye, viewMatrix, false);
+    drawTerrain([0, 0, 0, 1], false, true, lightDirectionEye);
+
+    if (isWater) {
+      drawWater(viewMatrix, modelMatrix);
+    }
+
+    if (pickedPoint != null) {
+      drawPickMarker();
+    }
+
+    if (isMinimap) {
+      drawMinimap(modelMatrix);
+    }
+
+    if (isShadowDebug) {
+      drawShadowDebug();
+    }
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Startup function called from html code to start program.
+ */
+ function startup() {
+  canvas = document.getElementById("myGLCanvas");
+  gl = createGLContext(canvas);
+
+  // The shader scripts of the page are used for the files that fail to load,
+  // and the scene is set up once every file has loaded or failed to
+  shaderLibrary = new ShaderLibrary(gl);
+  shaderLibrary.addScripts(document);
+  let files = [].concat(...Object.values(shaderFiles));
+  shaderLibrary.load(files, setupScene, function(message) {
+    console.log(message + ", using the copy in the page");
+  });
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Builds the shader programs from the loaded shader files, sets up everything
+ * else and starts drawing
+ */
+function setupScene() {
+  setupShaders();
+  setupWaterShaders();
+  setupSkyShaders();
+  setupShadowDebugShaders();
+  setupMarkerShaders();
+  setupBuffers();
+  setupColorRamp();
+  setupTextures();
+  setupWater();
+  setupShadows();
+  setupAnalysis();
+  setupTimeOfDay();
+  setupPicking();
+  setupMinimap();
+  updateLOD();
+  updateGroundClearance();
+  updateBrush();
+  updateContours();
+  // fog parameters
+  updateFog();
+  gl.enable(gl.DEPTH_TEST);
+  initCameraOrientation();
+
+  document.onkeydown = handleKeyDown;
+  document.onkeyup = handleKeyUp;
+  window.onblur = handleWindowBlur;
+  window.onhashchange = handleHashChange;
+  updateShaderReload();
+
+  tick();
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Initializes the camera orientation quaternion so the camera starts out
+ * looking from eyePt towards viewPt with the given up vector
+ */
+function initCameraOrientation() {
+  let lookAtMatrix = glMatrix.mat4.create();
+  glMatrix.mat4.lookAt(lookAtMatrix, eyePt, viewPt, up);
+
+  // The camera rotation is the inverse (transpose) of the view rotation
+  let rotation = glMatrix.mat3.create();
+  glMatrix.mat3.fromMat4(rotation, lookAtMatrix);
+  glMatrix.mat3.transpose(rotation, rotation);
+  glMatrix.quat.fromMat3(camOrientation, rotation);
+  glMatrix.quat.normalize(camOrientation, camOrientation);
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Generates the view matrix from the camera orientation and eye point
+ * @param {Object} out the 4x4 matrix to receive the view transformation
+ */
+function setViewMatrix(out) {
+  let viewRotation = glMatrix.quat.create();
+  glMatrix.quat.conjugate(viewRotation, camOrientation);
+  glMatrix.mat4.fromQuat(out, viewRotation);
+
+  let negativeEye = glMatrix.vec3.create();
+  glMatrix.vec3.negate(negativeEye, eyePt);
+  glMatrix.mat4.translate(out, out, negativeEye);
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Keeping drawing frames....
+ */
+function tick() {
+    requestAnimFrame(tick);
+    draw();
+    updateTimeOfDay();
+    updateSpeed();
+    updateCamera();
+    updateTerrainChunks();
+    updateTerrainLOD();
+    updateErosion();
+    updateSculpting();
+    updateAnalysisStatistics();
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Records the key as pressed
+ * @param {KeyboardEvent} event the key down event
+ */
+function handleKeyDown(event) {
+  console.log("Key Down ", event.key, " code ", event.code);
+  // Keys typed into the page's fields are not flight controls
+  if (isTextInput(event.target)) {
+    return;
+  }
+  if (event.code == "ArrowDown" || event.code == "ArrowUp" ||
+      event.code == "ArrowLeft" || event.code == "ArrowRight") {
+    event.preventDefault();
+  }
+  currentlyPressedKeys[event.code] = true;
+}
+
+/**
+ * Records the key as released
+ * @param {KeyboardEvent} event the key up event
+ */
+function handleKeyUp(event) {
+  console.log("Key up ", event.key, " code ", event.code);
+  // Released even in a field, the key may have been pressed before focusing it
+  currentlyPressedKeys[event.code] = false;
+}
+
+/**
+ * Releases every key when the window loses focus, since the key up events
+ * go to another window
+ */
+function handleWindowBlur() {
+  currentlyPressedKeys = {};
+}
+
+/**
+ * Returns whether an element takes typed text or keyboard selection
+ * @param {EventTarget} target the target of a key event
+ * @return {boolean} true for input, select and textarea elements
+ */
+function isTextInput(target) {
+  let tagName = target && target.tagName ? target.tagName.toLowerCase() : "";
+  return tagName == "input" || tagName == "select" || tagName == "textarea";
+}
+
+/**
+ * Changes the camera speed with the up and down arrow keys
+ */
+function updateSpeed() {
+  if (currentlyPressedKeys["ArrowDown"]) {
+    speed -= .0001;
+    document.getElementById("speedLabel").innerText = "Speed: " + speed;
+  } else if (currentlyPressedKeys["ArrowUp"]) {
+    speed += .0001;
+    document.getElementById("speedLabel").innerText = "Speed: " + speed;
+  }
+}
+
+/**
+ * Pitches, rolls and yaws the camera about its own axes from the keyboard,
+ * moves it forward by the current speed, keeps it above the ground and
+ * updates eyePt, viewPt and up
+ */
+function updateCamera() {
+  // Pitch with W/S, roll with the left/right arrows and yaw with A/D
+  let pitch = 0;
+  let roll = 0;
+  let yaw = 0;
+  if (currentlyPressedKeys["KeyW"]) {
+    pitch -= pitchRate;
+  }
+  if (currentlyPressedKeys["KeyS"]) {
+    pitch += pitchRate;
+  }
+  if (currentlyPressedKeys["ArrowLeft"]) {
+    roll += rollRate;
+  }
+  if (currentlyPressedKeys["ArrowRight"]) {
+    roll -= rollRate;
+  }
+  if (currentlyPressedKeys["KeyA"]) {
+    yaw += yawRate;
+  }
+  if (currentlyPressedKeys["KeyD"]) {
+    yaw -= yawRate;
+  }
+
+  // Rotations are applied on the right so they happen about the local axes
+  glMatrix.quat.rotateX(camOrientation, camOrientation, degToRad(pitch));
+  glMatrix.quat.rotateZ(camOrientation, camOrientation, degToRad(roll));
+  glMatrix.quat.rotateY(camOrientation, camOrientation, degToRad(yaw));
+  glMatrix.quat.normalize(camOrientation, camOrientation);
+
+  let forward = glMatrix.vec3.create();
+  glMatrix.vec3.transformQuat(forward, camForward, camOrientation);
+  glMatrix.vec3.transformQuat(up, camUp, camOrientation);
+
+  glMatrix.vec3.scaleAndAdd(eyePt, eyePt, forward, speed);
+  keepCameraAboveGround();
+  glMatrix.vec3.add(viewPt, eyePt, forward);
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Reads the camera clearance and ground hugging settings from the page
+ */
+function updateGroundClearance() {
+  cameraClearance = Math.max(parseFloat(document.getElementById("cameraClearance").value), 0);
+  isGroundHugging = document.getElementById("groundHugging").checked;
+  groundHuggingAltitude = Math.max(parseFloat(document.getElementById("groundHuggingAltitude").value),
+                                   cameraClearance);
+}
+
+//------------------------------------------------------------------------------
+/**
+ * Lifts the camera so it stays at least cameraClearance above the terrain
+ * and the water, or holds it at groundHuggingAltitude above them while
+ * ground hugging
+ */
+function keepCameraAboveGround() {
+  let eyeTerrain = glMatrix.vec3.create();
+  worldToTerrain(eyeTerrain, eyePt);
+  let ground = chunkManager.getHeightAt(eyeTerrain[0], eyeTerrain[1]);
+  // No terrain has been generated under the camera yet
+  if (isNaN(ground)) {
+    return;
+  }
+  if (isWater) {
+    ground = Math.max(ground, getWaterHeight());
+  }
+
+  if (isGroundHugging) {
+    eyeTerrain[2] = ground + groundHuggingAltitude;
+  } else if (eyeTerrain[2] < ground + cameraClearance) {
+    eyeTerrain[2] = ground + cameraClearance;
+  } else {
+    return;
+  }
+  let modelMatrix = glMatrix.mat4.create();
+  getTerrainModelMatrix(modelMatrix);
+  glMatrix.vec3.transformMat4(eyePt, eyeTerrain, modelMatrix);
+}
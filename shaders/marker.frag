@@ -0,0 +1,6 @@
+precision mediump float;
+uniform vec3 uMarkerColor;
+
+void main(void) {
+    gl_FragColor = vec4(uMarkerColor, 1.0);
+}
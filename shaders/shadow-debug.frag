@@ -0,0 +1,15 @@
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec2 vTextureCoord;
+
+uniform sampler2D uShadowMap;
+
+void main(void) {
+    // Shows the unpacked depth from the light, near is dark
+    vec4 packed = texture2D(uShadowMap, vTextureCoord);
+    float depth = dot(packed, vec4(1.0, 1.0/255.0, 1.0/65025.0, 1.0/16581375.0));
+    gl_FragColor = vec4(vec3(depth), 1.0);
+}
@@ -0,0 +1,8 @@
+attribute vec3 aVertexPosition;
+
+varying vec2 vTextureCoord;
+
+void main(void) {
+    vTextureCoord = aVertexPosition.xy * 0.5 + 0.5;
+    gl_Position = vec4(aVertexPosition, 1.0);
+}
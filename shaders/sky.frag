@@ -0,0 +1,34 @@
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec3 vRayDirection;
+
+uniform bool uMirrored;
+uniform vec3 uZenithColor;
+uniform vec3 uHorizonColor;
+uniform vec3 uSunDirection;
+uniform vec3 uSunColor;
+
+void main(void) {
+    vec3 direction = normalize(vRayDirection);
+    // The water reflects the sky upside down
+    if (uMirrored) {
+        direction.y = -direction.y;
+    }
+
+    // Below the horizon the sky has the horizon color, which is also the fog color
+    float height = max(direction.y, 0.0);
+    vec3 color = mix(uHorizonColor, uZenithColor, sqrt(height));
+
+    if (direction.y > 0.0) {
+        // Sun disk with a glow around it, and the moon opposite the sun
+        float sunAmount = max(dot(direction, uSunDirection), 0.0);
+        color += uSunColor * (smoothstep(0.9990, 0.9995, sunAmount) + 0.4 * pow(sunAmount, 32.0));
+        float moonAmount = max(dot(direction, -uSunDirection), 0.0);
+        color += vec3(0.75, 0.8, 0.9) * smoothstep(0.9993, 0.9997, moonAmount);
+    }
+
+    gl_FragColor = vec4(color, 1.0);
+}
@@ -0,0 +1,13 @@
+attribute vec3 aVertexPosition;
+
+varying vec3 vRayDirection;
+
+uniform mat4 uInverseViewProjection;
+
+void main(void) {
+    // The point on the far plane behind the pixel, for a camera at the
+    // origin, is the direction of the pixel's view ray
+    vec4 farPoint = uInverseViewProjection * vec4(aVertexPosition.xy, 1.0, 1.0);
+    vRayDirection = farPoint.xyz / farPoint.w;
+    gl_Position = vec4(aVertexPosition.xy, 1.0, 1.0);
+}
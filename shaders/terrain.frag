@@ -0,0 +1,282 @@
+#extension GL_OES_standard_derivatives : enable
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying float vHeight;
+varying vec2 vTextureCoord;
+varying vec3 vTerrainNormal;
+varying vec3 vTerrainPosition;
+varying vec4 vShadowCoord;
+varying vec4 vAnalysis;
+
+uniform sampler2D uColorRamp;
+uniform float uSeaLevel;
+uniform float uShoreline;
+
+uniform vec4 uClipPlane;
+uniform bool uRefractionPass;
+uniform float uWaterHeight;
+uniform float uWaterDepthFade;
+
+uniform bool uDepthPass;
+uniform bool uShadowsEnabled;
+uniform sampler2D uShadowMap;
+uniform float uShadowMapTexel;
+uniform float uShadowStrength;
+
+uniform bool uTextured;
+uniform float uTextureScale;
+uniform sampler2D uGrassTexture;
+uniform sampler2D uRockTexture;
+uniform sampler2D uSandTexture;
+uniform sampler2D uSnowTexture;
+
+uniform int uAnalysisMode;
+uniform sampler2D uAnalysisRamp;
+uniform float uCurvatureRange;
+
+uniform bool uContoursEnabled;
+uniform float uContourInterval;
+uniform float uIndexContourEvery;
+uniform vec3 uContourColor;
+
+uniform mediump vec3 uLightDirection;
+uniform vec3 uAmbientLightColor;
+uniform vec3 uDiffuseLightColor;
+uniform vec3 uSpecularLightColor;
+
+uniform vec3 uKAmbient;
+uniform vec3 uKDiffuse;
+uniform vec3 uKSpecular;
+
+uniform mediump float uShininess;
+
+uniform float uDebugDepthRange;
+
+#ifdef SHADING_GOURAUD
+varying float vDiffuseWeight;
+varying float vSpecularWeight;
+#endif
+
+uniform bool uFogEnabled;
+uniform int uFogMode;
+uniform float uFogDensity;
+uniform float uFogStart;
+uniform float uFogEnd;
+uniform vec3 uFogColor;
+
+// Samples a texture projected along the three terrain axes, weighted by
+// the normal so steep faces are not stretched by the top projection
+vec3 triplanar(sampler2D layer, vec3 blending) {
+    vec3 top = texture2D(layer, vTextureCoord * uTextureScale).rgb;
+    vec3 sideX = texture2D(layer, vTerrainPosition.yz * uTextureScale).rgb;
+    vec3 sideY = texture2D(layer, vTerrainPosition.xz * uTextureScale).rgb;
+    return top * blending.z + sideX * blending.x + sideY * blending.y;
+}
+
+// Maps a normalized height to the color ramp so that sea level
+// lands on the ramp's shoreline
+float colorRampHeight(float height) {
+    if (height < uSeaLevel) {
+        return height / uSeaLevel * uShoreline;
+    }
+    return uShoreline + (height - uSeaLevel) / (1.0 - uSeaLevel) * (1.0 - uShoreline);
+}
+
+// Colors the slope, aspect or curvature of the terrain from the ramp
+// of the analysis overlay
+vec3 analysisColor() {
+    if (uAnalysisMode == 1) {
+        return texture2D(uAnalysisRamp, vec2(vAnalysis.x / 90.0, 0.5)).rgb;
+    }
+    if (uAnalysisMode == 2) {
+        // Clockwise from north, and gray on flat ground that faces nowhere
+        float aspect = fract(atan(vAnalysis.y, vAnalysis.z) / 6.2831853);
+        vec3 color = texture2D(uAnalysisRamp, vec2(aspect, 0.5)).rgb;
+        return mix(vec3(0.5), color, smoothstep(0.0, 0.1, length(vAnalysis.yz)));
+    }
+    float curvature = clamp(vAnalysis.w / uCurvatureRange, -1.0, 1.0);
+    return texture2D(uAnalysisRamp, vec2(0.5 + 0.5 * curvature, 0.5)).rgb;
+}
+
+// Returns how much a contour line covers the fragment. Lines keep about
+// the same width in pixels at any distance, and index contours are thicker.
+float contourCoverage(float height) {
+    float level = height / uContourInterval;
+    float pixels = abs(fract(level + 0.5) - 0.5) / max(fwidth(level), 1e-6);
+    float halfWidth = mod(floor(level + 0.5), uIndexContourEvery) < 0.5 ? 1.0 : 0.5;
+    return 1.0 - smoothstep(halfWidth, halfWidth + 1.0, pixels);
+}
+
+// Spreads a depth in [0,1) over the four 8 bit channels of a color
+vec4 packDepth(float depth) {
+    vec4 packed = fract(depth * vec4(1.0, 255.0, 65025.0, 16581375.0));
+    return packed - packed.yzww * vec4(1.0/255.0, 1.0/255.0, 1.0/255.0, 0.0);
+}
+
+float unpackDepth(vec4 packed) {
+    return dot(packed, vec4(1.0, 1.0/255.0, 1.0/65025.0, 1.0/16581375.0));
+}
+
+// Returns the fraction of the light reaching the fragment, comparing its
+// depth with a 3x3 block of shadow map texels (percentage closer filtering)
+float shadowFactor(float bias) {
+    vec3 shadowCoord = vShadowCoord.xyz / vShadowCoord.w;
+    if (shadowCoord.x < 0.0 || shadowCoord.x > 1.0 ||
+        shadowCoord.y < 0.0 || shadowCoord.y > 1.0 || shadowCoord.z > 1.0) {
+        return 1.0;
+    }
+    float lit = 0.0;
+    for (int x = -1; x <= 1; x++) {
+        for (int y = -1; y <= 1; y++) {
+            vec2 offset = vec2(float(x), float(y)) * uShadowMapTexel;
+            float depth = unpackDepth(texture2D(uShadowMap, shadowCoord.xy + offset));
+            lit += shadowCoord.z - bias > depth ? 0.0 : 1.0;
+        }
+    }
+    return lit / 9.0;
+}
+
+void main(void) {
+    // Skips the terrain on the far side of the water while rendering
+    // the reflection or refraction
+    if (dot(vec4(vTerrainPosition, 1.0), uClipPlane) < 0.0) {
+        discard;
+    }
+
+    // The shadow map only needs the depth from the light
+    if (uDepthPass) {
+        gl_FragColor = packDepth(gl_FragCoord.z);
+        return;
+    }
+
+    // Debug views show one value of the fragment as a color, unlit
+    #if defined(DEBUG_NORMALS)
+    gl_FragColor = vec4(normalize(vTerrainNormal) * 0.5 + 0.5, 1.0);
+    return;
+    #elif defined(DEBUG_DEPTH)
+    // Near is dark and uDebugDepthRange away from the camera is white
+    gl_FragColor = vec4(vec3(clamp(length(vPosition) / uDebugDepthRange, 0.0, 1.0)), 1.0);
+    return;
+    #elif defined(DEBUG_UV)
+    // The texture coordinates splatting samples with, one texture tile per gradient
+    gl_FragColor = vec4(fract(vTextureCoord * uTextureScale), 0.0, 1.0);
+    return;
+    #endif
+
+    // Calculates the color based on height
+    float rampHeight = colorRampHeight(clamp(vHeight, 0.0, 1.0));
+    vec3 colorByHeight = texture2D(uColorRamp, vec2(rampHeight, 0.5)).rgb;
+
+    if (uTextured) {
+        vec3 terrainNormal = normalize(vTerrainNormal);
+        vec3 blending = pow(abs(terrainNormal), vec3(4.0));
+        blending /= blending.x + blending.y + blending.z;
+
+        // Blends sand on the low ground, rock on slopes and snow on the
+        // peaks over a base of grass
+        float slope = 1.0 - terrainNormal.z;
+        float sandWeight = 1.0 - smoothstep(uSeaLevel, uSeaLevel + 0.05, vHeight);
+        float rockWeight = smoothstep(0.1, 0.25, slope);
+        float snowWeight = smoothstep(0.75, 0.85, vHeight);
+
+        colorByHeight = triplanar(uGrassTexture, blending);
+        colorByHeight = mix(colorByHeight, triplanar(uSandTexture, blending), sandWeight);
+        colorByHeight = mix(colorByHeight, triplanar(uRockTexture, blending), rockWeight);
+        colorByHeight = mix(colorByHeight, triplanar(uSnowTexture, blending), snowWeight);
+    }
+
+    // Analysis overlays replace the colors and keep the lighting
+    if (uAnalysisMode > 0) {
+        colorByHeight = analysisColor();
+    }
+
+    // The vector (l) to the light source is the same everywhere for
+    // the directional sun or moon
+    vec3 vectorToLightSource = normalize(uLightDirection);
+
+    #ifdef SHADING_GOURAUD
+    float diffuseLightWeightning = vDiffuseWeight;
+    float specularLightWeighting = vSpecularWeight;
+    #else
+    #ifdef SHADING_FLAT
+    // Every fragment of a triangle gets the normal of the triangle,
+    // from the screen space derivatives of its position, turned
+    // towards the camera
+    vec3 faceNormal = normalize(cross(dFdx(vPosition), dFdy(vPosition)));
+    vec3 normalEye = faceforward(faceNormal, vPosition, faceNormal);
+    #else
+    vec3 normalEye = normalize(vNormal);
+    #endif
+
+    // Calculate n dot l for diffuse lighting
+    float diffuseLightWeightning = max(dot(normalEye, 
+                                    vectorToLightSource), 0.0);
+
+    // The camera in eye coordinates is located in the origin and is pointing
+    // along the negative z-axis. Calculate viewVector (v) 
+    // in eye coordinates as:
+    // (0.0, 0.0, 0.0) - vertexPositionEye3
+    vec3 viewVectorEye = -normalize(vPosition);
+
+    #ifdef SHADING_PHONG
+    // Calculate the reflection vector (r) that is needed for specular light
+    vec3 reflectionVector = normalize(reflect(-vectorToLightSource, normalEye));
+    float rdotv = max(dot(reflectionVector, viewVectorEye), 0.0);
+    float specularLightWeighting = pow(rdotv, uShininess);
+    #else
+    vec3 halfwayvec = normalize(vectorToLightSource + viewVectorEye);
+    float ndoth = max(dot(normalEye, halfwayvec), 0.0);
+    float specularLightWeighting = pow(ndoth, uShininess);
+    #endif
+    #endif
+
+    // Shadowed surfaces keep part of the direct light, standing in for
+    // light bounced off the surroundings. Slopes facing away from the
+    // light need more bias to avoid shadow acne.
+    if (uShadowsEnabled) {
+        float bias = max(0.002 * (1.0 - diffuseLightWeightning), 0.0005);
+        float shadow = mix(1.0 - uShadowStrength, 1.0, shadowFactor(bias));
+        diffuseLightWeightning *= shadow;
+        specularLightWeighting *= shadow;
+    }
+    
+    // fog shader code
+    float fogCoord = (gl_FragCoord.z / gl_FragCoord.w);
+    vec4 fogColor = vec4(uFogColor,1.0);
+
+    float LOG2 = 1.442695;
+    float fogFactor = 1.0;
+    if (uFogEnabled) {
+        if (uFogMode == 0) {
+            // linear
+            fogFactor = (uFogEnd - fogCoord) / (uFogEnd - uFogStart);
+        } else if (uFogMode == 1) {
+            // exp
+            fogFactor = exp2( -uFogDensity * fogCoord * LOG2 );
+        } else {
+            // exp2
+            fogFactor = exp2( -uFogDensity * uFogDensity * fogCoord * fogCoord * LOG2 );
+        }
+    }
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+
+    // Sum up all three reflection components and send to the fragment shader
+    // uses the color mapping by height
+    vec4 fragColor =  vec4(((uAmbientLightColor*uKAmbient*colorByHeight)
+            + (uDiffuseLightColor*colorByHeight) * diffuseLightWeightning
+            + ((uSpecularLightColor*uKSpecular) * specularLightWeighting)),1.0);
+    if (uContoursEnabled) {
+        fragColor.rgb = mix(fragColor.rgb, uContourColor, contourCoverage(vTerrainPosition.z));
+    }
+    gl_FragColor = mix(fogColor, fragColor, fogFactor);
+
+    // The refraction keeps the depth under the water in alpha for tinting
+    if (uRefractionPass) {
+        gl_FragColor.a = clamp((uWaterHeight - vTerrainPosition.z) / uWaterDepthFade, 0.0, 1.0);
+    }
+}
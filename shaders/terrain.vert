@@ -0,0 +1,80 @@
+// Every terrain program is built from this shader and terrain.frag with one
+// of the defines SHADING_FLAT, SHADING_GOURAUD, SHADING_PHONG,
+// SHADING_BLINN_PHONG, DEBUG_NORMALS, DEBUG_DEPTH or DEBUG_UV, see
+// terrainPrograms in mp2.js
+attribute vec3 aVertexNormal;
+attribute vec3 aVertexPosition;
+attribute vec2 aTextureCoord;
+// Coarsest level of detail of the vertex and its height one level coarser
+attribute vec2 aMorph;
+// Slope, x and y of the normal, and curvature of the vertex
+attribute vec4 aAnalysis;
+
+varying vec3 vNormal;
+varying vec3 vPosition;
+varying float vHeight;
+varying vec2 vTextureCoord;
+varying vec3 vTerrainNormal;
+varying vec3 vTerrainPosition;
+varying vec4 vShadowCoord;
+varying vec4 vAnalysis;
+
+uniform mat4 uMVMatrix;
+uniform mat4 uPMatrix;
+uniform mat3 uNMatrix;
+uniform mat4 uShadowMatrix;
+
+uniform vec2 uHeightRange;
+
+uniform bool uLodEnabled;
+uniform vec2 uLodCamera;
+uniform float uLodDistance;
+
+#ifdef SHADING_GOURAUD
+// Declared mediump like in the fragment shader, which shares them
+uniform mediump vec3 uLightDirection;
+uniform mediump float uShininess;
+varying float vDiffuseWeight;
+varying float vSpecularWeight;
+#endif
+
+void main(void) {
+    // Slides the vertex onto the coarser surface over the last 30% of
+    // its level's range, so it has fully blended in when its patch drops it
+    vec3 position = aVertexPosition;
+    if (uLodEnabled) {
+        float morphEnd = uLodDistance * exp2(aMorph.x);
+        float morph = clamp((distance(position.xy, uLodCamera) / morphEnd - 0.7) / 0.3, 0.0, 1.0);
+        position.z = mix(position.z, aMorph.y, morph);
+    }
+
+    // Get the vertex position in eye coordinates
+    vec4 vertexPositionEye4 = uMVMatrix * vec4(position, 1.0);
+    vPosition = vertexPositionEye4.xyz / vertexPositionEye4.w;
+
+    // Calculate the normal
+    vNormal = normalize(uNMatrix * aVertexNormal);
+    
+    // Normalizes the height to look up its color in the color ramp
+    vHeight = (position.z - uHeightRange[0]) / (uHeightRange[1] - uHeightRange[0]);
+
+    // Keeps the terrain's own coordinates for texture splatting
+    vTextureCoord = aTextureCoord;
+    vTerrainNormal = aVertexNormal;
+    vTerrainPosition = position;
+    vAnalysis = aAnalysis;
+
+    // Position in the shadow map, with the depth from the light in z
+    vShadowCoord = uShadowMatrix * vec4(position, 1.0);
+
+    #ifdef SHADING_GOURAUD
+    // Lights the vertices with the Phong reflection model, and the
+    // fragments get the weights interpolated between them
+    vec3 vectorToLightSource = normalize(uLightDirection);
+    vDiffuseWeight = max(dot(vNormal, vectorToLightSource), 0.0);
+    vec3 reflectionVector = reflect(-vectorToLightSource, vNormal);
+    vSpecularWeight = pow(max(dot(reflectionVector, -normalize(vPosition)), 0.0), uShininess);
+    #endif
+
+    gl_Position = uPMatrix*uMVMatrix*vec4(position, 1.0);
+}
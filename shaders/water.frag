@@ -0,0 +1,81 @@
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+varying vec3 vPosition;
+varying vec4 vClipPosition;
+varying vec2 vWaveCoord;
+
+uniform mat3 uNMatrix;
+
+uniform sampler2D uReflection;
+uniform sampler2D uRefraction;
+uniform sampler2D uNormalMap;
+
+uniform float uTime;
+uniform float uWaveScale;
+uniform float uWaveStrength;
+uniform float uDistortion;
+uniform vec3 uWaterColor;
+
+uniform vec3 uLightDirection;
+uniform vec3 uSpecularLightColor;
+
+uniform bool uFogEnabled;
+uniform int uFogMode;
+uniform float uFogDensity;
+uniform float uFogStart;
+uniform float uFogEnd;
+uniform vec3 uFogColor;
+
+void main(void) {
+    // Two layers of waves scrolling in different directions
+    vec2 waveCoord = vWaveCoord * uWaveScale;
+    vec3 wave1 = texture2D(uNormalMap, waveCoord + vec2(0.02, 0.01) * uTime).rgb * 2.0 - 1.0;
+    vec3 wave2 = texture2D(uNormalMap, waveCoord * 0.7 + vec2(-0.015, 0.02) * uTime).rgb * 2.0 - 1.0;
+    vec3 waveNormal = wave1 + wave2;
+    vec3 terrainNormal = normalize(vec3(waveNormal.xy * uWaveStrength, waveNormal.z));
+    vec3 normalEye = normalize(uNMatrix * terrainNormal);
+
+    // The reflection and refraction were rendered from this camera, so
+    // the screen position of the fragment looks them up
+    vec2 screenCoord = vClipPosition.xy / vClipPosition.w * 0.5 + 0.5;
+    float depth = texture2D(uRefraction, screenCoord).a;
+    // Shallow water distorts less so the shoreline does not pick up
+    // terrain from above the water
+    vec2 distortion = terrainNormal.xy * uDistortion * clamp(depth * 4.0, 0.0, 1.0);
+    vec2 distortedCoord = clamp(screenCoord + distortion, 0.001, 0.999);
+    vec3 reflectionColor = texture2D(uReflection, distortedCoord).rgb;
+    vec4 refraction = texture2D(uRefraction, distortedCoord);
+    vec3 refractionColor = mix(refraction.rgb, uWaterColor, refraction.a);
+
+    // Schlick's approximation of the Fresnel term for water
+    vec3 viewVectorEye = -normalize(vPosition);
+    float cosTheta = max(dot(viewVectorEye, normalEye), 0.0);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - cosTheta, 5.0);
+    vec3 waterColor = mix(refractionColor, reflectionColor, fresnel);
+
+    // Sun glints on the waves
+    vec3 vectorToLightSource = normalize(uLightDirection);
+    vec3 halfwayvec = normalize(vectorToLightSource + viewVectorEye);
+    float ndoth = max(dot(normalEye, halfwayvec), 0.0);
+    waterColor += uSpecularLightColor * pow(ndoth, 200.0);
+
+    // Same fog as the terrain
+    float fogCoord = (gl_FragCoord.z / gl_FragCoord.w);
+    float LOG2 = 1.442695;
+    float fogFactor = 1.0;
+    if (uFogEnabled) {
+        if (uFogMode == 0) {
+            fogFactor = (uFogEnd - fogCoord) / (uFogEnd - uFogStart);
+        } else if (uFogMode == 1) {
+            fogFactor = exp2( -uFogDensity * fogCoord * LOG2 );
+        } else {
+            fogFactor = exp2( -uFogDensity * uFogDensity * fogCoord * fogCoord * LOG2 );
+        }
+    }
+    fogFactor = clamp(fogFactor, 0.0, 1.0);
+
+    gl_FragColor = vec4(mix(uFogColor, waterColor, fogFactor), 1.0);
+}
@@ -0,0 +1,24 @@
+attribute vec3 aVertexPosition;
+
+varying vec3 vPosition;
+varying vec4 vClipPosition;
+varying vec2 vWaveCoord;
+
+uniform mat4 uMVMatrix;
+uniform mat4 uPMatrix;
+
+uniform vec2 uWaterCenter;
+uniform float uWaterExtent;
+uniform float uWaterHeight;
+
+void main(void) {
+    // Places the unit square at sea level around the center, in terrain coordinates
+    vec3 terrainPosition = vec3(uWaterCenter + aVertexPosition.xy * uWaterExtent, uWaterHeight);
+    vWaveCoord = terrainPosition.xy;
+
+    vec4 vertexPositionEye4 = uMVMatrix * vec4(terrainPosition, 1.0);
+    vPosition = vertexPositionEye4.xyz / vertexPositionEye4.w;
+
+    vClipPosition = uPMatrix * vertexPositionEye4;
+    gl_Position = vClipPosition;
+}
@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Tests of the Terrain grid, run with node --test test/
+ * @author Yani Julian <bjulia2@illinois.edu>
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Terrain = require("../Terrain.js");
+
+/**
+ * Returns a seamless height generator setting the heights from a function of x and y
+ * @param {function(number, number): number} heightFunction the height at (x,y)
+ * @return {Object} a generator with the setHeights, heightAt and isSeamless
+ *     of a HeightGenerator
+ */
+function functionGenerator(heightFunction) {
+    return {
+        setHeights: terrain => terrain.setHeightsByFunction(heightFunction),
+        heightAt: heightFunction,
+        isSeamless: () => true
+    };
+}
+
+/**
+ * Checks that two numbers are within a tolerance of each other
+ * @param {number} actual the number found
+ * @param {number} expected the number wanted
+ * @param {number=} tolerance the largest difference allowed
+ */
+function assertClose(actual, expected, tolerance = 1e-6) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+              "expected " + expected + " but got " + actual);
+}
+
+test.describe("module", () => {
+    test.it("leaves the classes it builds on out of the global scope", () => {
+        assert.strictEqual(globalThis.SeededRandom, undefined);
+        assert.strictEqual(globalThis.TerrainLOD, undefined);
+        assert.strictEqual(globalThis.TerrainAnalysis, undefined);
+    });
+});
+
+test.describe("generateTriangles", () => {
+    test.it("allocates (div+1)^2 vertices and two triangles per cell", () => {
+        let terrain = new Terrain(4, -1, 1, -1, 1, functionGenerator(() => 0), 1);
+        assert.strictEqual(terrain.numVertices, 25);
+        assert.strictEqual(terrain.numFaces, 32);
+        assert.strictEqual(terrain.vBuffer.length, 75);
+        assert.strictEqual(terrain.fBuffer.length, 96);
+    });
+
+    test.it("lays the vertices out row by row from the minimum corner", () => {
+        let terrain = new Terrain(4, -1, 1, -2, 2, functionGenerator(() => 0), 1);
+        let v = [0, 0, 0];
+        terrain.getVertex(v, 0);
+        assert.deepStrictEqual(v, [-1, -2, 0]);
+        terrain.getVertex(v, 4);
+        assert.deepStrictEqual(v, [1, -2, 0]);
+        terrain.getVertex(v, 5);
+        assert.deepStrictEqual(v, [-1, -1, 0]);
+        terrain.getVertex(v, 24);
+        assert.deepStrictEqual(v, [1, 2, 0]);
+    });
+
+    test.it("measures texture coordinates from the minimum corner", () => {
+        let terrain = new Terrain(2, 3, 5, 3, 5, functionGenerator(() => 0), 1);
+        assert.deepStrictEqual(Array.from(terrain.tBuffer.subarray(0, 2)), [0, 0]);
+        assert.deepStrictEqual(Array.from(terrain.tBuffer.subarray(16, 18)), [2, 2]);
+    });
+
+    test.it("splits each cell into two counterclockwise triangles", () => {
+        let terrain = new Terrain(3, -1, 1, -1, 1, functionGenerator(() => 0), 1);
+        let f = [0, 0, 0];
+        terrain.getVertexIndicesByFaceIndex(f, 0);
+        assert.deepStrictEqual(f, [0, 1, 4]);
+        terrain.getVertexIndicesByFaceIndex(f, 1);
+        assert.deepStrictEqual(f, [1, 5, 4]);
+
+        // Seen from above, every triangle winds counterclockwise
+        let v1 = [0, 0, 0];
+        let v2 = [0, 0, 0];
+        let v3 = [0, 0, 0];
+        for (let i = 0; i < terrain.numFaces; i++) {
+            terrain.getVerticesByFaceIndex(v1, v2, v3, i);
+            let area = (v2[0] - v1[0]) * (v3[1] - v1[1]) - (v2[1] - v1[1]) * (v3[0] - v1[0]);
+            assert.ok(area > 0, "face " + i + " is clockwise");
+        }
+    });
+
+    test.it("gives the same heights for the same seed", () => {
+        let first = new Terrain(16, -1, 1, -1, 1, undefined, 42);
+        let second = new Terrain(16, -1, 1, -1, 1, undefined, 42);
+        let other = new Terrain(16, -1, 1, -1, 1, undefined, 43);
+        assert.deepStrictEqual(first.vBuffer, second.vBuffer);
+        assert.notDeepStrictEqual(first.vBuffer, other.vBuffer);
+    });
+});
+
+test.describe("generateNormals", () => {
+    test.it("points straight up on flat ground", () => {
+        let terrain = new Terrain(4, -1, 1, -1, 1, functionGenerator(() => 0.3), 1);
+        let n = [0, 0, 0];
+        for (let i = 0; i < terrain.numVertices; i++) {
+            terrain.getNormal(n, i);
+            assert.deepStrictEqual(n, [0, 0, 1]);
+        }
+    });
+
+    test.it("leans against the slope of a plane", () => {
+        let terrain = new Terrain(8, -1, 1, -1, 1, functionGenerator((x, y) => 0.5*x - 0.25*y), 1);
+        // The plane z = ax + by has the normal (-a, -b, 1)
+        let length = Math.sqrt(0.5*0.5 + 0.25*0.25 + 1);
+        let n = [0, 0, 0];
+        for (let i = 0; i < terrain.numVertices; i++) {
+            terrain.getNormal(n, i);
+            assertClose(n[0], -0.5 / length);
+            assertClose(n[1], 0.25 / length);
+            assertClose(n[2], 1 / length);
+        }
+    });
+
+    test.it("gives unit normals on generated heights", () => {
+        let terrain = new Terrain(16, -1, 1, -1, 1, undefined, 7);
+        let n = [0, 0, 0];
+        for (let i = 0; i < terrain.numVertices; i++) {
+            terrain.getNormal(n, i);
+            assertClose(Math.sqrt(n[0]*n[0] + n[1]*n[1] + n[2]*n[2]), 1);
+            assert.ok(n[2] > 0);
+        }
+    });
+
+    test.it("gives neighbouring terrains the same normals along their shared edge", () => {
+        let hills = functionGenerator((x, y) => 0.2*Math.sin(3*x) * Math.cos(2*y));
+        let left = new Terrain(8, -1, 0, -1, 0, hills, 1);
+        let right = new Terrain(8, 0, 1, -1, 0, hills, 1);
+        let above = new Terrain(8, -1, 0, 0, 1, hills, 1);
+        let a = [0, 0, 0];
+        let b = [0, 0, 0];
+        for (let i = 0; i <= 8; i++) {
+            left.getNormal(a, i*9 + 8);
+            right.getNormal(b, i*9);
+            for (let k = 0; k < 3; k++) {
+                assertClose(a[k], b[k]);
+            }
+            left.getNormal(a, 8*9 + i);
+            above.getNormal(b, i);
+            for (let k = 0; k < 3; k++) {
+                assertClose(a[k], b[k]);
+            }
+        }
+    });
+
+    test.it("gives border vertices the normals of the same vertices inside a larger terrain", () => {
+        let hills = functionGenerator((x, y) => 0.2*Math.sin(3*x) * Math.cos(2*y));
+        let chunk = new Terrain(8, 0, 1, 0, 1, hills, 1);
+        let world = new Terrain(16, -1, 1, -1, 1, hills, 1);
+        let a = [0, 0, 0];
+        let b = [0, 0, 0];
+        // Corner (0,0) of the chunk is vertex (8,8) of the larger terrain
+        chunk.getNormal(a, 0);
+        world.getNormal(b, 8*17 + 8);
+        for (let k = 0; k < 3; k++) {
+            assertClose(a[k], b[k]);
+        }
+    });
+
+    test.it("matches the whole grid when recomputed in a region", () => {
+        let terrain = new Terrain(16, -1, 1, -1, 1, undefined, 7);
+        let expected = Float32Array.from(terrain.nBuffer);
+        terrain.nBuffer.fill(0, 0, 17*5*3);
+        terrain.generateNormalsInRegion(0, 4, 0, 16);
+        for (let k = 0; k < expected.length; k++) {
+            assertClose(terrain.nBuffer[k], expected[k]);
+        }
+    });
+
+    test.it("keeps the faces past the edges when recomputed in a region on the border", () => {
+        let hills = functionGenerator((x, y) => 0.2*Math.sin(3*x) * Math.cos(2*y));
+        let terrain = new Terrain(16, -1, 1, -1, 1, hills, 1);
+        let expected = Float32Array.from(terrain.nBuffer);
+        terrain.nBuffer.fill(0);
+        terrain.generateNormalsInRegion(0, 3, 12, 16, terrain.getOutsideHeightAt());
+        terrain.generateNormalsInRegion(4, 16, 0, 16, terrain.getOutsideHeightAt());
+        terrain.generateNormalsInRegion(0, 3, 0, 11, terrain.getOutsideHeightAt());
+        for (let k = 0; k < expected.length; k++) {
+            assertClose(terrain.nBuffer[k], expected[k]);
+        }
+    });
+});
+
+test.describe("getHeightInterval", () => {
+    test.it("returns the lowest and highest heights", () => {
+        let terrain = new Terrain(4, -1, 1, -1, 1, functionGenerator((x, y) => 0.2*x + 0.1*y), 1);
+        let heightInterval = [0, 0];
+        terrain.getHeightInterval(heightInterval);
+        assertClose(heightInterval[0], -0.3);
+        assertClose(heightInterval[1], 0.3);
+    });
+
+    test.it("finds heights that all lie outside [-1,1]", () => {
+        let high = new Terrain(4, -1, 1, -1, 1, functionGenerator((x, y) => 3 + 0.5*x), 1);
+        let heightInterval = [0, 0];
+        high.getHeightInterval(heightInterval);
+        assert.deepStrictEqual(heightInterval, [2.5, 3.5]);
+
+        let low = new Terrain(4, -1, 1, -1, 1, functionGenerator((x, y) => -3 + 0.5*y), 1);
+        low.getHeightInterval(heightInterval);
+        assert.deepStrictEqual(heightInterval, [-3.5, -2.5]);
+    });
+
+    test.it("follows heights changed in place", () => {
+        let terrain = new Terrain(4, -1, 1, -1, 1, functionGenerator(() => 0), 1);
+        terrain.offsetHeight(0.25, 12);
+        terrain.offsetHeight(-0.5, 3);
+        let heightInterval = [0, 0];
+        terrain.getHeightInterval(heightInterval);
+        assert.deepStrictEqual(heightInterval, [-0.5, 0.25]);
+    });
+});
+
+test.describe("generateLines", () => {
+    test.it("writes the three edges of every triangle", () => {
+        let terrain = new Terrain(3, -1, 1, -1, 1, functionGenerator(() => 0), 1);
+        assert.strictEqual(terrain.eBuffer.length, terrain.numFaces * 6);
+        let f = terrain.fBuffer;
+        let e = terrain.eBuffer;
+        for (let i = 0; i < terrain.numFaces; i++) {
+            assert.deepStrictEqual(Array.from(e.subarray(i*6, i*6 + 6)),
+                                   [f[i*3], f[i*3 + 1], f[i*3 + 1], f[i*3 + 2], f[i*3 + 2], f[i*3]]);
+        }
+    });
+
+    test.it("only joins vertices that are neighbors on the grid", () => {
+        let terrain = new Terrain(5, -1, 1, -1, 1, functionGenerator(() => 0), 1);
+        let size = terrain.div + 1;
+        for (let k = 0; k < terrain.eBuffer.length; k += 2) {
+            let a = terrain.eBuffer[k];
+            let b = terrain.eBuffer[k + 1];
+            let rows = Math.abs(Math.floor(a / size) - Math.floor(b / size));
+            let columns = Math.abs(a % size - b % size);
+            assert.ok(rows <= 1 && columns <= 1 && rows + columns > 0);
+        }
+    });
+});